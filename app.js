@@ -1,38 +1,114 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
-// File paths - users can manually change this list
+// File paths loaded on startup - users can manually change this list
+// Additional local files can be loaded at runtime from the Data panel (file picker or drag-and-drop)
 const files = [
     'data/detected_transcripts_sub1.csv.gz',
     'data/detected_transcripts_sub2.csv.gz'
 ];
 
 // Configuration for downsampling
-const TARGET_POINTS_PER_FILE = 200000; // Target number of points to keep per file
+const TARGET_POINTS_PER_FILE = 2000000; // Target number of points to keep per file (the columnar store holds several million)
 const MAX_POINTS = 1000000; // Reduced for sphere rendering performance
-    
-// Column configuration - users can manually change these lists
-const idx_names = ['global_x', 'global_y', 'global_z'];
-const column_names_categorical = ['gene', 'cell_id'];
-const column_names_continuous = ['fov'];
+const MAX_SPRITE_POINTS = 20000000; // Point sprites are cheap enough to draw every loaded transcript
+const DEFAULT_RANDOM_SEED = 42; // Used when the seed input is empty, so default views are reproducible
+const COORDINATE_UNITS = 'µm'; // Units of the coordinate columns, used for scale bars
+const MAX_SVG_POINTS = 200000; // SVG exports with more circles are too large for vector editors
+const MAX_EXPORT_PIXELS = 100000000; // PNG exports above ~100 MP need gigabytes for the render target and readback
+const UNASSIGNED_CELL_IDS = new Set(['', '-1', 'UNASSIGNED']); // Cell ids of transcripts outside any segmented cell (Vizgen uses -1, Xenium UNASSIGNED)
+const MAX_FILTER_GROUPS = 64; // Filter expressions may expand to at most this many OR groups
+const AXIS_NAMES = ['X', 'Y', 'Z']; // Suffixes of the per-axis clipping controls
+const GIZMO_AXIS_COLORS = [0xe57373, 0x81c784, 0x64b5f6]; // Handle colors for the x, y and z axes
+const MAX_DISCRETE_Z_LEVELS = 100; // With more distinct z values than this, slice mode bins z instead
+const CAMERA_ROTATION_SPEED = 0.01; // Radians of rotation per pixel dragged
+const CAMERA_KEY_PAN_PIXELS = 50; // Keyboard pan step, in screen pixels
+const CAMERA_KEY_ROTATION = Math.PI / 12; // Keyboard rotation step (15 degrees)
+const CAMERA_KEY_ZOOM = 1.2; // Keyboard zoom step factor
+const KEY_BINDINGS_STORAGE_KEY = 'cellcarto-key-bindings'; // localStorage key of the rebound camera keys
+const DEFAULT_KEYFRAME_DURATION = 2; // Seconds from a new keyframe to the next one
+const SCALE_BAR_MAX_PIXELS = 150; // The on-screen scale bar is the longest round length up to this width
+const CLICK_TOLERANCE_PIXELS = 4; // Pointer movement up to which a press and release still counts as a click
+const POLYGON_CLOSE_PIXELS = 10; // Clicking this close to the first corner closes a polygon region
+const ANNOTATION_LABEL_PIXELS = 18; // Height of annotation and pin labels on screen
+const MAX_PINNED_PANELS = 6; // Pinning another point unpins the oldest
+const PIN_CHART_GENES = 15; // Genes in the bar charts of a pinned panel
+const SPATIAL_INDEX_LEAF_SIZE = 32; // k-d tree nodes with at most this many points are not split further
+    
+// Column configuration for the startup files - users can manually change these lists
+// Loading local files replaces them with the schema chosen in the column mapping dialog
+let idx_names = ['global_x', 'global_y', 'global_z'];
+let column_names_categorical = ['gene', 'cell_id'];
+let column_names_continuous = ['fov'];
 
 // Global variables
 let scene, camera, renderer, controls;
+let perspectiveCamera, orthographicCamera; // camera is one of these, see setCameraProjection
 let points, pointCloud, sphereMesh;
-let allData = [];
+let store = createEmptyStore(); // Columnar transcript store, see createEmptyStore
 let visibleIndices = null; // Will be Uint32Array
 let colorMap = new Map();
+let customColorKeys = new Set(); // colorMap keys whose colors were picked in the legend (saved with the view state)
+let legendHiddenValues = new Map(); // Categorical column -> Set of values hidden from the legend, applied after all filters
+let legendCandidateIndices = null; // visibleIndices before the legend toggles, so hidden values stay listed in the legend
+let legendPage = 0; // Current page of the categorical legend
+let colorSettings = { palette: 'glasbey', colormap: 'viridis', scale: 'linear', clampLow: 0, clampHigh: 100 }; // Color controls, see updateColorSettings
+let colorScaleCache = new Map(); // Continuous column -> color scale over all transcripts, see getColorScale
+let valueRankCache = new Map(); // Categorical column -> Map of value -> frequency rank, see getValueRanks
+let gradientLookupTables = new Map(); // Colormap name -> precomputed colors, see getGradientColor
 let attributeValues = {}; // Will be dynamically populated
 let continuousRanges = {}; // Will store min/max for each continuous variable
 let cameraInitialized = false;
-let activeFilters = []; // Array of filter objects: { attribute, type: 'categorical'|'time', values/range }
+let activeFilters = []; // Array of filter objects: { attribute, type: 'categorical'|'continuous'|'selection'|'roi'|'region', values/range/mask/box/region, negate, group } (AND within a group, OR between groups)
 let initialCameraState = { position: null, target: null }; // Store initial camera state for reset
-let renderedIndicesMap = null; // Map from instance index to data index for hover detection
+let renderedIndicesMap = null; // Map from instance index to data index (or cell index in cells view) for picking
+let sampleOrder = null; // Uint32Array of store indices in a fixed random order, for stable sampling
+let visibleMask = null; // Uint8Array over store indices, 1 where the point passes all filters
+let storeBounds = null; // Cached { min, max } coordinates of all stored points, see getStoreBounds
+let zLevelCache = null; // Cached { values } with the distinct z levels of the store, see getDistinctZValues
+let slicePlayTimer = null; // Interval stepping through z slices while playing
+let heatmapPlane = null; // Textured plane with the binned expression heatmap, see updateHeatmap
+let selectionTool = null; // Active selection tool: 'box', 'lasso' or null
+let selectionPolygon = null; // Outline being drawn with the selection tool, as [x, y] canvas pixels
+let selectionMask = null; // Uint8Array over store indices, 1 for selected transcripts (null when nothing is selected)
+let selectedIndices = null; // Uint32Array of the selected store indices
+let highlightTables = []; // Categorical filters in highlight mode, as { codes, allowed } lookups over dictionary codes
+let isViewStateReady = false; // The URL hash is only written once the state it held at page load has been restored
+let stateSaveTimeout = null;
 let highlightSphere = null; // Sphere to highlight hovered point
 let tooltip = null; // Tooltip element
-let isShiftPressed = false; // Track SHIFT key state
+let isInspectKeyPressed = false; // Track the inspect key (Shift unless rebound) for hover highlighting
 let raycaster = new THREE.Raycaster(); // For point picking
 let mouse = new THREE.Vector2(); // Mouse position for raycasting
+let loadedDatasets = []; // Datasets currently loaded: { name, source, points, sampling }
+let isLoading = false; // True while loadData is running
+let isViewerInitialized = false; // Event listeners and animation loop are set up after the first successful load
+let activeWorker = null; // CSV worker for the file currently being parsed
+let cancelActiveLoad = null; // Terminates activeWorker and rejects its pending request
+let viewMode = 'transcripts'; // 'transcripts' (one point per transcript) or 'cells' (one glyph per cell)
+let cellData = null; // Per-cell aggregation of the visible transcripts in cells view, see computeCellAggregation
+let unassignedCloud = null; // Grey point sprites for transcripts without a cell, shown in cells view
+let spatialGizmos = null; // Group with the clipping box and ROI box outlines and their drag handles
+let activeGizmoDrag = null; // Handle being dragged, see startGizmoDrag
+let keyBindings = {}; // Camera action -> key, see CAMERA_KEY_ACTIONS and loadKeyBindings
+let pressedKeys = new Set(); // Keys held down, for mode keys that aren't modifiers
+let cameraKeyframes = []; // Named camera keyframes, see addKeyframe
+let keyframePlayback = null; // Keyframe animation being played or recorded, see startKeyframePlayback
+let measureToolActive = false; // While true, clicking transcripts places the ruler ends
+let measurePoints = []; // Up to two picked positions (THREE.Vector3) measured by the ruler
+let measureObjects = null; // Group with the ruler line and its end points
+let axesObjects = null; // Group with the data bounding box and its tick marks, see updateAxesBox
+let overlayLabels = []; // HTML labels over scene positions: { kind, element, position }, see setOverlayLabels
+let annotations = []; // Markers and named regions: { id, kind: 'marker'|'polygon'|'sphere', name, color, position | points, zRange | center, radius }
+let annotationTool = null; // Active annotation tool: 'marker', 'polygon', 'sphere' or null
+let annotationDraft = []; // Corners (THREE.Vector3) of the polygon region being drawn
+let annotationObjects = null; // Group with the annotation shapes and labels, see updateAnnotationObjects
+let regionSummaryId = null; // Region whose transcripts are counted in the left panel
+let pinnedPoints = []; // Pinned inspection panels: { number, dataIdx, cellColumn, cellCode, cell, position, fields }, see pinPoint
+let pinCounter = 0; // Number of the last pin
+let pinObjects = null; // Group with the numbered markers of the pinned points
+let spatialIndex = null; // k-d tree over the store positions, see buildSpatialIndex
+let renderedMask = null; // Uint8Array over store indices, 1 for rendered transcripts, see getRenderedMask
 
 // Initialize Three.js scene
 function initScene() {
@@ -46,8 +122,12 @@ function initScene() {
     // Camera
     const width = container.clientWidth;
     const height = container.clientHeight;
-    camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 10000);
-    camera.position.set(0, 0, 100);
+    perspectiveCamera = new THREE.PerspectiveCamera(75, width / height, 0.1, 10000);
+    perspectiveCamera.position.set(0, 0, 100);
+    // The orthographic frustum stays 2 units high; its zoom sets the visible size, see matchOrthographicZoom
+    orthographicCamera = new THREE.OrthographicCamera(-width / height, width / height, 1, -1, 0.1, 10000);
+    camera = perspectiveCamera;
+    loadKeyBindings();
     
     // Renderer
     renderer = new THREE.WebGLRenderer({ canvas: canvas, antialias: true });
@@ -80,395 +160,158 @@ function initScene() {
         TWO: null
     };
     
-    // Track Control key state and mouse state
-    let isControlPressed = false;
-    let isDragging = false;
-    let lastMousePosition = new THREE.Vector2();
-    const panSpeed = 0.1; // Pan speed multiplier (increased for better responsiveness)
-    const rotationSpeed = 0.01; // Rotation speed (increased for better responsiveness)
-    
-    // Listen for Control key
-    window.addEventListener('keydown', (event) => {
-        if (event.key === 'Control' || event.ctrlKey) {
-            if (!isControlPressed) {
-                isControlPressed = true;
-                console.log('[Camera Controls] Control key pressed - rotation mode enabled');
-            }
-        }
-    });
-    
-    window.addEventListener('keyup', (event) => {
-        if (event.key === 'Control' || !event.ctrlKey) {
-            if (isControlPressed) {
-                isControlPressed = false;
-                console.log('[Camera Controls] Control key released - pan mode enabled');
-            }
-        }
-    });
-    
-    // Custom mouse handling for panning and rotation
+    // Camera gestures are handled here rather than by OrbitControls (which only zooms with the wheel):
+    // dragging pans, dragging while holding the rotate key (or with the right button) rotates,
+    // and two touches pan, pinch to zoom and twist to roll
     const canvasElement = renderer.domElement;
+    const activePointers = new Map(); // pointerId -> last position of the pointers pressed on the canvas
+    let dragMode = null; // 'pan', 'rotate' or 'touch' (two-finger gesture) while dragging
+    let rotationPivot = null; // World point the rotation turns around
+    let lastTouch = null; // Midpoint, spread and angle of the two touches at the previous move
+    let clickStart = null; // Where a single press started, until it moves too far to be a click
+    
+    // Midpoint, distance and angle of the first two active pointers
+    const getTouchState = () => {
+        const [a, b] = Array.from(activePointers.values());
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            spread: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        };
+    };
     
-    if (!canvasElement) {
-        console.error('[Camera Controls] ERROR: Canvas element not found!');
-        return;
-    }
-    
-    console.log('[Camera Controls] Setting up event listeners on canvas:', {
-        canvasElement: canvasElement,
-        canvasId: canvasElement.id,
-        canvasTag: canvasElement.tagName,
-        canvasClasses: canvasElement.className,
-        parentElement: canvasElement.parentElement?.id || 'none'
-    });
+    const startDrag = (event) => {
+        if (activePointers.size >= 2) {
+            dragMode = 'touch';
+            lastTouch = getTouchState();
+        } else {
+            const rotate = (event.button === 2 || isKeyHeld(event, 'rotateMode')) && !isSliceMode();
+            dragMode = rotate ? 'rotate' : 'pan';
+            rotationPivot = rotate ? getRotationPivot(event.clientX, event.clientY) : null;
+        }
+        console.log('[Camera Controls] Dragging started, mode:', dragMode.toUpperCase());
+    };
     
-    // Use pointer events (better for Mac trackpads) and mouse events as fallback
     const handlePointerDown = (event) => {
-        // Only handle if clicking on canvas or its children
-        const target = event.target;
-        if (!canvasElement.contains(target) && target !== canvasElement) {
-            return;
-        }
-        
-        console.log('[Camera Controls] pointerdown/mousedown event:', {
-            type: event.type,
-            pointerId: event.pointerId,
-            button: event.button,
-            buttons: event.buttons,
-            clientX: event.clientX,
-            clientY: event.clientY,
-            isControlPressed: isControlPressed,
-            ctrlKey: event.ctrlKey,
-            metaKey: event.metaKey,
-            target: target?.tagName,
-            targetId: target?.id
-        });
+        // Only handle pointers pressed on the canvas
+        if (event.target !== canvasElement) return;
         
-        // Accept any pointer/mouse down on the canvas (Mac trackpads work with pointer events)
-        if (event.button === 0 || event.button === 2 || event.buttons > 0 || event.pointerType === 'mouse' || event.pointerType === 'touch') {
+        // Dragging a clipping plane or ROI handle takes precedence over the camera
+        if (activePointers.size === 0 && startGizmoDrag(event)) {
             event.preventDefault();
             event.stopPropagation();
             event.stopImmediatePropagation();
-            isDragging = true;
-            lastMousePosition.set(event.clientX, event.clientY);
-            console.log('[Camera Controls] Dragging started, mode:', isControlPressed ? 'ROTATE' : 'PAN');
-        }
-    };
-    
-    // Add both pointer and mouse events for maximum compatibility
-    canvasElement.addEventListener('pointerdown', handlePointerDown, { capture: true, passive: false });
-    canvasElement.addEventListener('mousedown', handlePointerDown, { capture: true, passive: false });
-    
-    // Also try on document as fallback
-    document.addEventListener('pointerdown', (event) => {
-        if (canvasElement.contains(event.target) || event.target === canvasElement) {
-            handlePointerDown(event);
-        }
-    }, { capture: true, passive: false });
-    
-    document.addEventListener('mousedown', (event) => {
-        if (canvasElement.contains(event.target) || event.target === canvasElement) {
-            handlePointerDown(event);
+            return;
         }
-    }, { capture: true, passive: false });
-    
-    // Also handle touch events for Mac trackpads
-    canvasElement.addEventListener('touchstart', (event) => {
-        console.log('[Camera Controls] touchstart event:', {
-            touches: event.touches.length,
-            clientX: event.touches[0]?.clientX,
-            clientY: event.touches[0]?.clientY,
-            isControlPressed: isControlPressed
-        });
         
-        if (event.touches.length === 1) { // Single finger touch
-            event.preventDefault();
-            event.stopPropagation();
-            event.stopImmediatePropagation();
-            isDragging = true;
-            lastMousePosition.set(event.touches[0].clientX, event.touches[0].clientY);
-            console.log('[Camera Controls] Touch dragging started, mode:', isControlPressed ? 'ROTATE' : 'PAN');
+        event.preventDefault();
+        event.stopPropagation();
+        event.stopImmediatePropagation();
+        // Taking over the camera stops a keyframe animation (but not a recording)
+        if (keyframePlayback && !keyframePlayback.recorder) {
+            stopKeyframePlayback();
         }
-    }, { capture: true, passive: false });
+        canvasElement.setPointerCapture(event.pointerId);
+        clickStart = activePointers.size === 0 && event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+        activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        startDrag(event);
+    };
     
     const handlePointerMove = (event) => {
-        if (isDragging) {
+        if (activeGizmoDrag) {
             event.preventDefault();
             event.stopPropagation();
             event.stopImmediatePropagation();
-            const deltaX = event.clientX - lastMousePosition.x;
-            const deltaY = event.clientY - lastMousePosition.y;
-            
-            console.log('[Camera Controls] mousemove while dragging:', {
-                deltaX: deltaX.toFixed(2),
-                deltaY: deltaY.toFixed(2),
-                isControlPressed: isControlPressed,
-                mode: isControlPressed ? 'ROTATE' : 'PAN'
-            });
-            
-            if (isControlPressed) {
-                // Control + drag: Rotate camera
-                // Up/down: rotate around x-axis (pitch) to view z variation
-                // Left/right: rotate around y-axis (yaw)
-                
-                console.log('[Camera Controls] ROTATING - Control held');
-                
-                // Get camera's current position relative to target
-                const offset = new THREE.Vector3();
-                offset.subVectors(camera.position, controls.target);
-                
-                const beforePos = camera.position.clone();
-                
-                // Apply rotations
-                if (Math.abs(deltaY) > 0) {
-                    // Rotate around world x-axis (pitch) - tilt to see z variation
-                    const pitchAngle = deltaY * rotationSpeed;
-                    console.log('[Camera Controls] Rotating around X-axis (pitch):', pitchAngle.toFixed(4));
-                    const xAxis = new THREE.Vector3(1, 0, 0);
-                    const rotationMatrixX = new THREE.Matrix4();
-                    rotationMatrixX.makeRotationAxis(xAxis, pitchAngle);
-                    offset.applyMatrix4(rotationMatrixX);
-                }
-                
-                if (Math.abs(deltaX) > 0) {
-                    // Rotate around world y-axis (yaw)
-                    const yawAngle = deltaX * rotationSpeed;
-                    console.log('[Camera Controls] Rotating around Y-axis (yaw):', yawAngle.toFixed(4));
-                    const yAxis = new THREE.Vector3(0, 1, 0);
-                    const rotationMatrixY = new THREE.Matrix4();
-                    rotationMatrixY.makeRotationAxis(yAxis, yawAngle);
-                    offset.applyMatrix4(rotationMatrixY);
-                }
-                
-                // Update camera position
-                camera.position.copy(controls.target).add(offset);
-                
-                // Update camera to look at target
-                camera.lookAt(controls.target);
-                
-                console.log('[Camera Controls] Camera position updated:', {
-                    before: `(${beforePos.x.toFixed(2)}, ${beforePos.y.toFixed(2)}, ${beforePos.z.toFixed(2)})`,
-                    after: `(${camera.position.x.toFixed(2)}, ${camera.position.y.toFixed(2)}, ${camera.position.z.toFixed(2)})`
-                });
-            } else {
-                // Default drag: Pan camera in x-y plane
-                // Up/down: pan in y direction (world space)
-                // Left/right: pan in x direction (world space)
-                
-                console.log('[Camera Controls] PANNING - No Control key');
-                
-                // Scale pan speed by camera distance for more natural feel
-                const cameraDistance = camera.position.distanceTo(controls.target);
-                const scaledPanSpeed = panSpeed * (cameraDistance * 0.01);
-                
-                const beforeTarget = controls.target.clone();
-                const beforePos = camera.position.clone();
-                
-                if (Math.abs(deltaY) > 0) {
-                    // Pan in y direction (world space)
-                    const yPanAmount = deltaY * scaledPanSpeed;
-                    console.log('[Camera Controls] Panning in Y direction:', yPanAmount.toFixed(4));
-                    const yPanVector = new THREE.Vector3(0, yPanAmount, 0);
-                    controls.target.add(yPanVector);
-                    camera.position.add(yPanVector);
-                }
-                
-                if (Math.abs(deltaX) > 0) {
-                    // Pan in x direction (world space)
-                    const xPanAmount = deltaX * scaledPanSpeed;
-                    console.log('[Camera Controls] Panning in X direction:', xPanAmount.toFixed(4));
-                    const xPanVector = new THREE.Vector3(xPanAmount, 0, 0);
-                    controls.target.add(xPanVector);
-                    camera.position.add(xPanVector);
-                }
-                
-                console.log('[Camera Controls] Target updated:', {
-                    before: `(${beforeTarget.x.toFixed(2)}, ${beforeTarget.y.toFixed(2)}, ${beforeTarget.z.toFixed(2)})`,
-                    after: `(${controls.target.x.toFixed(2)}, ${controls.target.y.toFixed(2)}, ${controls.target.z.toFixed(2)})`
-                });
-            }
-            
-            controls.update();
-            camera.updateMatrixWorld();
-            lastMousePosition.set(event.clientX, event.clientY);
-        }
-    };
-    
-    // Add both pointer and mouse events
-    canvasElement.addEventListener('pointermove', handlePointerMove, { capture: true, passive: false });
-    canvasElement.addEventListener('mousemove', handlePointerMove, { capture: true, passive: false });
-    
-    // Also on document as fallback
-    document.addEventListener('pointermove', (event) => {
-        if (isDragging) {
-            handlePointerMove(event);
+            updateGizmoDrag(event);
+            return;
         }
-    }, { capture: true, passive: false });
-    
-    document.addEventListener('mousemove', (event) => {
-        if (isDragging) {
-            handlePointerMove(event);
+        const pointer = activePointers.get(event.pointerId);
+        if (!pointer) return;
+        event.preventDefault();
+        event.stopPropagation();
+        event.stopImmediatePropagation();
+        
+        const deltaX = event.clientX - pointer.x;
+        const deltaY = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        if (clickStart && Math.hypot(event.clientX - clickStart.x, event.clientY - clickStart.y) > CLICK_TOLERANCE_PIXELS) {
+            clickStart = null;
         }
-    }, { capture: true, passive: false });
-    
-    // Handle touchmove for Mac trackpads
-    canvasElement.addEventListener('touchmove', (event) => {
-        if (isDragging && event.touches.length === 1) {
-            event.preventDefault();
-            event.stopPropagation();
-            event.stopImmediatePropagation();
-            const deltaX = event.touches[0].clientX - lastMousePosition.x;
-            const deltaY = event.touches[0].clientY - lastMousePosition.y;
-            
-            console.log('[Camera Controls] touchmove while dragging:', {
-                deltaX: deltaX.toFixed(2),
-                deltaY: deltaY.toFixed(2),
-                isControlPressed: isControlPressed,
-                mode: isControlPressed ? 'ROTATE' : 'PAN'
-            });
-            
-            // Use the same logic as mousemove
-            if (isControlPressed) {
-                // Rotate logic (same as mousemove)
-                const offset = new THREE.Vector3();
-                offset.subVectors(camera.position, controls.target);
-                
-                if (Math.abs(deltaY) > 0) {
-                    const pitchAngle = deltaY * rotationSpeed;
-                    const xAxis = new THREE.Vector3(1, 0, 0);
-                    const rotationMatrixX = new THREE.Matrix4();
-                    rotationMatrixX.makeRotationAxis(xAxis, pitchAngle);
-                    offset.applyMatrix4(rotationMatrixX);
-                }
-                
-                if (Math.abs(deltaX) > 0) {
-                    const yawAngle = deltaX * rotationSpeed;
-                    const yAxis = new THREE.Vector3(0, 1, 0);
-                    const rotationMatrixY = new THREE.Matrix4();
-                    rotationMatrixY.makeRotationAxis(yAxis, yawAngle);
-                    offset.applyMatrix4(rotationMatrixY);
-                }
-                
-                camera.position.copy(controls.target).add(offset);
-                camera.lookAt(controls.target);
-            } else {
-                // Pan logic (same as mousemove)
-                const cameraDistance = camera.position.distanceTo(controls.target);
-                const scaledPanSpeed = panSpeed * (cameraDistance * 0.01);
-                
-                if (Math.abs(deltaY) > 0) {
-                    const yPanAmount = deltaY * scaledPanSpeed;
-                    const yPanVector = new THREE.Vector3(0, yPanAmount, 0);
-                    controls.target.add(yPanVector);
-                    camera.position.add(yPanVector);
-                }
-                
-                if (Math.abs(deltaX) > 0) {
-                    const xPanAmount = deltaX * scaledPanSpeed;
-                    const xPanVector = new THREE.Vector3(xPanAmount, 0, 0);
-                    controls.target.add(xPanVector);
-                    camera.position.add(xPanVector);
-                }
+        
+        if (dragMode === 'touch') {
+            // Two fingers: the midpoint pans, the spread zooms and the angle rolls the view
+            const touch = getTouchState();
+            panCamera(touch.x - lastTouch.x, touch.y - lastTouch.y);
+            if (lastTouch.spread > 0 && touch.spread > 0) {
+                zoomCamera(touch.spread / lastTouch.spread);
             }
-            
-            controls.update();
-            camera.updateMatrixWorld();
-            lastMousePosition.set(event.touches[0].clientX, event.touches[0].clientY);
+            if (!isSliceMode()) {
+                const twist = touch.angle - lastTouch.angle;
+                rollCamera(Math.atan2(Math.sin(twist), Math.cos(twist)));
+            }
+            lastTouch = touch;
+        } else if (dragMode === 'rotate') {
+            rotateCamera(deltaX * CAMERA_ROTATION_SPEED, deltaY * CAMERA_ROTATION_SPEED, rotationPivot);
+        } else {
+            panCamera(deltaX, deltaY);
         }
-    }, { capture: true, passive: false });
+    };
     
     const handlePointerUp = (event) => {
-        console.log('[Camera Controls] pointerup/mouseup event:', {
-            type: event.type,
-            button: event.button,
-            buttons: event.buttons,
-            isDragging: isDragging,
-            pointerId: event.pointerId
-        });
+        if (activeGizmoDrag) {
+            endGizmoDrag();
+        }
+        if (!activePointers.has(event.pointerId)) return;
+        event.preventDefault();
+        event.stopPropagation();
+        event.stopImmediatePropagation();
+        activePointers.delete(event.pointerId);
         
-        if (isDragging) {
-            event.preventDefault();
-            event.stopPropagation();
-            event.stopImmediatePropagation();
-            isDragging = false;
+        // Lifting one of two fingers carries on panning with the other
+        if (activePointers.size > 0) {
+            clickStart = null;
+            startDrag(event);
+        } else {
+            dragMode = null;
+            rotationPivot = null;
             console.log('[Camera Controls] Dragging stopped');
+            if (clickStart && event.type === 'pointerup') {
+                handleCanvasClick(event);
+            }
+            clickStart = null;
         }
     };
     
-    // Add both pointer and mouse events
-    canvasElement.addEventListener('pointerup', handlePointerUp, { capture: true, passive: false });
-    canvasElement.addEventListener('mouseup', handlePointerUp, { capture: true, passive: false });
-    
-    // Also on document as fallback
+    // Capture on the document, so the handlers run before OrbitControls' own listeners on the canvas
+    document.addEventListener('pointerdown', handlePointerDown, { capture: true, passive: false });
+    document.addEventListener('pointermove', handlePointerMove, { capture: true, passive: false });
     document.addEventListener('pointerup', handlePointerUp, { capture: true, passive: false });
-    document.addEventListener('mouseup', handlePointerUp, { capture: true, passive: false });
+    document.addEventListener('pointercancel', handlePointerUp, { capture: true, passive: false });
     
-    // Handle touchend for Mac trackpads
-    canvasElement.addEventListener('touchend', (event) => {
-        console.log('[Camera Controls] touchend event');
+    // Keep the browser's own touch scrolling and zooming off the canvas
+    canvasElement.addEventListener('touchstart', (event) => {
         event.preventDefault();
-        event.stopPropagation();
-        event.stopImmediatePropagation();
-        isDragging = false;
-        console.log('[Camera Controls] Touch dragging stopped');
-    }, { capture: true, passive: false });
-    
-    // Handle pointer cancel (Mac trackpads sometimes send this)
-    canvasElement.addEventListener('pointercancel', (event) => {
-        console.log('[Camera Controls] pointercancel event');
-        isDragging = false;
-    }, { capture: true, passive: false });
-    
-    canvasElement.addEventListener('mouseleave', () => {
-        if (isDragging) {
-            console.log('[Camera Controls] Mouse left canvas while dragging - stopping drag');
-            isDragging = false;
-        }
-    });
+    }, { passive: false });
     
-    canvasElement.addEventListener('pointerleave', () => {
-        if (isDragging) {
-            console.log('[Camera Controls] Pointer left canvas while dragging - stopping drag');
-            isDragging = false;
-        }
+    // The right button rotates, so it doesn't open the context menu
+    canvasElement.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
     });
     
-    // Test listener to see if ANY events are being received on the canvas
-    const testAllEvents = ['click', 'mousedown', 'pointerdown', 'touchstart', 'contextmenu'];
-    testAllEvents.forEach(eventType => {
-        canvasElement.addEventListener(eventType, (event) => {
-            console.log(`[Camera Controls] TEST - ${eventType} event received on canvas:`, {
-                type: event.type,
-                target: event.target?.tagName,
-                button: event.button,
-                buttons: event.buttons
-            });
-        }, { capture: true });
+    // Keyboard navigation and held mode keys
+    window.addEventListener('keydown', handleCameraKey);
+    window.addEventListener('keyup', (event) => {
+        pressedKeys.delete(normalizeKey(event.key));
     });
-    
-    // Also handle mouseup on window to catch cases where mouse is released outside canvas
-    window.addEventListener('mouseup', (event) => {
-        if (event.button === 0 || event.button === 2) {
-            if (isDragging) {
-                console.log('[Camera Controls] Mouse released outside canvas - stopping drag');
-                isDragging = false;
-            }
-        }
+    window.addEventListener('blur', () => {
+        pressedKeys.clear();
     });
     
-    // Add initial state logging
     console.log('[Camera Controls] Initialized:', {
-        enableRotate: controls.enableRotate,
-        enablePan: controls.enablePan,
         enableZoom: controls.enableZoom,
-        canvasElement: canvasElement ? 'found' : 'NOT FOUND'
-    });
-    
-    // Prevent context menu on right click when Control is held
-    canvasElement.addEventListener('contextmenu', (event) => {
-        if (isControlPressed) {
-            event.preventDefault();
-        }
+        keyBindings: keyBindings
     });
     
     // Lighting
@@ -482,24 +325,20 @@ function initScene() {
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
     
-    // Track SHIFT key for hover highlighting
+    // Track the inspect key (Shift by default) for hover highlighting
     window.addEventListener('keydown', (event) => {
-        if (event.key === 'Shift' || event.shiftKey) {
-            if (!isShiftPressed) {
-                isShiftPressed = true;
-                console.log('[Hover] SHIFT pressed - hover mode enabled');
-            }
+        if (!isInspectKeyPressed && isKeyHeld(event, 'inspectMode')) {
+            isInspectKeyPressed = true;
+            console.log('[Hover] Inspect key pressed - hover mode enabled');
         }
     });
     
     window.addEventListener('keyup', (event) => {
-        if (event.key === 'Shift' || !event.shiftKey) {
-            if (isShiftPressed) {
-                isShiftPressed = false;
-                console.log('[Hover] SHIFT released - hover mode disabled');
-                // Hide highlight and tooltip when SHIFT is released
-                hideHighlight();
-            }
+        if (isInspectKeyPressed && !isKeyHeld(event, 'inspectMode')) {
+            isInspectKeyPressed = false;
+            console.log('[Hover] Inspect key released - hover mode disabled');
+            // Hide highlight and tooltip when the key is released
+            hideHighlight();
         }
     });
     
@@ -556,15 +395,22 @@ function onWindowResize() {
     const width = container.clientWidth;
     const height = container.clientHeight;
     
-    camera.aspect = width / height;
-    camera.updateProjectionMatrix();
+    const aspect = width / height;
+    perspectiveCamera.aspect = aspect;
+    perspectiveCamera.updateProjectionMatrix();
+    orthographicCamera.left = -aspect * orthographicCamera.top;
+    orthographicCamera.right = aspect * orthographicCamera.top;
+    orthographicCamera.updateProjectionMatrix();
     renderer.setSize(width, height);
+    
+    // Sprite sizes depend on the canvas height
+    updateSpriteScales();
 }
 
 // Handle hover detection when SHIFT is held
 function handleHover(event) {
-    // Only handle hover if SHIFT is pressed and not dragging camera
-    if (!isShiftPressed || !sphereMesh || !renderedIndicesMap) {
+    // Only handle hover if the inspect key is pressed and not dragging camera
+    if (!isInspectKeyPressed || !pointCloud || !renderedIndicesMap) {
         hideHighlight();
         return;
     }
@@ -576,48 +422,22 @@ function handleHover(event) {
         return;
     }
     
-    const canvas = renderer.domElement;
-    const rect = canvas.getBoundingClientRect();
-    
-    // Calculate mouse position in normalized device coordinates (-1 to +1)
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    
-    // Update raycaster - for instanced meshes, we need to check intersections properly
-    const pointSize = parseFloat(document.getElementById('pointSize')?.value || 1);
-    raycaster.setFromCamera(mouse, camera);
-    
-    // Check intersection with instanced mesh
-    // Note: Raycaster should automatically handle instanced meshes
     try {
-        const intersects = raycaster.intersectObject(sphereMesh, false);
+        const picked = pickRenderedPoint(event.clientX, event.clientY);
         
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            const instanceId = intersection.instanceId;
+        if (picked && picked.cellIdx !== undefined) {
+            // In cells view the rendered glyphs are cells, highlighted at their centroid
+            showHighlight(picked.position, getCellTooltipContent(picked.cellIdx, picked.position), event.clientX, event.clientY);
+        } else if (picked) {
+            // Show highlight at the actual point position (not intersection point)
+            showHighlight(picked.position, getTranscriptTooltipContent(picked.position, picked.dataIdx), event.clientX, event.clientY);
             
-            if (instanceId !== undefined && instanceId !== null && instanceId < renderedIndicesMap.length) {
-                const dataIdx = renderedIndicesMap[instanceId];
-                if (dataIdx !== undefined && dataIdx < allData.length) {
-                    const point = allData[dataIdx];
-                    
-                    // Show highlight at the actual point position (not intersection point)
-                    const pointPosition = new THREE.Vector3(point.x, point.y, point.z);
-                    showHighlight(pointPosition, point, event.clientX, event.clientY);
-                    
-                    // Log for debugging (only occasionally to avoid spam)
-                    if (Math.random() < 0.01) { // Log 1% of the time
-                        console.log('[Hover] Point highlighted:', {
-                            instanceId,
-                            dataIdx,
-                            position: `(${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`
-                        });
-                    }
-                } else {
-                    hideHighlight();
-                }
-            } else {
-                hideHighlight();
+            // Log for debugging (only occasionally to avoid spam)
+            if (Math.random() < 0.01) { // Log 1% of the time
+                console.log('[Hover] Point highlighted:', {
+                    dataIdx: picked.dataIdx,
+                    position: `(${picked.position.x.toFixed(2)}, ${picked.position.y.toFixed(2)}, ${picked.position.z.toFixed(2)})`
+                });
             }
         } else {
             hideHighlight();
@@ -628,8 +448,61 @@ function handleHover(event) {
     }
 }
 
-// Show highlight and tooltip for a point
-function showHighlight(position, point, mouseX, mouseY) {
+// A click on the view (pressed and released without dragging): places a ruler end or an annotation while their tools are on,
+// and otherwise pins an inspection panel for the transcript or cell under the cursor
+function handleCanvasClick(event) {
+    if (measureToolActive) {
+        addMeasurePoint(event.clientX, event.clientY);
+    } else if (annotationTool) {
+        addAnnotationPoint(event.clientX, event.clientY);
+    } else {
+        const picked = pickRenderedPoint(event.clientX, event.clientY);
+        if (picked) pinPoint(picked);
+    }
+}
+
+// The rendered point under a screen position, or null: { dataIdx, position } for a transcript,
+// or { cellIdx, position } (at the centroid) for a cell in cells view
+function pickRenderedPoint(clientX, clientY) {
+    if (!pointCloud || !renderedIndicesMap) return null;
+    
+    const canvas = renderer.domElement;
+    const rect = canvas.getBoundingClientRect();
+    
+    // Calculate mouse position in normalized device coordinates (-1 to +1)
+    mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    
+    const pointSize = parseFloat(document.getElementById('pointSize')?.value || 1);
+    raycaster.setFromCamera(mouse, camera);
+    
+    // Transcripts are picked within their radius of the ray through the spatial index
+    if (spatialIndex && !isCellView()) {
+        const hit = queryRay(raycaster.ray, pointSize, getRenderedMask());
+        return hit ? { dataIdx: hit.index, position: getStorePosition(hit.index, new THREE.Vector3()) } : null;
+    }
+    
+    // Point sprites are picked within their radius of the ray
+    raycaster.params.Points.threshold = pointSize;
+    
+    // Instanced meshes report instanceId, points report the vertex index
+    const intersects = raycaster.intersectObject(pointCloud, false);
+    if (intersects.length === 0) return null;
+    const instanceId = pointCloud.isPoints ? intersects[0].index : intersects[0].instanceId;
+    if (instanceId === undefined || instanceId === null || instanceId >= renderedIndicesMap.length) return null;
+    
+    if (isCellView()) {
+        // In cells view renderedIndicesMap holds cell indices
+        const cellIdx = renderedIndicesMap[instanceId];
+        return { cellIdx, position: new THREE.Vector3().fromArray(cellData.centroids, cellIdx * 3) };
+    }
+    const dataIdx = renderedIndicesMap[instanceId];
+    if (dataIdx === undefined || dataIdx >= store.length) return null;
+    return { dataIdx, position: getStorePosition(dataIdx, new THREE.Vector3()) };
+}
+
+// Show highlight at position and a tooltip with the given HTML content near the mouse
+function showHighlight(position, tooltipContent, mouseX, mouseY) {
     if (!highlightSphere || !tooltip) {
         console.warn('[Hover] Highlight sphere or tooltip not available');
         return;
@@ -643,27 +516,6 @@ function showHighlight(position, point, mouseX, mouseY) {
     highlightSphere.position.copy(position);
     highlightSphere.visible = true;
     
-    // Create tooltip content
-    const colorBy = document.getElementById('colorBy')?.value || 'gene';
-    let tooltipContent = '<div style="font-weight: bold; margin-bottom: 6px; border-bottom: 1px solid rgba(255,255,255,0.3); padding-bottom: 4px;">Point Information</div>';
-    
-    // Add coordinates
-    tooltipContent += `<div style="margin-bottom: 4px;"><strong>Coordinates:</strong><br>(${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})</div>`;
-    
-    // Add all categorical attributes
-    column_names_categorical.forEach(col => {
-        if (point[col] !== undefined && point[col] !== '') {
-            tooltipContent += `<div style="margin-bottom: 2px;"><strong>${col}:</strong> ${point[col]}</div>`;
-        }
-    });
-    
-    // Add all continuous attributes
-    column_names_continuous.forEach(col => {
-        if (point[col] !== null && point[col] !== undefined) {
-            tooltipContent += `<div style="margin-bottom: 2px;"><strong>${col}:</strong> ${point[col].toFixed(4)}</div>`;
-        }
-    });
-    
     tooltip.innerHTML = tooltipContent;
     tooltip.style.display = 'block';
     
@@ -693,6 +545,58 @@ function showHighlight(position, point, mouseX, mouseY) {
     });
 }
 
+// Tooltip content for a transcript (dataIdx is its index in the store)
+function getTranscriptTooltipContent(position, dataIdx) {
+    let tooltipContent = '<div style="font-weight: bold; margin-bottom: 6px; border-bottom: 1px solid rgba(255,255,255,0.3); padding-bottom: 4px;">Point Information</div>';
+    
+    // Add coordinates
+    tooltipContent += `<div style="margin-bottom: 4px;"><strong>Coordinates:</strong><br>(${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})</div>`;
+    
+    // Add all categorical attributes
+    column_names_categorical.forEach(col => {
+        const value = getCategoricalValue(col, dataIdx);
+        if (value !== undefined && value !== '') {
+            tooltipContent += `<div style="margin-bottom: 2px;"><strong>${col}:</strong> ${value}</div>`;
+        }
+    });
+    
+    // Add all continuous attributes
+    column_names_continuous.forEach(col => {
+        const value = getContinuousValue(col, dataIdx);
+        if (value !== null) {
+            tooltipContent += `<div style="margin-bottom: 2px;"><strong>${col}:</strong> ${value.toFixed(4)}</div>`;
+        }
+    });
+    
+    return tooltipContent;
+}
+
+// Tooltip content for a cell in cells view (cellIdx indexes cellData)
+function getCellTooltipContent(cellIdx, centroid) {
+    const cellId = store.categorical[cellData.cellColumn].values[cellData.cellCodes[cellIdx]];
+    const geneValues = store.categorical[cellData.geneColumn].values;
+    let tooltipContent = '<div style="font-weight: bold; margin-bottom: 6px; border-bottom: 1px solid rgba(255,255,255,0.3); padding-bottom: 4px;">Cell Information</div>';
+    
+    tooltipContent += `<div style="margin-bottom: 2px;"><strong>${cellData.cellColumn}:</strong> ${cellId}</div>`;
+    tooltipContent += `<div style="margin-bottom: 4px;"><strong>Centroid:</strong><br>(${centroid.x.toFixed(2)}, ${centroid.y.toFixed(2)}, ${centroid.z.toFixed(2)})</div>`;
+    tooltipContent += `<div style="margin-bottom: 4px;"><strong>Transcripts:</strong> ${cellData.totals[cellIdx].toLocaleString()}</div>`;
+    
+    // Most abundant genes of the cell
+    const genes = [];
+    for (let k = cellData.offsets[cellIdx]; k < cellData.offsets[cellIdx + 1]; k++) {
+        genes.push({ value: geneValues[cellData.geneCodes[k]], count: cellData.geneCounts[k] });
+    }
+    genes.sort((a, b) => b.count - a.count);
+    genes.slice(0, 5).forEach(gene => {
+        tooltipContent += `<div style="margin-bottom: 2px;"><strong>${gene.value || '(empty)'}:</strong> ${gene.count}</div>`;
+    });
+    if (genes.length > 5) {
+        tooltipContent += `<div style="margin-bottom: 2px;">... and ${genes.length - 5} more ${cellData.geneColumn} values</div>`;
+    }
+    
+    return tooltipContent;
+}
+
 // Hide highlight and tooltip
 function hideHighlight() {
     if (highlightSphere) {
@@ -703,187 +607,554 @@ function hideHighlight() {
     }
 }
 
-// Helper function to load and decompress a gzipped file
-async function loadGzippedFile(url) {
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status} for ${url}`);
-    }
-    
-    if (!response.body) {
-        throw new Error('Response body is null');
-    }
-    
-    const decompressionStream = new DecompressionStream('gzip');
-    const decompressedStream = response.body.pipeThrough(decompressionStream);
-    const decompressedResponse = new Response(decompressedStream);
-    const text = await decompressedResponse.text();
-    
-    return text;
+// Run a request in a fresh CSV worker (see csv-worker.js); onProgress receives progress messages
+// The worker is terminated when the request finishes, or when cancelActiveLoad() is called
+function runCSVWorker(message, onProgress) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./csv-worker.js', import.meta.url));
+        
+        const finish = () => {
+            worker.terminate();
+            if (activeWorker === worker) {
+                activeWorker = null;
+                cancelActiveLoad = null;
+            }
+        };
+        
+        activeWorker = worker;
+        cancelActiveLoad = () => {
+            finish();
+            reject(new DOMException('Load cancelled', 'AbortError'));
+        };
+        
+        worker.onmessage = (event) => {
+            const data = event.data;
+            if (data.type === 'progress') {
+                if (onProgress) onProgress(data);
+            } else if (data.type === 'error') {
+                finish();
+                reject(new Error(data.message));
+            } else {
+                finish();
+                resolve(data);
+            }
+        };
+        
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message || 'CSV worker failed'));
+        };
+        
+        // Resolve relative URLs against the page, since the worker fetches relative to its own script
+        const source = typeof message.source === 'string' ? new URL(message.source, document.baseURI).href : message.source;
+        worker.postMessage({ ...message, source: source });
+    });
 }
 
-// Load and parse data with chunked processing
-async function loadData() {
-    const loadingEl = document.getElementById('loading');
-    let loadingText = loadingEl.querySelector('.loading-text');
-    
-    // If loading-text doesn't exist, create the structure
-    if (!loadingText) {
-        loadingEl.innerHTML = '<div class="loading-spinner"></div><div class="loading-text">Loading data... This may take a moment.</div>';
-        loadingText = loadingEl.querySelector('.loading-text');
-    }
-    
-    // Ensure loading is visible
-    loadingEl.style.display = 'flex';
-    loadingText.textContent = 'Loading data... This may take a moment.';
+// Read the header and first rows of a dataset source without parsing the whole file
+function readFileHead(source, maxRows = 200) {
+    return runCSVWorker({ type: 'head', source: source, maxRows: maxRows });
+}
+
+// Display name for a dataset source
+function getSourceName(source) {
+    return typeof source === 'string' ? source.split('/').pop() : source.name;
+}
+
+// Format a byte count for the loading overlay
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / 1024).toFixed(0)} KB`;
+}
+
+// Candidate coordinate column names for common platforms (Vizgen, Xenium, CosMx), in order of preference
+const COORDINATE_COLUMN_CANDIDATES = {
+    x: ['global_x', 'x_location', 'x_global_px', 'x_global', 'centroid_x', 'x_um', 'x'],
+    y: ['global_y', 'y_location', 'y_global_px', 'y_global', 'centroid_y', 'y_um', 'y'],
+    z: ['global_z', 'z_location', 'z_global_px', 'z_global', 'centroid_z', 'z_um', 'z']
+};
+
+// Guess a role ('x', 'y', 'z', 'categorical', 'continuous' or 'ignore') for every column from its name and sample values
+function guessColumnRoles(headers, rows) {
+    const roles = {};
+    const lowerHeaders = headers.map(h => h.trim().toLowerCase());
+    
+    // Coordinates: first candidate name present in the header, falling back to the current configuration
+    ['x', 'y', 'z'].forEach((axis, axisIndex) => {
+        const candidates = [idx_names[axisIndex].toLowerCase(), ...COORDINATE_COLUMN_CANDIDATES[axis]];
+        for (const candidate of candidates) {
+            const idx = lowerHeaders.indexOf(candidate);
+            if (idx !== -1 && !roles[headers[idx]]) {
+                roles[headers[idx]] = axis;
+                break;
+            }
+        }
+    });
     
-    try {
-        const loadStartTime = Date.now();
+    headers.forEach((header, colIdx) => {
+        if (roles[header]) return;
         
-        // Initialize data structures
-        allData = [];
-        let headers = null;
-        let xIdx, yIdx, zIdx;
-        const categoricalIndices = {};
-        const continuousIndices = {};
+        // Unnamed columns are usually a row index written by pandas
+        if (!header.trim()) {
+            roles[header] = 'ignore';
+            return;
+        }
         
-        // Process each file individually: load, parse, and downsample
-        for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
-            const file = files[fileIndex];
-            loadingText.textContent = `Loading and processing file ${fileIndex + 1}/${files.length}...`;
-            
-            // Load file
-            const fileText = await loadGzippedFile(file);
-            const fileLines = fileText.split('\n');
-            
-            // Get headers from first file
-            if (fileIndex === 0) {
-                headers = fileLines[0].split(',');
-                
-                // Find column indices for coordinates
-                xIdx = headers.indexOf(idx_names[0]);
-                yIdx = headers.indexOf(idx_names[1]);
-                zIdx = headers.indexOf(idx_names[2]);
-                
-                // Validate that coordinate columns were found
-                if (xIdx === -1 || yIdx === -1 || zIdx === -1) {
-                    const missing = [];
-                    if (xIdx === -1) missing.push(idx_names[0]);
-                    if (yIdx === -1) missing.push(idx_names[1]);
-                    if (zIdx === -1) missing.push(idx_names[2]);
-                    console.error(`Error: Coordinate columns not found: ${missing.join(', ')}`);
-                    console.error(`Available columns: ${headers.join(', ')}`);
-                    throw new Error(`Coordinate columns not found: ${missing.join(', ')}`);
-                }
-                
-                console.log(`Coordinate column indices: ${idx_names[0]}=${xIdx}, ${idx_names[1]}=${yIdx}, ${idx_names[2]}=${zIdx}`);
+        // Respect the current configuration for columns it already knows about
+        if (column_names_categorical.includes(header)) {
+            roles[header] = 'categorical';
+            return;
+        }
+        if (column_names_continuous.includes(header)) {
+            roles[header] = 'continuous';
+            return;
+        }
+        
+        const values = rows.map(row => (row[colIdx] || '').trim()).filter(v => v !== '');
+        const distinct = new Set(values);
+        const numericCount = values.filter(v => !isNaN(Number(v))).length;
+        const isNumeric = values.length > 0 && numericCount === values.length;
+        const isIdentifier = /(^|_)id$|^cell|(^|_)(barcode|gene|target|feature)/i.test(header);
+        
+        const isNearlyUnique = values.length > 20 && distinct.size / values.length > 0.9;
+        
+        if (isNearlyUnique && !/cell/i.test(header)) {
+            // Per-transcript ids and similar nearly unique values are not useful for coloring or filtering
+            roles[header] = 'ignore';
+        } else if (isIdentifier) {
+            roles[header] = 'categorical';
+        } else if (isNumeric) {
+            roles[header] = 'continuous';
+        } else {
+            roles[header] = 'categorical';
+        }
+    });
+    
+    return roles;
+}
+
+// Show the column mapping dialog for a file header; resolves with a schema, or null if cancelled
+function showColumnMappingDialog(fileName, headers, rows) {
+    const roles = guessColumnRoles(headers, rows);
+    const roleOptions = [
+        { value: 'x', label: 'X coordinate' },
+        { value: 'y', label: 'Y coordinate' },
+        { value: 'z', label: 'Z coordinate' },
+        { value: 'categorical', label: 'Categorical' },
+        { value: 'continuous', label: 'Continuous' },
+        { value: 'ignore', label: 'Ignore' }
+    ];
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'modal-dialog';
+    dialog.innerHTML = `
+        <h2>Map columns</h2>
+        <p class="modal-subtitle"></p>
+        <div class="column-mapping-table-wrapper">
+            <table class="column-mapping-table">
+                <thead>
+                    <tr><th>Column</th><th>Sample values</th><th>Unique</th><th>Use as</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <p class="modal-error"></p>
+        <div class="modal-buttons">
+            <button class="modal-cancel">Cancel</button>
+            <button class="modal-confirm">Load</button>
+        </div>
+    `;
+    dialog.querySelector('.modal-subtitle').textContent = `${fileName}: ${headers.length} columns, ${rows.length} sample rows`;
+    
+    const tbody = dialog.querySelector('tbody');
+    headers.forEach((header, colIdx) => {
+        const values = rows.map(row => (row[colIdx] || '').trim()).filter(v => v !== '');
+        const samples = Array.from(new Set(values)).slice(0, 3);
+        
+        const tr = document.createElement('tr');
+        const nameTd = document.createElement('td');
+        nameTd.className = 'column-name';
+        nameTd.textContent = header || '(unnamed)';
+        
+        const samplesTd = document.createElement('td');
+        samplesTd.className = 'column-samples';
+        samplesTd.textContent = samples.join(', ');
+        samplesTd.title = samples.join(', ');
+        
+        const uniqueTd = document.createElement('td');
+        uniqueTd.textContent = new Set(values).size;
+        
+        const roleTd = document.createElement('td');
+        const select = document.createElement('select');
+        select.className = 'column-role';
+        select.dataset.column = header;
+        roleOptions.forEach(option => {
+            const opt = document.createElement('option');
+            opt.value = option.value;
+            opt.textContent = option.label;
+            select.appendChild(opt);
+        });
+        select.value = roles[header];
+        roleTd.appendChild(select);
+        
+        tr.appendChild(nameTd);
+        tr.appendChild(samplesTd);
+        tr.appendChild(uniqueTd);
+        tr.appendChild(roleTd);
+        tbody.appendChild(tr);
+    });
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    return new Promise(resolve => {
+        const close = (result) => {
+            document.body.removeChild(overlay);
+            resolve(result);
+        };
+        
+        dialog.querySelector('.modal-cancel').addEventListener('click', () => close(null));
+        
+        dialog.querySelector('.modal-confirm').addEventListener('click', () => {
+            const schema = { coordinates: [null, null, null], categorical: [], continuous: [] };
+            const errors = [];
+            
+            dialog.querySelectorAll('.column-role').forEach(select => {
+                const column = select.dataset.column;
+                const role = select.value;
+                const axisIndex = ['x', 'y', 'z'].indexOf(role);
                 
-                // Find column indices for categorical and continuous variables
-                column_names_categorical.forEach(col => {
-                    const idx = headers.indexOf(col);
-                    if (idx !== -1) {
-                        categoricalIndices[col] = idx;
-                        attributeValues[col] = new Set();
+                if (axisIndex !== -1) {
+                    if (schema.coordinates[axisIndex] !== null) {
+                        errors.push(`More than one column is mapped to ${role.toUpperCase()}.`);
                     }
-                });
-                
-                column_names_continuous.forEach(col => {
-                    const idx = headers.indexOf(col);
-                    if (idx !== -1) {
-                        continuousIndices[col] = idx;
-                        continuousRanges[col] = { min: Infinity, max: -Infinity };
+                    schema.coordinates[axisIndex] = column;
+                } else if (role === 'categorical' || role === 'continuous') {
+                    if (!column.trim()) {
+                        errors.push('Unnamed columns can only be ignored or used as coordinates.');
                     }
-                });
+                    schema[role].push(column);
+                }
+            });
+            
+            ['X', 'Y', 'Z'].forEach((axis, axisIndex) => {
+                if (schema.coordinates[axisIndex] === null) {
+                    errors.push(`Select a column for the ${axis} coordinate.`);
+                }
+            });
+            
+            if (errors.length > 0) {
+                dialog.querySelector('.modal-error').textContent = Array.from(new Set(errors)).join(' ');
+                return;
             }
             
-            // Parse and collect valid points from this file
-            const fileData = [];
-            const dataStartIdx = 1; // Skip header
+            console.log('[Data] Column mapping:', schema);
+            close(schema);
+        });
+    });
+}
+
+// Create an empty columnar transcript store
+// positions: Float32Array of interleaved x, y, z coordinates
+// sourceRows: Uint32Array with the record number of each point in its dataset file, for reading its original fields
+// categorical[col]: dictionary-encoded values - codes (Uint16Array, or Uint32Array once there are more than 65535 values)
+//                   index into the values table, lookup maps value -> code
+// continuous[col]: Float32Array with NaN for missing values
+function createEmptyStore() {
+    return {
+        length: 0,
+        positions: new Float32Array(0),
+        sourceRows: new Uint32Array(0),
+        categorical: {},
+        continuous: {}
+    };
+}
+
+// Append parsed worker results (see csv-worker.js) to the store, using the current column configuration
+function appendToStore(results) {
+    storeBounds = null;
+    spatialIndex = null;
+    zLevelCache = null;
+    // Color scales and frequency ranks cover all transcripts, so palette colors are reassigned
+    colorScaleCache.clear();
+    valueRankCache.clear();
+    resetGeneratedColors();
+    const addedCount = results.reduce((sum, result) => sum + result.count, 0);
+    const oldLength = store.length;
+    const newLength = oldLength + addedCount;
+    
+    const positions = new Float32Array(newLength * 3);
+    positions.set(store.positions);
+    const sourceRows = new Uint32Array(newLength);
+    sourceRows.set(store.sourceRows);
+    
+    column_names_categorical.forEach(col => {
+        if (!store.categorical[col]) {
+            // Column new to the store (e.g. appended file with an extra column) - earlier rows are empty
+            store.categorical[col] = { codes: new Uint16Array(oldLength), values: [''], lookup: new Map([['', 0]]) };
+        }
+    });
+    
+    column_names_continuous.forEach(col => {
+        const values = new Float32Array(newLength);
+        if (store.continuous[col]) {
+            values.set(store.continuous[col]);
+        } else {
+            values.fill(NaN, 0, oldLength);
+        }
+        store.continuous[col] = values;
+    });
+    
+    // Merge each result's codes into the store's dictionaries
+    const newCodes = {};
+    column_names_categorical.forEach(col => {
+        newCodes[col] = new Uint32Array(addedCount);
+    });
+    
+    let offset = 0;
+    results.forEach(result => {
+        positions.set(result.positions, (oldLength + offset) * 3);
+        sourceRows.set(result.sourceRows, oldLength + offset);
+        
+        column_names_categorical.forEach(col => {
+            const column = store.categorical[col];
+            const fileColumn = result.categorical[col];
+            const target = newCodes[col];
             
-            for (let i = dataStartIdx; i < fileLines.length; i++) {
-                const line = fileLines[i].trim();
-                if (!line) continue;
-                
-                const cols = line.split(',');
-                if (cols.length < headers.length) continue;
-                
-                // Parse coordinates
-                const xStr = (cols[xIdx] || '').trim();
-                const yStr = (cols[yIdx] || '').trim();
-                const zStr = (cols[zIdx] || '').trim();
-                
-                const x = parseFloat(xStr);
-                const y = parseFloat(yStr);
-                const z = parseFloat(zStr);
-                
-                if (isNaN(x) || isNaN(y) || isNaN(z)) continue;
-                
-                const point = {
-                    x: x,
-                    y: y,
-                    z: z
-                };
-                
-                // Add categorical attributes
-                column_names_categorical.forEach(col => {
-                    if (categoricalIndices[col] !== undefined) {
-                        const value = cols[categoricalIndices[col]] || '';
-                        point[col] = value;
-                    }
-                });
-                
-                // Add continuous attributes
-                column_names_continuous.forEach(col => {
-                    if (continuousIndices[col] !== undefined) {
-                        const value = parseFloat(cols[continuousIndices[col]]);
-                        const numValue = isNaN(value) ? null : value;
-                        point[col] = numValue;
-                    }
-                });
-                
-                fileData.push(point);
+            if (!fileColumn) {
+                // Column missing from this file - treat its values as empty
+                const emptyCode = getOrAddCategoricalCode(column, '');
+                target.fill(emptyCode, offset, offset + result.count);
+                return;
             }
             
-            // Downsample this file's data randomly
-            let sampledData = fileData;
-            if (fileData.length > TARGET_POINTS_PER_FILE) {
-                // Randomly sample TARGET_POINTS_PER_FILE points
-                const indices = Array.from({ length: fileData.length }, (_, i) => i);
-                // Fisher-Yates shuffle for random sampling
-                for (let i = 0; i < TARGET_POINTS_PER_FILE && i < indices.length; i++) {
-                    const j = i + Math.floor(Math.random() * (indices.length - i));
-                    [indices[i], indices[j]] = [indices[j], indices[i]];
+            // Map file codes to store codes lazily, so values only seen in dropped rows are not added
+            const remap = new Int32Array(fileColumn.values.length).fill(-1);
+            for (let i = 0; i < result.count; i++) {
+                const fileCode = fileColumn.codes[i];
+                let code = remap[fileCode];
+                if (code === -1) {
+                    code = getOrAddCategoricalCode(column, fileColumn.values[fileCode]);
+                    remap[fileCode] = code;
                 }
-                sampledData = indices.slice(0, TARGET_POINTS_PER_FILE).map(idx => fileData[idx]);
-                console.log(`Downsampled file ${fileIndex + 1}: ${fileData.length} -> ${sampledData.length} points`);
+                target[offset + i] = code;
             }
+        });
+        
+        column_names_continuous.forEach(col => {
+            if (result.continuous[col]) {
+                store.continuous[col].set(result.continuous[col], oldLength + offset);
+            } else {
+                store.continuous[col].fill(NaN, oldLength + offset, oldLength + offset + result.count);
+            }
+        });
+        
+        offset += result.count;
+    });
+    
+    // Grow code arrays, switching to 32-bit codes when the dictionary outgrows 16 bits
+    column_names_categorical.forEach(col => {
+        const column = store.categorical[col];
+        const CodeArray = column.values.length > 0xffff ? Uint32Array : Uint16Array;
+        const codes = new CodeArray(newLength);
+        codes.set(column.codes);
+        codes.set(newCodes[col], oldLength);
+        column.codes = codes;
+    });
+    
+    store.positions = positions;
+    store.sourceRows = sourceRows;
+    store.length = newLength;
+}
+
+// Code for a categorical value, adding it to the column's dictionary if needed
+function getOrAddCategoricalCode(column, value) {
+    let code = column.lookup.get(value);
+    if (code === undefined) {
+        code = column.values.length;
+        column.values.push(value);
+        column.lookup.set(value, code);
+    }
+    return code;
+}
+
+// Min/max coordinates of all stored points ({ min: [x, y, z], max: [x, y, z] }), cached until the store changes
+function getStoreBounds() {
+    if (storeBounds) return storeBounds;
+    
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const positions = store.positions;
+    for (let i = 0; i < store.length; i++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const value = positions[i * 3 + axis];
+            if (value < min[axis]) min[axis] = value;
+            if (value > max[axis]) max[axis] = value;
+        }
+    }
+    
+    storeBounds = { min, max };
+    return storeBounds;
+}
+
+// Position of the point at a store index
+function getStorePosition(index, target) {
+    return target.set(store.positions[index * 3], store.positions[index * 3 + 1], store.positions[index * 3 + 2]);
+}
+
+// Categorical value of the point at a store index (undefined if the column is not loaded)
+function getCategoricalValue(col, index) {
+    const column = store.categorical[col];
+    return column ? column.values[column.codes[index]] : undefined;
+}
+
+// Continuous value of the point at a store index (null if missing)
+function getContinuousValue(col, index) {
+    const values = store.continuous[col];
+    if (!values || isNaN(values[index])) return null;
+    return values[index];
+}
+
+// Split a pasted list of values on commas, semicolons, tabs and newlines
+function parseValueList(text) {
+    return text.split(/[,;\t\n\r]+/).map(value => value.trim()).filter(value => value);
+}
+
+// Downsampling options from the Controls panel for one file (see selectRows in csv-worker.js)
+// Each file gets its own seed derived from the panel seed, so files are not sampled identically
+function getSamplingOptions(categoricalNames, fileIndex) {
+    let column = document.getElementById('downsampleColumn').value;
+    if (!categoricalNames.includes(column)) {
+        column = categoricalNames.includes('gene') ? 'gene' : categoricalNames[0];
+    }
+    
+    return {
+        targetPoints: TARGET_POINTS_PER_FILE,
+        seed: (getRandomSeed() + Math.imul(fileIndex, 0x9E3779B9)) >>> 0,
+        mode: document.getElementById('downsampleMode').value,
+        column: column,
+        perValue: Math.max(1, parseInt(document.getElementById('downsamplePerValue').value, 10) || 1000),
+        keepValues: parseValueList(document.getElementById('downsampleKeepValues').value),
+        gridSize: Math.max(1, parseInt(document.getElementById('downsampleGridSize').value, 10) || 100)
+    };
+}
+
+// Fill a select with column names, keeping its current choice if still available, otherwise choosing preferred
+function fillColumnSelect(select, columns, preferred) {
+    const previous = select.value;
+    select.innerHTML = '';
+    columns.forEach(col => {
+        const option = document.createElement('option');
+        option.value = col;
+        option.textContent = col;
+        select.appendChild(option);
+    });
+    if (columns.includes(previous)) {
+        select.value = previous;
+    } else if (preferred && columns.includes(preferred)) {
+        select.value = preferred;
+    }
+}
+
+// Fill the stratification column select with the loaded categorical columns
+function populateDownsampleColumns() {
+    fillColumnSelect(document.getElementById('downsampleColumn'), column_names_categorical, 'gene');
+}
+
+// Show only the options that apply to the selected downsampling mode
+function updateDownsampleOptions() {
+    const mode = document.getElementById('downsampleMode').value;
+    document.querySelectorAll('.downsample-options').forEach(el => {
+        el.style.display = el.dataset.modes.split(' ').includes(mode) ? '' : 'none';
+    });
+}
+
+// Load and parse data with chunked processing
+// sources: URLs and/or File objects; append: keep the currently loaded datasets instead of replacing them
+// schema: optional { coordinates, categorical, continuous } column names from the column mapping dialog
+// preserveView: when replacing, keep filters, colors and camera (used to reload with new downsampling settings)
+async function loadData(sources = files, append = false, schema = null, preserveView = false) {
+    if (isLoading) {
+        console.warn('[Data] A load is already in progress - ignoring new request');
+        return;
+    }
+    isLoading = true;
+    
+    const loadingEl = document.getElementById('loading');
+    let loadingText = loadingEl.querySelector('.loading-text');
+    
+    // If loading-text doesn't exist, create the structure
+    if (!loadingText) {
+        loadingEl.innerHTML = '<div class="loading-spinner"></div><div class="loading-text">Loading data... This may take a moment.</div>' +
+            '<div class="loading-progress"><div class="loading-progress-bar"></div></div><button id="cancelLoad">Cancel</button>';
+        loadingText = loadingEl.querySelector('.loading-text');
+        loadingEl.querySelector('#cancelLoad').addEventListener('click', () => {
+            if (cancelActiveLoad) cancelActiveLoad();
+        });
+    }
+    const progressBar = loadingEl.querySelector('.loading-progress-bar');
+    const cancelButton = loadingEl.querySelector('#cancelLoad');
+    
+    // Ensure loading is visible (and reset any error styling from a previous load)
+    loadingEl.style.display = 'flex';
+    loadingEl.style.background = '';
+    loadingEl.style.borderColor = '';
+    loadingText.textContent = 'Loading data... This may take a moment.';
+    progressBar.style.width = '0%';
+    cancelButton.style.display = '';
+    
+    try {
+        const loadStartTime = Date.now();
+        
+        // Columns to read - a schema from the column mapping dialog overrides the current configuration
+        const coordinateNames = schema ? schema.coordinates : idx_names;
+        const categoricalNames = schema ? schema.categorical : column_names_categorical;
+        const continuousNames = schema ? schema.continuous : column_names_continuous;
+        
+        // Parse into new arrays first so a failed load leaves the current datasets untouched
+        const newResults = [];
+        const newDatasets = [];
+        
+        // Process each file individually: load, parse, and downsample
+        for (let fileIndex = 0; fileIndex < sources.length; fileIndex++) {
+            const source = sources[fileIndex];
+            const sourceName = getSourceName(source);
+            loadingText.textContent = `Loading and processing file ${fileIndex + 1}/${sources.length} (${sourceName})...`;
+            progressBar.style.width = '0%';
             
-            // Add sampled data to allData
-            for (const point of sampledData) {
-                allData.push(point);
-                
-                // Collect unique values for categorical attributes
-                column_names_categorical.forEach(col => {
-                    if (point[col] && attributeValues[col]) {
-                        attributeValues[col].add(point[col]);
-                    }
-                });
-                
-                // Track ranges for continuous attributes
-                column_names_continuous.forEach(col => {
-                    if (point[col] !== null && point[col] !== undefined && continuousRanges[col]) {
-                        continuousRanges[col].min = Math.min(continuousRanges[col].min, point[col]);
-                        continuousRanges[col].max = Math.max(continuousRanges[col].max, point[col]);
-                    }
-                });
+            // Stream, parse and downsample the file in a worker, reporting progress on the loading overlay
+            const sampling = getSamplingOptions(categoricalNames, fileIndex);
+            const { result } = await runCSVWorker({
+                type: 'parse',
+                source: source,
+                schema: { coordinates: coordinateNames, categorical: categoricalNames, continuous: continuousNames },
+                sampling: sampling
+            }, (progress) => {
+                let progressText = `${progress.rows.toLocaleString()} rows parsed, ${formatBytes(progress.bytesRead)} read`;
+                if (progress.totalBytes) {
+                    const fraction = Math.min(1, progress.bytesRead / progress.totalBytes);
+                    progressText += ` of ${formatBytes(progress.totalBytes)} (${Math.round(fraction * 100)}%)`;
+                    progressBar.style.width = `${(fraction * 100).toFixed(1)}%`;
+                }
+                loadingText.textContent = `Loading file ${fileIndex + 1}/${sources.length} (${sourceName}): ${progressText}`;
+            });
+            
+            if (result.parsedRows > result.count) {
+                console.log(`Downsampled file ${fileIndex + 1}: ${result.parsedRows} -> ${result.count} points`);
             }
             
+            newResults.push(result);
+            newDatasets.push({ name: sourceName, source: source, points: result.count, sampling: sampling });
+            
             // Log first few points from first file for debugging
-            if (fileIndex === 0 && allData.length > 0) {
-                for (let i = 0; i < Math.min(5, allData.length); i++) {
-                    const p = allData[i];
-                    console.log(`Sample point ${i + 1}: x=${p.x.toFixed(2)}, y=${p.y.toFixed(2)}, z=${p.z.toFixed(2)}`);
+            if (fileIndex === 0 && result.count > 0) {
+                for (let i = 0; i < Math.min(5, result.count); i++) {
+                    const x = result.positions[i * 3], y = result.positions[i * 3 + 1], z = result.positions[i * 3 + 2];
+                    console.log(`Sample point ${i + 1}: x=${x.toFixed(2)}, y=${y.toFixed(2)}, z=${z.toFixed(2)}`);
                 }
             }
             
@@ -891,43 +1162,94 @@ async function loadData() {
             await new Promise(resolve => setTimeout(resolve, 0));
         }
         
+        // Parsing is done - the rest of the load can no longer be cancelled
+        cancelButton.style.display = 'none';
+        
+        // Commit the parsed datasets, either replacing or extending the current ones
+        if (!append) {
+            store = createEmptyStore();
+            loadedDatasets = [];
+            attributeValues = {};
+            continuousRanges = {};
+            if (!preserveView) {
+                activeFilters = [];
+                colorMap = new Map();
+                customColorKeys = new Set();
+                legendHiddenValues = new Map();
+                cameraKeyframes = [];
+                cameraInitialized = false;
+            }
+            
+            // Selections and pins refer to store indices, which change when the datasets are re-read
+            selectionMask = null;
+            selectedIndices = null;
+            clearPinnedPoints();
+            activeFilters = activeFilters.filter(filter => filter.type !== 'selection');
+        }
+        
+        if (schema) {
+            idx_names = schema.coordinates;
+            column_names_categorical = schema.categorical;
+            column_names_continuous = schema.continuous;
+        }
+        
+        column_names_categorical.forEach(col => {
+            if (!attributeValues[col]) attributeValues[col] = new Set();
+        });
+        column_names_continuous.forEach(col => {
+            if (!continuousRanges[col]) continuousRanges[col] = { min: Infinity, max: -Infinity };
+        });
+        
+        const appendStart = store.length;
+        appendToStore(newResults);
+        computeSampleOrder();
+        loadingText.textContent = 'Building spatial index...';
+        await new Promise(resolve => setTimeout(resolve, 0));
+        buildSpatialIndex();
+        
+        // Collect unique values for categorical attributes
+        column_names_categorical.forEach(col => {
+            store.categorical[col].values.forEach(value => {
+                if (value) attributeValues[col].add(value);
+            });
+        });
+        
+        // Track ranges for continuous attributes
+        column_names_continuous.forEach(col => {
+            const values = store.continuous[col];
+            const range = continuousRanges[col];
+            for (let i = appendStart; i < store.length; i++) {
+                const value = values[i];
+                if (value < range.min) range.min = value;
+                if (value > range.max) range.max = value;
+            }
+        });
+        loadedDatasets.push(...newDatasets);
+        
         const loadTime = ((Date.now() - loadStartTime) / 1000).toFixed(1);
-        console.log(`Loaded and processed ${files.length} files in ${loadTime}s. Total points: ${allData.length}`);
+        console.log(`Loaded and processed ${sources.length} files in ${loadTime}s. Total points: ${store.length}`);
         
-        loadingText.textContent = `Loaded ${allData.length.toLocaleString()} points. Initializing visualization...`;
-        document.getElementById('pointCount').textContent = `Total points: ${allData.length.toLocaleString()}`;
+        loadingText.textContent = `Loaded ${store.length.toLocaleString()} points. Initializing visualization...`;
+        document.getElementById('pointCount').textContent = `Total points: ${store.length.toLocaleString()}`;
+        renderDatasetList();
+        populateDownsampleColumns();
+        populateCellColumns();
+        updateSelectionSummary();
         await new Promise(resolve => setTimeout(resolve, 100)); // Brief pause to show final message
         
         // Calculate and log coordinate ranges for verification
-        if (allData.length > 0) {
-            let xMin = Infinity, xMax = -Infinity;
-            let yMin = Infinity, yMax = -Infinity;
-            let zMin = Infinity, zMax = -Infinity;
+        if (store.length > 0) {
+            const { min, max } = getStoreBounds();
             
-            for (let i = 0; i < Math.min(10000, allData.length); i++) {
-                const p = allData[i];
-                xMin = Math.min(xMin, p.x);
-                xMax = Math.max(xMax, p.x);
-                yMin = Math.min(yMin, p.y);
-                yMax = Math.max(yMax, p.y);
-                zMin = Math.min(zMin, p.z);
-                zMax = Math.max(zMax, p.z);
-            }
-            
-            console.log(`Coordinate ranges (sampled from first ${Math.min(10000, allData.length)} points):`);
-            console.log(`  ${idx_names[0]}: [${xMin.toFixed(2)}, ${xMax.toFixed(2)}] (span: ${(xMax - xMin).toFixed(2)})`);
-            console.log(`  ${idx_names[1]}: [${yMin.toFixed(2)}, ${yMax.toFixed(2)}] (span: ${(yMax - yMin).toFixed(2)})`);
-            console.log(`  ${idx_names[2]}: [${zMin.toFixed(2)}, ${zMax.toFixed(2)}] (span: ${(zMax - zMin).toFixed(2)})`);
-        }
-        
-        // Initialize visible indices more efficiently
-        visibleIndices = new Uint32Array(allData.length);
-        for (let i = 0; i < allData.length; i++) {
-            visibleIndices[i] = i;
+            console.log(`Coordinate ranges (${store.length} points):`);
+            idx_names.forEach((name, axis) => {
+                console.log(`  ${name}: [${min[axis].toFixed(2)}, ${max[axis].toFixed(2)}] (span: ${(max[axis] - min[axis]).toFixed(2)})`);
+            });
         }
         
-        // Populate colorBy dropdown
+        // Populate colorBy dropdown, keeping the current selection when appending or reloading
         const colorBySelect = document.getElementById('colorBy');
+        const previousColorBy = colorBySelect.value;
         colorBySelect.innerHTML = '';
         const allAttributes = [...column_names_categorical, ...column_names_continuous];
         allAttributes.forEach(attr => {
@@ -937,25 +1259,26 @@ async function loadData() {
             colorBySelect.appendChild(option);
         });
         // Set first attribute as default
-        if (allAttributes.length > 0) {
+        if ((append || preserveView) && allAttributes.includes(previousColorBy)) {
+            colorBySelect.value = previousColorBy;
+        } else if (allAttributes.length > 0) {
             colorBySelect.value = allAttributes[0];
         }
         
         // Build filter UI
         renderFilters();
         
-        // Create initial visualization
+        // Create visualization - updateFilter recomputes visibleIndices with any filters kept from before an append
         loadingText.textContent = 'Rendering visualization...';
-        createPointCloud();
-        
-        // Initialize legend
-        updateLegend();
-        
-        // Set up event listeners
-        setupEventListeners();
+        updateFilter();
+        updateAxesBox();
         
-        // Start animation loop
-        animate();
+        // Set up event listeners and start animation loop only once, on the first load
+        if (!isViewerInitialized) {
+            setupEventListeners();
+            animate();
+            isViewerInitialized = true;
+        }
         
         // Hide loading message after a brief delay to show final render
         setTimeout(() => {
@@ -963,416 +1286,5373 @@ async function loadData() {
         }, 500);
         
     } catch (error) {
+        cancelButton.style.display = 'none';
+        
+        if (error.name === 'AbortError') {
+            console.log('[Data] Load cancelled');
+            loadingText.textContent = store.length > 0 ? 'Load cancelled.' : 'Load cancelled. Drop CSV files on the viewer to load a dataset.';
+            if (store.length > 0) {
+                setTimeout(() => {
+                    loadingEl.style.display = 'none';
+                }, 1000);
+            }
+            return;
+        }
+        
         console.error('Error loading data:', error);
         loadingText.textContent = 'Error loading data. Please check the console.';
         loadingEl.style.background = 'rgba(231, 76, 60, 0.9)';
         loadingEl.style.borderColor = 'rgba(192, 57, 43, 0.5)';
+        
+        // Let the user dismiss the error and keep working with the previously loaded data
+        if (store.length > 0) {
+            setTimeout(() => {
+                loadingEl.style.display = 'none';
+            }, 3000);
+        }
+    } finally {
+        isLoading = false;
     }
 }
 
-// Change color for a specific entity
-function changeEntityColor(attribute, value, colorKey, colorDivElement) {
-    // Get current color
-    const currentColor = colorMap.get(colorKey) || getColorForValue(value, attribute);
-    const currentHex = '#' + 
-        Math.round(currentColor.r * 255).toString(16).padStart(2, '0') +
-        Math.round(currentColor.g * 255).toString(16).padStart(2, '0') +
-        Math.round(currentColor.b * 255).toString(16).padStart(2, '0');
-    
-    // Create a color input
-    const colorInput = document.createElement('input');
-    colorInput.type = 'color';
-    colorInput.value = currentHex;
-    colorInput.style.position = 'absolute';
-    colorInput.style.opacity = '0';
-    colorInput.style.width = '0';
-    colorInput.style.height = '0';
-    colorInput.style.pointerEvents = 'none';
-    
-    // Add to body temporarily
-    document.body.appendChild(colorInput);
-    
-    // Trigger color picker
-    colorInput.click();
-    
-    // Listen for change
-    colorInput.addEventListener('change', (event) => {
-        const newHex = event.target.value;
-        
-        // Parse hex color to THREE.Color
-        const r = parseInt(newHex.slice(1, 3), 16) / 255;
-        const g = parseInt(newHex.slice(3, 5), 16) / 255;
-        const b = parseInt(newHex.slice(5, 7), 16) / 255;
-        
-        const newColor = new THREE.Color(r, g, b);
-        
-        // Update color map
-        colorMap.set(colorKey, newColor);
+// Render the list of loaded datasets in the Data panel
+function renderDatasetList() {
+    const listEl = document.getElementById('datasetList');
+    if (!listEl) return;
+    
+    listEl.innerHTML = '';
+    loadedDatasets.forEach(dataset => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'dataset-item';
+        itemDiv.title = dataset.name;
         
-        // Update the color div in legend
-        colorDivElement.style.backgroundColor = newHex;
-        
-        // Re-render the point cloud with new colors
-        if (pointCloud) {
-            createPointCloud();
-        }
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'dataset-name';
+        nameSpan.textContent = dataset.name;
         
-        // Clean up
-        document.body.removeChild(colorInput);
+        const countSpan = document.createElement('span');
+        countSpan.className = 'dataset-count';
+        countSpan.textContent = dataset.points.toLocaleString();
         
-        console.log(`[Color Change] Changed color for ${attribute}:${value} to ${newHex}`);
-    });
-    
-    // Also handle if user cancels (click outside)
-    colorInput.addEventListener('blur', () => {
-        setTimeout(() => {
-            if (document.body.contains(colorInput)) {
-                document.body.removeChild(colorInput);
-            }
-        }, 100);
+        itemDiv.appendChild(nameSpan);
+        itemDiv.appendChild(countSpan);
+        listEl.appendChild(itemDiv);
     });
 }
 
-// Generate color for a value
-function getColorForValue(value, attribute) {
-    if (value === null || value === undefined || value === '') return new THREE.Color(0x888888);
-    
-    // For continuous variables, use a gradient based on the value
-    if (column_names_continuous.includes(attribute) && typeof value === 'number') {
-        const range = continuousRanges[attribute];
-        if (range && range.max > range.min) {
-            const normalized = (value - range.min) / (range.max - range.min);
-            const color = new THREE.Color();
-            // Use a color gradient from blue to red
-            color.setHSL((1 - normalized) * 0.7, 0.8, 0.5);
-            return color;
-        }
+// Load files picked or dropped by the user, replacing or appending according to the Data panel mode
+async function loadLocalFiles(fileList) {
+    const localFiles = Array.from(fileList).filter(file => /\.csv(\.gz)?$|\.gz$/i.test(file.name));
+    if (localFiles.length === 0) {
+        console.warn('[Data] No CSV or CSV.gz files in selection');
+        return;
     }
     
-    const key = `${attribute}:${value}`;
+    if (isLoading) {
+        console.warn('[Data] A load is already in progress - ignoring dropped files');
+        return;
+    }
     
-    if (!colorMap.has(key)) {
-        // Generate a color based on hash of the value
-        const strValue = String(value);
-        let hash = 0;
-        for (let i = 0; i < strValue.length; i++) {
-            hash = strValue.charCodeAt(i) + ((hash << 5) - hash);
+    const append = document.getElementById('loadMode').value === 'append' && store.length > 0;
+    console.log(`[Data] ${append ? 'Appending' : 'Loading'} ${localFiles.length} local file(s):`, localFiles.map(f => f.name));
+    
+    // Appended files must match the current schema; new datasets get their columns mapped first
+    let schema = null;
+    if (!append) {
+        try {
+            const { headers, rows } = await readFileHead(localFiles[0]);
+            schema = await showColumnMappingDialog(localFiles[0].name, headers, rows);
+        } catch (error) {
+            console.error('[Data] Could not read file header:', error);
+            return;
+        }
+        if (!schema) {
+            console.log('[Data] Column mapping cancelled');
+            return;
         }
-        
-        const hue = (hash % 360 + 360) % 360;
-        const saturation = 70 + (hash % 20);
-        const lightness = 50 + (hash % 20);
-        
-        const color = new THREE.Color();
-        color.setHSL(hue / 360, saturation / 100, lightness / 100);
-        colorMap.set(key, color);
     }
     
-    return colorMap.get(key);
+    loadData(localFiles, append, schema);
 }
 
-// Update the color legend
-function updateLegend() {
-    const legendDiv = document.getElementById('legend');
-    if (!legendDiv) return;
+// Set up the file picker and drag-and-drop loading of local datasets
+function setupDatasetLoader() {
+    const fileInput = document.getElementById('fileInput');
+    const dropZone = document.getElementById('dropZone');
+    const centerPanel = document.getElementById('center-panel');
+    
+    document.getElementById('cancelLoad').addEventListener('click', () => {
+        if (cancelActiveLoad) cancelActiveLoad();
+    });
     
-    const colorBy = document.getElementById('colorBy').value;
+    // Downsampling settings apply to the next load; reloading re-reads the current datasets with them
+    populateDownsampleColumns();
+    updateDownsampleOptions();
+    document.getElementById('downsampleMode').addEventListener('change', updateDownsampleOptions);
+    document.getElementById('reloadData').addEventListener('click', () => {
+        if (loadedDatasets.length === 0) return;
+        console.log('[Data] Reloading datasets with downsampling settings:', getSamplingOptions(column_names_categorical, 0));
+        loadData(loadedDatasets.map(dataset => dataset.source), false, null, true);
+    });
     
-    // Get unique values from visible data
-    const visibleValues = new Set();
-    const isContinuous = column_names_continuous.includes(colorBy);
+    // The seed changes the rendered sample immediately and the per-file downsampling on the next load
+    const applySeed = () => {
+        if (store.length === 0) return;
+        console.log('[Sampling] Random seed:', getRandomSeed());
+        computeSampleOrder();
+        updatePointCloud();
+    };
+    document.getElementById('randomSeed').addEventListener('change', applySeed);
+    document.getElementById('randomizeSeed').addEventListener('click', () => {
+        document.getElementById('randomSeed').value = Math.floor(Math.random() * 1000000);
+        applySeed();
+    });
     
-    if (visibleIndices && visibleIndices.length > 0) {
-        for (let i = 0; i < visibleIndices.length; i++) {
-            const point = allData[visibleIndices[i]];
-            if (isContinuous) {
-                if (point[colorBy] !== null && point[colorBy] !== undefined) {
-                    visibleValues.add(point[colorBy]);
-                }
-            } else {
-                const value = point[colorBy] || '';
-                if (value) {
-                    visibleValues.add(value);
-                }
+    dropZone.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        loadLocalFiles(fileInput.files);
+        // Reset so picking the same file again still triggers a change event
+        fileInput.value = '';
+    });
+    
+    // Files can be dropped on the drop zone or anywhere on the visualization
+    [dropZone, centerPanel].forEach(target => {
+        target.addEventListener('dragover', (event) => {
+            if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            target.classList.add('drag-over');
+        });
+        
+        target.addEventListener('dragleave', (event) => {
+            if (!target.contains(event.relatedTarget)) {
+                target.classList.remove('drag-over');
+            }
+        });
+        
+        target.addEventListener('drop', (event) => {
+            event.preventDefault();
+            target.classList.remove('drag-over');
+            if (event.dataTransfer && event.dataTransfer.files.length > 0) {
+                loadLocalFiles(event.dataTransfer.files);
             }
+        });
+    });
+}
+
+// Controls panel inputs saved with the view state, restored in this order
+const PERSISTED_CONTROLS = [
+    'colorBy', 'renderMode', 'pointSize', 'sampleRate', 'randomSeed',
+    'downsampleMode', 'downsampleColumn', 'downsamplePerValue', 'downsampleKeepValues', 'downsampleGridSize',
+    'geneColumn', 'viewMode', 'cellColumn', 'cellColorBy', 'cellGene', 'showUnassigned',
+    'heatmapEnabled', 'heatmapGene', 'heatmapBins', 'heatmapSlabs', 'heatmapSlab', 'heatmapOpacity', 'heatmapLog',
+    'clipEnabled', 'clipXMin', 'clipXMax', 'clipYMin', 'clipYMax', 'clipZMin', 'clipZMax', 'showGizmos',
+    'sliceEnabled', 'sliceLevel', 'sliceThickness', 'sliceBins', 'sliceInterval',
+    'legendSort', 'rotatePivot', 'showScaleBar', 'showAxes', 'showAnnotations', 'sphereRadius',
+    'neighborhoodMode', 'neighborhoodRadius', 'neighborhoodCount', 'keyframeIncludeState', 'loopKeyframes', 'recordResolution', 'recordFps',
+    'categoricalPalette', 'colormap', 'colorScale', 'clampLow', 'clampHigh'
+];
+
+// Round a vector to a short array for the saved state
+function vectorToArray(vector) {
+    return vector.toArray().map(value => Math.round(value * 1000) / 1000);
+}
+
+// Filter in its saved form, or null if it can't be saved
+// Selection filters hold store indices, which only fit in session files (includeSelections)
+function serializeFilter(filter, includeSelections) {
+    let saved = null;
+    if (filter.type === 'categorical' && filter.values) {
+        // Save whichever of the kept or the excluded values is the shorter list
+        const allValues = Array.from(attributeValues[filter.attribute] || []);
+        const excluded = allValues.filter(value => !filter.values.has(value));
+        saved = excluded.length < filter.values.size
+            ? { attribute: filter.attribute, type: filter.type, excluded: excluded }
+            : { attribute: filter.attribute, type: filter.type, values: Array.from(filter.values) };
+        if (filter.highlight) saved.highlight = true;
+    } else if (filter.type === 'continuous' && filter.range) {
+        saved = { attribute: filter.attribute, type: filter.type, range: { min: filter.range.min, max: filter.range.max } };
+    } else if (filter.type === 'selection' && includeSelections) {
+        const indices = [];
+        for (let i = 0; i < filter.mask.length; i++) {
+            if (filter.mask[i]) indices.push(i);
         }
+        saved = { attribute: filter.attribute, type: filter.type, mode: filter.mode, indices: indices };
+    } else if (filter.type === 'roi' && filter.box) {
+        saved = {
+            attribute: filter.attribute,
+            type: filter.type,
+            box: { center: filter.box.center.slice(), size: filter.box.size.slice(), rotation: filter.box.rotation.slice() }
+        };
+    } else if (filter.type === 'region' && filter.region) {
+        saved = { attribute: filter.attribute, type: filter.type, region: filter.region.id };
     }
     
-    legendDiv.innerHTML = '';
+    if (saved && filter.negate) saved.negate = true;
+    if (saved && filter.group) saved.group = filter.group;
+    return saved;
+}
+
+// Identifies which transcripts were loaded, as a short hash: saved views only show the same transcripts, and saved
+// store indices (selections) only refer to them, when the same files were downsampled with the same settings
+function getSampleFingerprint() {
+    const text = JSON.stringify(loadedDatasets.map(dataset => [dataset.name, dataset.points, dataset.sampling]));
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// Downsampling controls, which decide the loaded transcripts (see getSamplingOptions)
+const SAMPLING_CONTROLS = ['randomSeed', 'downsampleMode', 'downsampleColumn', 'downsamplePerValue', 'downsampleKeepValues', 'downsampleGridSize'];
+
+// Set Controls panel inputs from saved values, skipping select values that aren't available (e.g. a column missing from the loaded data)
+function setControlValues(ids, values) {
+    ids.forEach(id => {
+        const element = document.getElementById(id);
+        const value = values ? values[id] : undefined;
+        if (!element || value === undefined) return;
+        if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else if (element.tagName !== 'SELECT' || Array.from(element.options).some(option => option.value === String(value))) {
+            element.value = value;
+        }
+    });
+}
+
+// Rebuild a filter from its saved form, or null if it doesn't apply to the loaded columns
+function deserializeFilter(saved) {
+    const filter = {
+        id: createFilterId(),
+        attribute: saved.attribute,
+        type: saved.type,
+        values: null,
+        range: null,
+        negate: Boolean(saved.negate),
+        group: saved.group || 0
+    };
     
-    if (isContinuous) {
-        // Show gradient for continuous values
-        if (visibleValues.size > 0) {
-            const continuousValues = Array.from(visibleValues).map(v => parseFloat(v)).filter(v => !isNaN(v));
-            if (continuousValues.length > 0) {
-                // Use reduce to avoid stack overflow with large arrays
-                const minVal = continuousValues.reduce((min, val) => val < min ? val : min, continuousValues[0]);
-                const maxVal = continuousValues.reduce((max, val) => val > max ? val : max, continuousValues[0]);
-                
-                // Create gradient canvas
-                const canvas = document.createElement('canvas');
-                canvas.width = 200;
-                canvas.height = 30;
-                canvas.className = 'legend-gradient';
-                const ctx = canvas.getContext('2d');
-                
-                const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
-                for (let i = 0; i <= 100; i++) {
-                    const normalized = i / 100;
-                    const value = minVal + (maxVal - minVal) * normalized;
-                    const color = getColorForValue(value, colorBy);
-                    const stop = i / 100;
-                    gradient.addColorStop(stop, `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`);
-                }
-                
-                ctx.fillStyle = gradient;
-                ctx.fillRect(0, 0, canvas.width, canvas.height);
-                legendDiv.appendChild(canvas);
-                
-                const labelsDiv = document.createElement('div');
-                labelsDiv.className = 'legend-gradient-labels';
-                labelsDiv.innerHTML = `<span>${minVal.toFixed(4)}</span><span>${maxVal.toFixed(4)}</span>`;
-                legendDiv.appendChild(labelsDiv);
-            } else {
-                legendDiv.innerHTML = `<div class="legend-label">No ${colorBy} data</div>`;
+    if (saved.type === 'categorical' && column_names_categorical.includes(saved.attribute)) {
+        const allValues = Array.from(attributeValues[saved.attribute] || []);
+        filter.values = saved.excluded ? new Set(allValues.filter(value => !saved.excluded.includes(value))) : new Set(saved.values);
+        filter.highlight = Boolean(saved.highlight);
+    } else if (saved.type === 'continuous' && column_names_continuous.includes(saved.attribute) && saved.range) {
+        filter.range = { min: saved.range.min, max: saved.range.max };
+    } else if (saved.type === 'selection' && Array.isArray(saved.indices)) {
+        filter.mode = saved.mode;
+        filter.mask = new Uint8Array(store.length);
+        saved.indices.forEach(index => {
+            if (index < store.length) filter.mask[index] = 1;
+        });
+        filter.count = saved.indices.length;
+    } else if (saved.type === 'roi' && saved.box && Array.isArray(saved.box.center) && Array.isArray(saved.box.size)) {
+        filter.box = {
+            center: saved.box.center.slice(0, 3),
+            size: saved.box.size.slice(0, 3),
+            rotation: Array.isArray(saved.box.rotation) ? saved.box.rotation.slice(0, 3) : [0, 0, 0]
+        };
+    } else if (saved.type === 'region' && annotations.some(annotation => annotation.id === saved.region)) {
+        filter.region = annotations.find(annotation => annotation.id === saved.region);
+    } else {
+        console.warn('[State] Skipping saved filter that does not match the loaded columns:', saved);
+        return null;
+    }
+    return filter;
+}
+
+// Current viewer state: camera, controls, filters and custom colors
+function getViewerState(includeSelections = false) {
+    const controlValues = {};
+    PERSISTED_CONTROLS.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) controlValues[id] = element.type === 'checkbox' ? element.checked : element.value;
+    });
+    
+    const colors = {};
+    customColorKeys.forEach(key => {
+        if (colorMap.has(key)) colors[key] = '#' + colorMap.get(key).getHexString();
+    });
+    
+    // Save whichever of the hidden or the shown values is the shorter list, as isolating hides all but one
+    const hidden = {};
+    legendHiddenValues.forEach((values, attribute) => {
+        const column = store.categorical[attribute];
+        const shown = column ? column.values.filter(value => !values.has(value)) : null;
+        hidden[attribute] = shown && shown.length < values.size ? { shown: shown } : Array.from(values);
+    });
+    
+    return {
+        version: 1,
+        datasets: loadedDatasets.map(dataset => dataset.name),
+        sample: getSampleFingerprint(),
+        camera: {
+            position: vectorToArray(camera.position),
+            target: vectorToArray(controls.target),
+            up: vectorToArray(camera.up),
+            fov: perspectiveCamera.fov,
+            projection: camera.isOrthographicCamera ? 'orthographic' : 'perspective',
+            zoom: orthographicCamera.zoom
+        },
+        initialCamera: initialCameraState.position ? {
+            position: vectorToArray(initialCameraState.position),
+            target: vectorToArray(initialCameraState.target)
+        } : null,
+        controls: controlValues,
+        filters: activeFilters.map(filter => serializeFilter(filter, includeSelections)).filter(filter => filter),
+        colors: colors,
+        hidden: hidden,
+        annotations: annotations.map(serializeAnnotation),
+        keyframes: cameraKeyframes.map(keyframe => serializeKeyframe(keyframe, includeSelections))
+    };
+}
+
+// Restore a state from getViewerState on top of the loaded data
+// Datasets downsampled with other settings than the saved ones are re-read with the saved settings first
+async function applyViewerState(state) {
+    if (!state || store.length === 0) return;
+    
+    const datasetNames = loadedDatasets.map(dataset => dataset.name);
+    const sameDatasets = !state.datasets || state.datasets.join('\n') === datasetNames.join('\n');
+    if (!sameDatasets) {
+        console.warn('[State] Saved view was made with datasets', state.datasets, 'but these are loaded:', datasetNames);
+    }
+    if (state.sample && state.sample !== getSampleFingerprint() && sameDatasets) {
+        setControlValues(SAMPLING_CONTROLS, state.controls);
+        console.log('[State] Reloading datasets with the saved downsampling settings');
+        await loadData(loadedDatasets.map(dataset => dataset.source), false, null, true);
+    }
+    
+    // Selections are only restored onto the same loaded transcripts they were made on
+    const keepSelections = state.sample === getSampleFingerprint();
+    const isSavedSelection = filter => filter && filter.type === 'selection';
+    const hasSelections = (state.filters || []).some(isSavedSelection) ||
+        (state.keyframes || []).some(keyframe => keyframe && keyframe.state && (keyframe.state.filters || []).some(isSavedSelection));
+    let statusMessage = '';
+    if (state.sample && !keepSelections) {
+        statusMessage = 'This view was made on other transcripts, loaded from other files or with other downsampling settings' +
+            (hasSelections ? ', so its selection filters were skipped.' : '.');
+        console.warn(`[State] ${statusMessage}`);
+    }
+    document.getElementById('stateStatus').textContent = statusMessage;
+    
+    // Controls
+    const previousSeed = getRandomSeed();
+    setControlValues(PERSISTED_CONTROLS, state.controls);
+    document.getElementById('pointSizeValue').textContent = parseFloat(document.getElementById('pointSize').value).toFixed(1);
+    document.getElementById('sampleRateValue').textContent = document.getElementById('sampleRate').value + '%';
+    if (getRandomSeed() !== previousSeed) {
+        computeSampleOrder();
+    }
+    updatePointSize();
+    updateColorSettings();
+    resetGeneratedColors();
+    populateGeneOptions();
+    viewMode = document.getElementById('viewMode').value;
+    cellData = null;
+    updateCellOptions();
+    // The slab slider's range depends on the slab count restored above
+    updateHeatmapOptions();
+    if (state.controls && state.controls.heatmapSlab !== undefined) {
+        document.getElementById('heatmapSlab').value = state.controls.heatmapSlab;
+    }
+    updateClipOptions();
+    updateAxesBox();
+    updateNeighborhoodOptions();
+    updateDownsampleOptions();
+    // Likewise the slice slider's range depends on the bin count
+    updateSliceOptions();
+    if (state.controls && state.controls.sliceLevel !== undefined) {
+        document.getElementById('sliceLevel').value = state.controls.sliceLevel;
+        updateSliceOptions();
+    }
+    
+    // Custom colors
+    Object.entries(state.colors || {}).forEach(([key, hex]) => {
+        colorMap.set(key, new THREE.Color(hex));
+        customColorKeys.add(key);
+    });
+    
+    // Annotations before the filters and keyframes, whose region filters refer to them
+    if (Array.isArray(state.annotations)) {
+        annotations = state.annotations.map(deserializeAnnotation).filter(annotation => annotation);
+        renderAnnotationList();
+        updateAnnotationObjects();
+    }
+    
+    // Camera keyframes
+    if (Array.isArray(state.keyframes)) {
+        cameraKeyframes = state.keyframes.map(saved => deserializeKeyframe(saved, keepSelections)).filter(keyframe => keyframe);
+        renderKeyframeList();
+    }
+    
+    // Values hidden in the legend, for the columns that exist in the loaded data
+    legendHiddenValues = new Map();
+    Object.entries(state.hidden || {}).forEach(([attribute, saved]) => {
+        const column = store.categorical[attribute];
+        if (!column || !saved) return;
+        let values = null;
+        if (Array.isArray(saved)) {
+            values = new Set(saved.map(String));
+        } else if (Array.isArray(saved.shown)) {
+            const shown = new Set(saved.shown.map(String));
+            values = new Set(column.values.filter(value => !shown.has(value)));
+        }
+        if (values && values.size > 0) {
+            legendHiddenValues.set(attribute, values);
+        }
+    });
+    legendPage = 0;
+    
+    // Filters - updateFilter re-renders the points, legend and heatmap with everything above
+    if (Array.isArray(state.filters)) {
+        activeFilters = state.filters
+            .filter(saved => keepSelections || !isSavedSelection(saved))
+            .map(deserializeFilter)
+            .filter(filter => filter);
+        renderFilters();
+    }
+    updateFilter();
+    
+    // Camera last, so the first render doesn't reposition it
+    if (state.camera) {
+        setCameraProjection(state.camera.projection || 'perspective');
+        camera.position.fromArray(state.camera.position);
+        controls.target.fromArray(state.camera.target);
+        camera.up.fromArray(state.camera.up || [0, 1, 0]);
+        if (state.camera.fov) {
+            perspectiveCamera.fov = state.camera.fov;
+            perspectiveCamera.updateProjectionMatrix();
+        }
+        if (camera.isOrthographicCamera && state.camera.zoom) {
+            camera.zoom = state.camera.zoom;
+            camera.updateProjectionMatrix();
+        }
+        updateSpriteScales();
+        camera.lookAt(controls.target);
+        controls.update();
+    }
+    if (state.initialCamera) {
+        initialCameraState.position = new THREE.Vector3().fromArray(state.initialCamera.position);
+        initialCameraState.target = new THREE.Vector3().fromArray(state.initialCamera.target);
+    }
+    
+    console.log('[State] Restored viewer state:', state);
+}
+
+// Encode a state as URL-safe base64 of its JSON
+function encodeViewerState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode a state from encodeViewerState
+function decodeViewerState(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Write the current state into the URL hash, at most every 300ms
+function scheduleStateSave() {
+    if (!isViewStateReady) return;
+    if (stateSaveTimeout) {
+        clearTimeout(stateSaveTimeout);
+    }
+    stateSaveTimeout = setTimeout(() => {
+        if (isLoading || store.length === 0) return;
+        // replaceState, so moving the camera doesn't fill the browser history
+        history.replaceState(null, '', '#view=' + encodeViewerState(getViewerState()));
+    }, 300);
+}
+
+// Restore the state from a #view=... URL hash, if there is one
+async function restoreStateFromHash() {
+    const match = window.location.hash.match(/^#view=(.+)$/);
+    if (!match) return;
+    try {
+        await applyViewerState(decodeViewerState(match[1]));
+    } catch (error) {
+        console.error('[State] Could not restore the view from the URL:', error);
+        document.getElementById('stateStatus').textContent = `Could not restore the view from the link: ${error.message}`;
+    }
+}
+
+// Save a file with the given content through a temporary download link
+function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Wire the Share controls and keep the URL hash in sync with the view
+function setupStateSharing() {
+    controls.addEventListener('change', scheduleStateSave);
+    document.getElementById('right-panel').addEventListener('change', scheduleStateSave);
+    document.getElementById('right-panel').addEventListener('input', scheduleStateSave);
+    window.addEventListener('hashchange', restoreStateFromHash);
+    
+    document.getElementById('copyLink').addEventListener('click', () => {
+        const button = document.getElementById('copyLink');
+        history.replaceState(null, '', '#view=' + encodeViewerState(getViewerState()));
+        navigator.clipboard.writeText(window.location.href).then(() => {
+            button.textContent = 'Link copied';
+            setTimeout(() => {
+                button.textContent = 'Copy link';
+            }, 1500);
+        }).catch(error => {
+            console.error('[State] Could not copy the link:', error);
+        });
+    });
+    
+    // Session files also hold selection filters
+    document.getElementById('saveSession').addEventListener('click', () => {
+        const session = { type: 'cellcarto-session', ...getViewerState(true) };
+        downloadFile(JSON.stringify(session, null, 2), 'cellcarto-session.json', 'application/json');
+    });
+    
+    const sessionInput = document.getElementById('sessionFileInput');
+    document.getElementById('loadSession').addEventListener('click', () => sessionInput.click());
+    sessionInput.addEventListener('change', async () => {
+        const file = sessionInput.files[0];
+        sessionInput.value = '';
+        if (!file) return;
+        try {
+            await applyViewerState(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error(`[State] Could not load session file ${file.name}:`, error);
+            document.getElementById('stateStatus').textContent = `Could not load ${file.name}: ${error.message}`;
+        }
+    });
+}
+
+// Save the color settings and every color in colorMap (including all values of the current categorical colorBy) as JSON
+function exportColors() {
+    const colorBy = document.getElementById('colorBy').value;
+    if (store.categorical[colorBy]) {
+        store.categorical[colorBy].values.forEach(value => {
+            if (value) getColorForValue(value, colorBy);
+        });
+    }
+    
+    const colors = {};
+    colorMap.forEach((color, key) => {
+        colors[key] = '#' + color.getHexString();
+    });
+    const content = {
+        type: 'cellcarto-colors',
+        version: 1,
+        settings: {
+            categoricalPalette: colorSettings.palette,
+            colormap: colorSettings.colormap,
+            colorScale: colorSettings.scale,
+            clampLow: colorSettings.clampLow,
+            clampHigh: colorSettings.clampHigh
+        },
+        colors: colors
+    };
+    downloadFile(JSON.stringify(content, null, 2), 'cellcarto-colors.json', 'application/json');
+    console.log(`[Colors] Exported ${Object.keys(colors).length} colors`);
+}
+
+// Apply a color file from exportColors; its colors count as picked colors, so they are kept with the view state
+function importColors(content) {
+    Object.entries(content.settings || {}).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (!element) return;
+        if (element.tagName !== 'SELECT' || Array.from(element.options).some(option => option.value === String(value))) {
+            element.value = value;
+        }
+    });
+    updateColorSettings();
+    resetGeneratedColors();
+    
+    Object.entries(content.colors || {}).forEach(([key, hex]) => {
+        colorMap.set(key, new THREE.Color(hex));
+        customColorKeys.add(key);
+    });
+    console.log(`[Colors] Imported ${Object.keys(content.colors || {}).length} colors`);
+    
+    updatePointColors();
+    updateLegend();
+    updateHeatmap();
+    scheduleStateSave();
+}
+
+// World units per CSS pixel at the depth of the controls target
+function getWorldUnitsPerPixel() {
+    if (camera.isOrthographicCamera) {
+        return (camera.top - camera.bottom) / camera.zoom / renderer.domElement.clientHeight;
+    }
+    const distance = camera.position.distanceTo(controls.target);
+    const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+    return visibleHeight / renderer.domElement.clientHeight;
+}
+
+// Largest 1, 2 or 5 times a power of ten that is at most maxLength
+function getNiceScaleLength(maxLength) {
+    const power = Math.pow(10, Math.floor(Math.log10(maxLength)));
+    const mantissa = maxLength / power;
+    return (mantissa >= 5 ? 5 : (mantissa >= 2 ? 2 : 1)) * power;
+}
+
+// Black or white, whichever reads better on the given background color
+function getContrastColor(hex) {
+    const color = new THREE.Color(hex);
+    return 0.299 * color.r + 0.587 * color.g + 0.114 * color.b > 0.5 ? '#000000' : '#ffffff';
+}
+
+// Image export options from the Controls panel
+function getExportOptions() {
+    return {
+        scale: parseInt(document.getElementById('exportScale').value, 10),
+        background: document.getElementById('exportBackground').value,
+        transparent: document.getElementById('exportTransparent').checked,
+        includeLegend: document.getElementById('exportLegend').checked,
+        includeScaleBar: document.getElementById('exportScaleBar').checked
+    };
+}
+
+// Legend contents as drawable entries, read from the legend panel built by updateLegend
+function getLegendEntries() {
+    const entries = [];
+    Array.from(document.getElementById('legend').children).forEach(element => {
+        // Hidden values aren't drawn, and neither are the summary and page controls
+        if (element.classList.contains('legend-hidden') || element.classList.contains('legend-summary') || element.classList.contains('legend-pager')) {
+            return;
+        }
+        if (element.classList.contains('legend-item')) {
+            entries.push({
+                type: 'item',
+                color: element.querySelector('.legend-color').style.backgroundColor,
+                label: element.querySelector('.legend-label').textContent
+            });
+        } else if (element.classList.contains('legend-gradient')) {
+            entries.push({ type: 'gradient', canvas: element });
+        } else if (element.classList.contains('legend-gradient-labels')) {
+            entries.push({ type: 'range', labels: Array.from(element.children).map(span => span.textContent) });
+        } else if (element.textContent) {
+            entries.push({ type: 'text', label: element.textContent });
+        }
+    });
+    return entries;
+}
+
+// Draw the legend entries in a box at (x, y); unit is the number of image pixels per CSS pixel
+function drawLegend(ctx, entries, x, y, unit, textColor) {
+    const padding = 10 * unit;
+    const lineHeight = 18 * unit;
+    const swatchSize = 12 * unit;
+    const gradientWidth = 200 * unit;
+    const gradientHeight = 14 * unit;
+    ctx.font = `${12 * unit}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    
+    // Measure first, to size the background box
+    let width = gradientWidth;
+    let height = 0;
+    entries.forEach(entry => {
+        if (entry.type === 'item') {
+            width = Math.max(width, swatchSize + 6 * unit + ctx.measureText(entry.label).width);
+        } else if (entry.type === 'text') {
+            width = Math.max(width, ctx.measureText(entry.label).width);
+        }
+        height += entry.type === 'gradient' ? gradientHeight + 4 * unit : lineHeight;
+    });
+    
+    ctx.fillStyle = textColor === '#ffffff' ? 'rgba(0, 0, 0, 0.5)' : 'rgba(255, 255, 255, 0.7)';
+    ctx.fillRect(x, y, width + padding * 2, height + padding * 2);
+    
+    let cursorY = y + padding;
+    entries.forEach(entry => {
+        if (entry.type === 'item') {
+            ctx.fillStyle = entry.color;
+            ctx.fillRect(x + padding, cursorY + (lineHeight - swatchSize) / 2, swatchSize, swatchSize);
+            ctx.fillStyle = textColor;
+            ctx.fillText(entry.label, x + padding + swatchSize + 6 * unit, cursorY + lineHeight / 2);
+        } else if (entry.type === 'gradient') {
+            ctx.drawImage(entry.canvas, x + padding, cursorY, gradientWidth, gradientHeight);
+            cursorY += gradientHeight + 4 * unit;
+            return;
+        } else if (entry.type === 'range') {
+            ctx.fillStyle = textColor;
+            ctx.textAlign = 'left';
+            ctx.fillText(entry.labels[0] || '', x + padding, cursorY + lineHeight / 2);
+            ctx.textAlign = 'right';
+            ctx.fillText(entry.labels[1] || '', x + padding + gradientWidth, cursorY + lineHeight / 2);
+            ctx.textAlign = 'left';
+        } else {
+            ctx.fillStyle = textColor;
+            ctx.fillText(entry.label, x + padding, cursorY + lineHeight / 2);
+        }
+        cursorY += lineHeight;
+    });
+}
+
+// Draw a scale bar of lengthPixels image pixels at (x, y) (bottom left of the bar)
+function drawScaleBar(ctx, lengthPixels, label, x, y, unit, textColor) {
+    ctx.fillStyle = textColor;
+    ctx.fillRect(x, y - 4 * unit, lengthPixels, 4 * unit);
+    ctx.font = `${12 * unit}px sans-serif`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, x + lengthPixels / 2, y - 8 * unit);
+    ctx.textAlign = 'left';
+}
+
+// Render the view off-screen at a multiple of the canvas resolution and save it as a PNG,
+// with the legend and a scale bar drawn on top
+function exportPNG() {
+    if (!pointCloud) return;
+    const options = getExportOptions();
+    
+    // Stay within the GPU's render buffer limits and a memory budget for the image
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const baseWidth = renderer.domElement.width;
+    const baseHeight = renderer.domElement.height;
+    const maxScale = Math.min(
+        Math.floor(maxSize / Math.max(baseWidth, baseHeight)),
+        Math.floor(Math.sqrt(MAX_EXPORT_PIXELS / (baseWidth * baseHeight)))
+    );
+    const scale = Math.max(1, Math.min(options.scale, maxScale));
+    const width = baseWidth * scale;
+    const height = baseHeight * scale;
+    let statusMessage = '';
+    if (scale < options.scale) {
+        statusMessage = `Saved at ${scale}x (${width} x ${height}): ${options.scale}x would exceed the maximum image size for this canvas.`;
+        console.warn(`[Export] Scale reduced to ${scale}x to stay within ${maxSize}px and ${MAX_EXPORT_PIXELS / 1000000} MP`);
+    }
+    document.getElementById('exportImageStatus').textContent = statusMessage;
+    
+    // Render into a target with the export background and sprite sizes for its height
+    const renderTarget = new THREE.WebGLRenderTarget(width, height, { format: THREE.RGBAFormat });
+    const previousBackground = scene.background;
+    const highlightVisible = highlightSphere ? highlightSphere.visible : false;
+    const spriteMaterials = [pointCloud, unassignedCloud].filter(object => object && object.isPoints).map(object => object.material);
+    scene.background = options.transparent ? null : new THREE.Color(options.background);
+    if (highlightSphere) highlightSphere.visible = false;
+    spriteMaterials.forEach(material => updateSpriteScale(material, height));
+    
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+        renderer.setRenderTarget(renderTarget);
+        renderer.setClearColor(0x000000, 0);
+        renderer.clear();
+        renderer.render(scene, camera);
+        renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, pixels);
+    } finally {
+        renderer.setRenderTarget(null);
+        renderer.setClearColor(0x000000, 1);
+        renderTarget.dispose();
+        scene.background = previousBackground;
+        if (highlightSphere) highlightSphere.visible = highlightVisible;
+        spriteMaterials.forEach(material => updateSpriteScale(material));
+    }
+    
+    // WebGL rows start at the bottom
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    const rowSize = width * 4;
+    for (let row = 0; row < height; row++) {
+        imageData.data.set(pixels.subarray((height - 1 - row) * rowSize, (height - row) * rowSize), row * rowSize);
+    }
+    ctx.putImageData(imageData, 0, 0);
+    
+    const unit = width / renderer.domElement.clientWidth;
+    const textColor = getContrastColor(options.background);
+    if (options.includeLegend) {
+        drawLegend(ctx, getLegendEntries(), 16 * unit, 16 * unit, unit, textColor);
+    }
+    if (options.includeScaleBar) {
+        const length = getNiceScaleLength(getWorldUnitsPerPixel() * renderer.domElement.clientWidth / 5);
+        drawScaleBar(ctx, length / getWorldUnitsPerPixel() * unit, `${length} ${COORDINATE_UNITS}`, 16 * unit, height - 16 * unit, unit, textColor);
+    }
+    
+    canvas.toBlob(blob => {
+        downloadFile(blob, 'cellcarto-view.png', 'image/png');
+        console.log(`[Export] Saved ${width} x ${height} PNG`);
+    }, 'image/png');
+}
+
+// Save the rendered points as an SVG of circles, projected orthographically onto the camera's view plane
+function exportSVG() {
+    if (!pointCloud || !renderedIndicesMap || renderedIndicesMap.length === 0) return;
+    const options = getExportOptions();
+    
+    const count = Math.min(renderedIndicesMap.length, MAX_SVG_POINTS);
+    if (count < renderedIndicesMap.length) {
+        console.warn(`[Export] SVG limited to ${count} of ${renderedIndicesMap.length} rendered points`);
+    }
+    
+    // Camera right and up axes span the projection plane
+    camera.updateMatrixWorld();
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    const isCells = isCellView();
+    const sourcePositions = isCells ? cellData.centroids : store.positions;
+    const colors = (sphereMesh ? sphereMesh.instanceColor : pointCloud.geometry.getAttribute('color')).array;
+    const pointSize = parseFloat(document.getElementById('pointSize').value);
+    
+    const projected = new Float32Array(count * 2);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const point = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        point.fromArray(sourcePositions, renderedIndicesMap[i] * 3);
+        const x = point.dot(right);
+        const y = -point.dot(up); // SVG y points down
+        projected[i * 2] = x;
+        projected[i * 2 + 1] = y;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+    
+    // Fit the points into a 1000px wide (or tall) plot area
+    const plotSize = 1000;
+    const margin = 20;
+    const span = Math.max(maxX - minX, maxY - minY, 1e-6);
+    const k = plotSize / span;
+    const plotWidth = (maxX - minX) * k + margin * 2;
+    const plotHeight = (maxY - minY) * k + margin * 2;
+    
+    // One group per color keeps the file small
+    const groups = new Map();
+    for (let i = 0; i < count; i++) {
+        const hex = '#' + new THREE.Color(colors[i * 3], colors[i * 3 + 1], colors[i * 3 + 2]).getHexString();
+        const radius = pointSize * (isCells ? getCellGlyphScale(renderedIndicesMap[i]) : 1) * k;
+        if (!groups.has(hex)) groups.set(hex, []);
+        groups.get(hex).push(`<circle cx="${((projected[i * 2] - minX) * k + margin).toFixed(2)}" cy="${((projected[i * 2 + 1] - minY) * k + margin).toFixed(2)}" r="${radius.toFixed(2)}"/>`);
+    }
+    
+    const textColor = getContrastColor(options.background);
+    const legendEntries = options.includeLegend ? getLegendEntries() : [];
+    const legendWidth = legendEntries.length > 0 ? 240 : 0;
+    const width = plotWidth + legendWidth;
+    const height = Math.max(plotHeight, legendEntries.length * 18 + margin * 2);
+    
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width.toFixed(0)}" height="${height.toFixed(0)}" viewBox="0 0 ${width.toFixed(2)} ${height.toFixed(2)}" font-family="sans-serif" font-size="12">`];
+    if (!options.transparent) {
+        parts.push(`<rect width="100%" height="100%" fill="${options.background}"/>`);
+    }
+    groups.forEach((circles, hex) => {
+        parts.push(`<g fill="${hex}">${circles.join('')}</g>`);
+    });
+    
+    // Legend to the right of the plot
+    let legendY = margin;
+    legendEntries.forEach((entry, index) => {
+        const x = plotWidth + 10;
+        if (entry.type === 'item') {
+            parts.push(`<rect x="${x}" y="${legendY + 3}" width="12" height="12" fill="${entry.color}"/>`);
+            parts.push(`<text x="${x + 18}" y="${legendY + 13}" fill="${textColor}">${escapeXML(entry.label)}</text>`);
+        } else if (entry.type === 'gradient') {
+            // Sample the legend's gradient canvas into SVG gradient stops
+            const data = entry.canvas.getContext('2d').getImageData(0, 0, entry.canvas.width, 1).data;
+            const stops = [];
+            for (let stop = 0; stop <= 10; stop++) {
+                const px = Math.min(entry.canvas.width - 1, Math.round(stop / 10 * (entry.canvas.width - 1))) * 4;
+                stops.push(`<stop offset="${stop * 10}%" stop-color="rgb(${data[px]}, ${data[px + 1]}, ${data[px + 2]})"/>`);
             }
+            parts.push(`<defs><linearGradient id="legendGradient${index}">${stops.join('')}</linearGradient></defs>`);
+            parts.push(`<rect x="${x}" y="${legendY}" width="200" height="14" fill="url(#legendGradient${index})"/>`);
+        } else if (entry.type === 'range') {
+            parts.push(`<text x="${x}" y="${legendY + 13}" fill="${textColor}">${escapeXML(entry.labels[0] || '')}</text>`);
+            parts.push(`<text x="${x + 200}" y="${legendY + 13}" fill="${textColor}" text-anchor="end">${escapeXML(entry.labels[1] || '')}</text>`);
         } else {
-            legendDiv.innerHTML = '<div class="legend-label">No visible data</div>';
+            parts.push(`<text x="${x}" y="${legendY + 13}" fill="${textColor}">${escapeXML(entry.label)}</text>`);
         }
-    } else {
-        // Show categorical legend
-        const sortedValues = Array.from(visibleValues).sort();
+        legendY += 18;
+    });
+    
+    if (options.includeScaleBar) {
+        const length = getNiceScaleLength(span / 5);
+        const barY = plotHeight - margin / 2;
+        parts.push(`<rect x="${margin}" y="${barY - 4}" width="${(length * k).toFixed(2)}" height="4" fill="${textColor}"/>`);
+        parts.push(`<text x="${(margin + length * k / 2).toFixed(2)}" y="${barY - 8}" fill="${textColor}" text-anchor="middle">${length} ${COORDINATE_UNITS}</text>`);
+    }
+    
+    parts.push('</svg>');
+    downloadFile(parts.join('\n'), 'cellcarto-view.svg', 'image/svg+xml');
+    console.log(`[Export] Saved SVG with ${count} points in ${groups.size} colors`);
+}
+
+// Escape text for use in SVG/XML markup
+function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Quote a CSV field if it contains a delimiter, quote or line break
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Store indices for the data export scope chosen in the Controls panel (null if there is nothing to export)
+function getExportIndices() {
+    const scope = document.getElementById('exportScope').value;
+    const indices = scope === 'selection' ? selectedIndices : visibleIndices;
+    return indices && indices.length > 0 ? indices : null;
+}
+
+// Save the exported transcripts as CSV with all columns of their original files
+// Their records are re-read from the files, so ignored columns and the exact original values are kept
+async function exportTranscriptsCSV() {
+    const indices = getExportIndices();
+    const status = document.getElementById('exportDataStatus');
+    if (!indices) {
+        console.warn('[Export] No transcripts to export');
+        return;
+    }
+    if (isLoading) {
+        status.textContent = 'Transcripts can be exported once loading has finished.';
+        return;
+    }
+    
+    const button = document.getElementById('exportTranscripts');
+    button.disabled = true;
+    status.textContent = '';
+    status.classList.remove('error');
+    try {
+        // Datasets are stored one after another, so in store order each dataset's transcripts are one run
+        const sorted = Uint32Array.from(indices).sort();
+        const runs = [];
+        let start = 0;
+        let next = 0;
+        loadedDatasets.forEach(dataset => {
+            const end = start + dataset.points;
+            const first = next;
+            while (next < sorted.length && sorted[next] < end) next++;
+            if (next > first) runs.push({ dataset: dataset, indices: sorted.subarray(first, next) });
+            start = end;
+        });
         
-        if (sortedValues.length === 0) {
-            legendDiv.innerHTML = '<div class="legend-label">No visible data</div>';
-            return;
+        // The columns of all files, in the order they first appear
+        const header = [];
+        for (const run of runs) {
+            run.headers = (await readFileHead(run.dataset.source, 0)).headers;
+            run.headers.forEach(name => {
+                if (!header.includes(name)) header.push(name);
+            });
         }
         
-        // Limit to first 100 items for performance
-        const displayValues = sortedValues.slice(0, 100);
-        const remainingCount = sortedValues.length - displayValues.length;
-        
-        displayValues.forEach(value => {
-            const itemDiv = document.createElement('div');
-            itemDiv.className = 'legend-item';
-            itemDiv.style.cursor = 'pointer';
-            itemDiv.title = 'Click to change color';
-            
-            const colorDiv = document.createElement('div');
-            colorDiv.className = 'legend-color';
-            const color = getColorForValue(value, colorBy);
-            const colorKey = `${colorBy}:${value}`;
-            colorDiv.style.backgroundColor = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
-            
-            const labelDiv = document.createElement('div');
-            labelDiv.className = 'legend-label';
-            labelDiv.textContent = value || '(empty)';
-            
-            // Add click handler to change color
-            itemDiv.addEventListener('click', (event) => {
-                event.stopPropagation();
-                changeEntityColor(colorBy, value, colorKey, colorDiv);
-            });
-            
-            // Add hover effect
-            itemDiv.addEventListener('mouseenter', () => {
-                itemDiv.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-                itemDiv.style.borderRadius = '4px';
-            });
+        const CHUNK_ROWS = 100000;
+        const parts = [header.map(escapeCSVField).join(',') + '\n'];
+        let missing = 0;
+        for (let i = 0; i < runs.length; i++) {
+            const run = runs[i];
+            button.textContent = `Reading ${run.dataset.name} (${i + 1}/${runs.length})...`;
             
-            itemDiv.addEventListener('mouseleave', () => {
-                itemDiv.style.backgroundColor = 'transparent';
-            });
+            // Records of files with all the columns are copied as they are, others are rearranged to the header
+            const sameColumns = run.headers.join('\n') === header.join('\n');
+            const recordNumbers = Uint32Array.from(run.indices, idx => store.sourceRows[idx]);
+            const data = await runCSVWorker({ type: 'rows', source: run.dataset.source, rows: recordNumbers, raw: sameColumns });
+            const columnIndices = header.map(name => data.headers.indexOf(name));
             
-            itemDiv.appendChild(colorDiv);
-            itemDiv.appendChild(labelDiv);
-            legendDiv.appendChild(itemDiv);
-        });
-        
-        if (remainingCount > 0) {
-            const moreDiv = document.createElement('div');
-            moreDiv.className = 'legend-label';
-            moreDiv.style.fontStyle = 'italic';
-            moreDiv.style.color = '#95a5a6';
-            moreDiv.textContent = `... and ${remainingCount} more`;
-            legendDiv.appendChild(moreDiv);
+            // Build the file in chunks of rows, so no single huge string is needed
+            for (let chunkStart = 0; chunkStart < data.rows.length; chunkStart += CHUNK_ROWS) {
+                const lines = [];
+                data.rows.slice(chunkStart, chunkStart + CHUNK_ROWS).forEach(row => {
+                    if (row === null) {
+                        missing++;
+                    } else if (sameColumns) {
+                        lines.push(row);
+                    } else {
+                        lines.push(columnIndices.map(col => (col >= 0 && row[col] !== undefined ? escapeCSVField(row[col]) : '')).join(','));
+                    }
+                });
+                if (lines.length > 0) parts.push(lines.join('\n') + '\n');
+            }
         }
+        if (missing > 0) {
+            console.warn(`[Export] ${missing} transcripts were not found in their files`);
+            status.textContent = `${missing.toLocaleString()} transcripts were not found in their files and were left out.`;
+        }
+        
+        const scope = document.getElementById('exportScope').value;
+        downloadFile(new Blob(parts, { type: 'text/csv' }), `${scope === 'selection' ? 'selected' : 'visible'}_transcripts.csv`, 'text/csv');
+        console.log(`[Export] Saved ${indices.length - missing} transcripts with ${header.length} columns`);
+    } catch (error) {
+        console.error('[Export] Could not read the original transcript records:', error);
+        status.textContent = `Could not read the original files: ${error.message}`;
+        status.classList.add('error');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Save transcripts as CSV';
+    }
+}
+
+// Save the number of exported transcripts per value of the chosen categorical column (e.g. per gene or per cell) as CSV
+function exportValueCountsCSV() {
+    const indices = getExportIndices();
+    const col = document.getElementById('summaryColumn').value;
+    const column = store.categorical[col];
+    if (!indices || !column) {
+        console.warn('[Export] No transcripts to summarize');
+        return;
+    }
+    
+    const rows = countCategoricalValues(column, indices);
+    const lines = [`${escapeCSVField(col)},transcripts,fraction`];
+    rows.forEach(row => {
+        lines.push(`${escapeCSVField(row.value)},${row.count},${(row.count / indices.length).toPrecision(6)}`);
+    });
+    
+    const scope = document.getElementById('exportScope').value;
+    downloadFile(lines.join('\n') + '\n', `${scope === 'selection' ? 'selected' : 'visible'}_counts_per_${col}.csv`, 'text/csv');
+    console.log(`[Export] Saved counts for ${rows.length} ${col} values`);
+}
+
+// Transcripts per value of a categorical column among indices, as { value, count } rows, most frequent first
+function countCategoricalValues(column, indices) {
+    const counts = new Uint32Array(column.values.length);
+    for (let i = 0; i < indices.length; i++) {
+        counts[column.codes[indices[i]]]++;
+    }
+    const rows = [];
+    counts.forEach((count, code) => {
+        if (count > 0) rows.push({ value: column.values[code], count });
+    });
+    return rows.sort((a, b) => b.count - a.count);
+}
+
+// Change color for a specific entity
+function changeEntityColor(attribute, value, colorKey, colorDivElement) {
+    // Get current color
+    const currentColor = colorMap.get(colorKey) || getColorForValue(value, attribute);
+    const currentHex = '#' + 
+        Math.round(currentColor.r * 255).toString(16).padStart(2, '0') +
+        Math.round(currentColor.g * 255).toString(16).padStart(2, '0') +
+        Math.round(currentColor.b * 255).toString(16).padStart(2, '0');
+    
+    // Create a color input
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = currentHex;
+    colorInput.style.position = 'absolute';
+    colorInput.style.opacity = '0';
+    colorInput.style.width = '0';
+    colorInput.style.height = '0';
+    colorInput.style.pointerEvents = 'none';
+    
+    // Add to body temporarily
+    document.body.appendChild(colorInput);
+    
+    // Trigger color picker
+    colorInput.click();
+    
+    // Listen for change
+    colorInput.addEventListener('change', (event) => {
+        const newHex = event.target.value;
+        
+        // Parse hex color to THREE.Color
+        const r = parseInt(newHex.slice(1, 3), 16) / 255;
+        const g = parseInt(newHex.slice(3, 5), 16) / 255;
+        const b = parseInt(newHex.slice(5, 7), 16) / 255;
+        
+        const newColor = new THREE.Color(r, g, b);
+        
+        // Update color map
+        colorMap.set(colorKey, newColor);
+        customColorKeys.add(colorKey);
+        scheduleStateSave();
+        
+        // Update the color div in legend
+        colorDivElement.style.backgroundColor = newHex;
+        
+        // Rewrite the point colors only
+        updatePointColors();
+        
+        // Clean up
+        document.body.removeChild(colorInput);
+        
+        console.log(`[Color Change] Changed color for ${attribute}:${value} to ${newHex}`);
+    });
+    
+    // Also handle if user cancels (click outside)
+    colorInput.addEventListener('blur', () => {
+        setTimeout(() => {
+            if (document.body.contains(colorInput)) {
+                document.body.removeChild(colorInput);
+            }
+        }, 100);
+    });
+}
+
+// Continuous colormaps as evenly spaced color stops (viridis, magma and cividis from matplotlib, coolwarm for diverging data)
+const COLORMAPS = {
+    viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+    magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55964', '#fb8761', '#fec287', '#fcfdbf'],
+    cividis: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8678', '#a59c74', '#c3b369', '#fee838'],
+    diverging: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd', '#f5c4ad', '#f49a7b', '#de604d', '#b40426']
+};
+
+// Categorical palettes, assigned to values from the most to the least frequent
+const CATEGORICAL_PALETTES = {
+    glasbey: [
+        '#d60000', '#8c3bff', '#018700', '#00acc6', '#97ff00', '#ff7ed1', '#6b004f', '#ffa52f',
+        '#573b00', '#005659', '#0000dd', '#00fdcf', '#a17569', '#bcb6ff', '#95b577', '#bf03b8',
+        '#645474', '#790000', '#0774d8', '#fdf490', '#004b00', '#8e7900', '#ff7266', '#edb8b8',
+        '#5d7e66', '#9ae4ff', '#eb0077', '#a57bb8', '#5900a3', '#03c600', '#9e4b00', '#9c3b4f'
+    ],
+    // Okabe-Ito without black, which disappears on the dark background
+    colorblind: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7']
+};
+
+const LEGEND_PAGE_SIZE = 100; // Categorical legend entries per page
+const COLOR_SCALE_SAMPLE_SIZE = 100000; // Values sampled for percentiles and quantiles
+const GRADIENT_LUT_SIZE = 256; // Colors precomputed per colormap
+
+// Read a clamp percentile input, falling back to defaultValue when it isn't a number (0 is a valid clamp)
+function readClampPercentile(id, defaultValue) {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : defaultValue;
+}
+
+// Read the color controls into colorSettings; cached scales depend on them
+function updateColorSettings() {
+    colorSettings = {
+        palette: document.getElementById('categoricalPalette').value,
+        colormap: document.getElementById('colormap').value,
+        scale: document.getElementById('colorScale').value,
+        clampLow: readClampPercentile('clampLow', 0),
+        clampHigh: readClampPercentile('clampHigh', 100)
+    };
+    colorScaleCache.clear();
+}
+
+// Forget the palette colors generated so far (picked and imported colors stay), e.g. after the palette changed
+function resetGeneratedColors() {
+    Array.from(colorMap.keys()).forEach(key => {
+        if (!customColorKeys.has(key)) colorMap.delete(key);
+    });
+}
+
+// Map values to [0, 1] for a colormap: linear, log or by quantile between the clamp percentiles
+// Returns { min, max, normalize } where min/max are the values at the clamp percentiles, or null without values
+function createColorScale(values) {
+    const { scale: mode, clampLow, clampHigh } = colorSettings;
+    const low = Math.min(clampLow, clampHigh) / 100;
+    const high = Math.max(clampLow, clampHigh) / 100;
+    
+    // Exact extremes, plus a sorted sample for percentiles and quantiles
+    const step = Math.max(1, Math.floor(values.length / COLOR_SCALE_SAMPLE_SIZE));
+    const sampled = [];
+    let dataMin = Infinity;
+    let dataMax = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (isNaN(value)) continue;
+        if (value < dataMin) dataMin = value;
+        if (value > dataMax) dataMax = value;
+        if (i % step === 0) sampled.push(value);
+    }
+    if (sampled.length === 0) return null;
+    const sample = Float64Array.from(sampled).sort();
+    const n = sample.length;
+    
+    const min = low > 0 ? sample[Math.round(low * (n - 1))] : dataMin;
+    const max = high < 1 ? sample[Math.round(high * (n - 1))] : dataMax;
+    const clamp = value => Math.min(max, Math.max(min, value));
+    
+    let normalize;
+    if (mode === 'quantile') {
+        // Fraction of the sample at or below the value, rescaled to the clamp percentiles
+        normalize = value => {
+            const clamped = clamp(value);
+            let lo = 0;
+            let hi = n;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sample[mid] <= clamped) lo = mid + 1;
+                else hi = mid;
+            }
+            return high > low ? (lo / n - low) / (high - low) : 0;
+        };
+    } else if (mode === 'log') {
+        // log10, shifted so the smallest value maps to log10(1) when the values aren't all positive
+        const offset = min > 0 ? 0 : 1 - min;
+        const logMin = Math.log10(min + offset);
+        const logSpan = Math.log10(max + offset) - logMin;
+        normalize = value => logSpan > 0 ? (Math.log10(clamp(value) + offset) - logMin) / logSpan : 0;
+    } else {
+        normalize = value => max > min ? (clamp(value) - min) / (max - min) : 0;
+    }
+    return { min, max, normalize };
+}
+
+// Color scale of a continuous column over all loaded transcripts, so colors don't change with the filters
+function getColorScale(attribute) {
+    if (!colorScaleCache.has(attribute)) {
+        const values = store.continuous[attribute];
+        colorScaleCache.set(attribute, values ? createColorScale(values) : null);
+    }
+    return colorScaleCache.get(attribute);
+}
+
+// Short description of non-default scaling for legend titles ('' for linear over the full range)
+function getColorScaleLabel() {
+    const parts = [];
+    if (colorSettings.scale !== 'linear') parts.push(colorSettings.scale === 'log' ? 'log scale' : 'quantiles');
+    if (colorSettings.clampLow > 0 || colorSettings.clampHigh < 100) {
+        parts.push(`clamped to ${colorSettings.clampLow}-${colorSettings.clampHigh} percentile`);
+    }
+    return parts.join(', ');
+}
+
+// Rank of each value of a categorical column by transcript count (0 for the most frequent), over all loaded transcripts
+function getValueRanks(attribute) {
+    if (!valueRankCache.has(attribute)) {
+        const column = store.categorical[attribute];
+        const ranks = new Map();
+        if (column) {
+            const counts = new Uint32Array(column.values.length);
+            for (let i = 0; i < store.length; i++) {
+                counts[column.codes[i]]++;
+            }
+            const codes = column.values.map((value, code) => code).filter(code => column.values[code]);
+            codes.sort((a, b) => counts[b] - counts[a] || column.values[a].localeCompare(column.values[b]));
+            codes.forEach((code, rank) => ranks.set(column.values[code], rank));
+        }
+        valueRankCache.set(attribute, ranks);
+    }
+    return valueRankCache.get(attribute);
+}
+
+// Palette color of a categorical value: by frequency rank for the fixed palettes (lighter or darker on each
+// repeat of the palette), or from a hash of the value
+function getPaletteColor(value, attribute) {
+    const palette = CATEGORICAL_PALETTES[colorSettings.palette];
+    const rank = palette ? getValueRanks(attribute).get(String(value)) : undefined;
+    const color = new THREE.Color();
+    
+    if (rank !== undefined) {
+        color.set(palette[rank % palette.length]);
+        const cycle = Math.floor(rank / palette.length);
+        if (cycle > 0) {
+            color.offsetHSL(0, 0, (cycle % 2 === 1 ? 1 : -1) * Math.min(0.3, 0.12 * Math.ceil(cycle / 2)));
+        }
+        return color;
+    }
+    
+    // Generate a color based on hash of the value
+    const strValue = String(value);
+    let hash = 0;
+    for (let i = 0; i < strValue.length; i++) {
+        hash = strValue.charCodeAt(i) + ((hash << 5) - hash);
+    }
+    
+    const hue = (hash % 360 + 360) % 360;
+    const saturation = 70 + (hash % 20);
+    const lightness = 50 + (hash % 20);
+    
+    color.setHSL(hue / 360, saturation / 100, lightness / 100);
+    return color;
+}
+
+// Generate color for a value
+function getColorForValue(value, attribute) {
+    if (value === null || value === undefined || value === '') return new THREE.Color(0x888888);
+    
+    // For continuous variables, use the colormap and scaling from the Controls panel
+    if (column_names_continuous.includes(attribute) && typeof value === 'number') {
+        const scale = getColorScale(attribute);
+        if (scale) {
+            return getGradientColor(scale.normalize(value));
+        }
+    }
+    
+    const key = `${attribute}:${value}`;
+    
+    if (!colorMap.has(key)) {
+        colorMap.set(key, getPaletteColor(value, attribute));
+    }
+    
+    return colorMap.get(key);
+}
+
+// Color of the selected colormap for a value normalized to [0, 1], looked up in a precomputed table
+// The 'rainbow' colormap is the original blue to red hue ramp
+function getGradientColor(normalized) {
+    const name = colorSettings.colormap;
+    if (!gradientLookupTables.has(name)) {
+        const table = [];
+        const stops = (COLORMAPS[name] || []).map(hex => new THREE.Color(hex));
+        for (let i = 0; i < GRADIENT_LUT_SIZE; i++) {
+            const t = i / (GRADIENT_LUT_SIZE - 1);
+            const color = new THREE.Color();
+            if (stops.length > 1) {
+                const position = t * (stops.length - 1);
+                const index = Math.min(stops.length - 2, Math.floor(position));
+                color.copy(stops[index]).lerp(stops[index + 1], position - index);
+            } else {
+                color.setHSL((1 - t) * 0.7, 0.8, 0.5);
+            }
+            table.push(color);
+        }
+        gradientLookupTables.set(name, table);
+    }
+    
+    const t = normalized > 0 ? Math.min(1, normalized) : 0;
+    return gradientLookupTables.get(name)[Math.round(t * (GRADIENT_LUT_SIZE - 1))];
+}
+
+// Update the color legend
+function updateLegend() {
+    const legendDiv = document.getElementById('legend');
+    if (!legendDiv) return;
+    
+    if (isCellView()) {
+        updateCellLegend(legendDiv);
+        return;
+    }
+    
+    const colorBy = document.getElementById('colorBy').value;
+    
+    // Get value counts (categorical) or the value range (continuous) of the visible data
+    const valueCounts = new Map();
+    const isContinuous = column_names_continuous.includes(colorBy);
+    let minVal = Infinity;
+    let maxVal = -Infinity;
+    
+    if (visibleIndices && visibleIndices.length > 0 && isContinuous && store.continuous[colorBy]) {
+        const values = store.continuous[colorBy];
+        for (let i = 0; i < visibleIndices.length; i++) {
+            const value = values[visibleIndices[i]];
+            if (value < minVal) minVal = value;
+            if (value > maxVal) maxVal = value;
+        }
+    } else if (legendCandidateIndices && !isContinuous && store.categorical[colorBy]) {
+        // Count the points as if this column's own values weren't hidden, so hidden values keep their entries
+        const indices = applyLegendVisibility(legendCandidateIndices, colorBy);
+        const column = store.categorical[colorBy];
+        const counts = new Uint32Array(column.values.length);
+        for (let i = 0; i < indices.length; i++) {
+            counts[column.codes[indices[i]]]++;
+        }
+        column.values.forEach((value, code) => {
+            if (counts[code] && value) {
+                valueCounts.set(value, counts[code]);
+            }
+        });
+    }
+    
+    legendDiv.innerHTML = '';
+    appendLegendHiddenNote(legendDiv, colorBy);
+    
+    if (isContinuous) {
+        const scaleLabel = getColorScaleLabel();
+        if (scaleLabel) {
+            legendDiv.insertAdjacentHTML('beforeend', `<div class="legend-label legend-title">${colorBy} (${scaleLabel})</div>`);
+        }
+        // Show gradient for continuous values (NaN values never update the range)
+        appendGradientLegend(legendDiv, minVal, maxVal, value => getColorForValue(value, colorBy), 4);
+    } else {
+        appendCategoricalLegend(legendDiv, valueCounts, colorBy, legendHiddenValues.get(colorBy) || new Set());
+    }
+}
+
+// Legend for cells view: a gradient for counts and expression, gene swatches for the dominant gene
+function updateCellLegend(legendDiv) {
+    const cellColors = getCellColorValues();
+    legendDiv.innerHTML = '';
+    
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'legend-label legend-title';
+    const scaleLabel = cellColors.values ? getColorScaleLabel() : '';
+    titleDiv.textContent = scaleLabel ? `${cellColors.label} (${scaleLabel})` : cellColors.label;
+    legendDiv.appendChild(titleDiv);
+    
+    if (cellColors.values) {
+        appendGradientLegend(legendDiv, cellColors.min, cellColors.max, value => getCellGradientColor(value, cellColors), 0);
+    } else {
+        const geneValues = store.categorical[cellData.geneColumn].values;
+        const dominantCounts = new Map();
+        for (let c = 0; c < cellData.count; c++) {
+            const value = geneValues[cellData.dominant[c]];
+            if (value) dominantCounts.set(value, (dominantCounts.get(value) || 0) + 1);
+        }
+        appendCategoricalLegend(legendDiv, dominantCounts, cellData.geneColumn, null);
+    }
+}
+
+// Append a gradient bar with min/max labels; getColor maps a value in [minVal, maxVal] to a THREE.Color
+function appendGradientLegend(legendDiv, minVal, maxVal, getColor, decimals) {
+    if (!(minVal <= maxVal)) {
+        legendDiv.insertAdjacentHTML('beforeend', '<div class="legend-label">No visible data</div>');
+        return;
+    }
+    
+    // Create gradient canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = 200;
+    canvas.height = 30;
+    canvas.className = 'legend-gradient';
+    const ctx = canvas.getContext('2d');
+    
+    const gradient = ctx.createLinearGradient(0, 0, canvas.width, 0);
+    for (let i = 0; i <= 100; i++) {
+        const normalized = i / 100;
+        const value = minVal + (maxVal - minVal) * normalized;
+        const color = getColor(value);
+        const stop = i / 100;
+        gradient.addColorStop(stop, `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`);
+    }
+    
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    legendDiv.appendChild(canvas);
+    
+    const labelsDiv = document.createElement('div');
+    labelsDiv.className = 'legend-gradient-labels';
+    labelsDiv.innerHTML = `<span>${minVal.toFixed(decimals)}</span><span>${maxVal.toFixed(decimals)}</span>`;
+    legendDiv.appendChild(labelsDiv);
+}
+
+// Append a page of legend entries with their counts, sorted and searched with the legend controls.
+// Clicking an entry toggles its visibility (Alt-click isolates it) and clicking its swatch changes the color;
+// hidden is null where values can't be hidden (the dominant genes of the cells view)
+function appendCategoricalLegend(legendDiv, valueCounts, attribute, hidden) {
+    const search = document.getElementById('legendSearch').value.trim().toLowerCase();
+    const sortBy = document.getElementById('legendSort').value;
+    
+    const values = Array.from(valueCounts.keys()).filter(value => !search || value.toLowerCase().includes(search));
+    if (sortBy === 'name') {
+        values.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    } else {
+        values.sort((a, b) => valueCounts.get(b) - valueCounts.get(a) || a.localeCompare(b, undefined, { numeric: true }));
+    }
+    
+    // Summary line, with a way back when values are hidden
+    const summaryDiv = document.createElement('div');
+    summaryDiv.className = 'legend-summary';
+    const unit = hidden ? 'values' : 'dominant genes';
+    summaryDiv.textContent = search ? `${values.length} of ${valueCounts.size} ${unit}` : `${valueCounts.size} ${unit}`;
+    if (hidden && hidden.size > 0) {
+        summaryDiv.textContent += `, ${hidden.size} hidden `;
+        const showButton = document.createElement('button');
+        showButton.className = 'legend-show-all';
+        showButton.textContent = 'Show all';
+        showButton.addEventListener('click', () => showLegendValues(attribute));
+        summaryDiv.appendChild(showButton);
+    }
+    legendDiv.appendChild(summaryDiv);
+    
+    if (values.length === 0) {
+        legendDiv.insertAdjacentHTML('beforeend', `<div class="legend-label">${search ? 'No matching values' : 'No visible data'}</div>`);
+        return;
+    }
+    
+    const pageCount = Math.ceil(values.length / LEGEND_PAGE_SIZE);
+    legendPage = Math.min(legendPage, pageCount - 1);
+    const displayValues = values.slice(legendPage * LEGEND_PAGE_SIZE, (legendPage + 1) * LEGEND_PAGE_SIZE);
+    
+    displayValues.forEach(value => {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'legend-item';
+        if (hidden) {
+            itemDiv.style.cursor = 'pointer';
+            itemDiv.title = 'Click to show or hide, Alt-click to show only this value';
+            if (hidden.has(value)) itemDiv.classList.add('legend-hidden');
+        }
+        
+        const colorDiv = document.createElement('div');
+        colorDiv.className = 'legend-color';
+        const color = getColorForValue(value, attribute);
+        const colorKey = `${attribute}:${value}`;
+        colorDiv.style.backgroundColor = `rgb(${Math.round(color.r * 255)}, ${Math.round(color.g * 255)}, ${Math.round(color.b * 255)})`;
+        colorDiv.style.cursor = 'pointer';
+        colorDiv.title = 'Click to change color';
+        
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'legend-label';
+        labelDiv.textContent = value || '(empty)';
+        
+        const countDiv = document.createElement('div');
+        countDiv.className = 'legend-count';
+        countDiv.textContent = valueCounts.get(value).toLocaleString();
+        
+        // The swatch changes the color, the rest of the entry its visibility
+        colorDiv.addEventListener('click', (event) => {
+            event.stopPropagation();
+            changeEntityColor(attribute, value, colorKey, colorDiv);
+        });
+        
+        if (hidden) {
+            itemDiv.addEventListener('click', (event) => {
+                event.stopPropagation();
+                toggleLegendValue(attribute, value, event.altKey);
+            });
+        }
+        
+        // Add hover effect
+        itemDiv.addEventListener('mouseenter', () => {
+            itemDiv.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            itemDiv.style.borderRadius = '4px';
+        });
+        
+        itemDiv.addEventListener('mouseleave', () => {
+            itemDiv.style.backgroundColor = 'transparent';
+        });
+        
+        itemDiv.appendChild(colorDiv);
+        itemDiv.appendChild(labelDiv);
+        itemDiv.appendChild(countDiv);
+        legendDiv.appendChild(itemDiv);
+    });
+    
+    if (pageCount > 1) {
+        const pagerDiv = document.createElement('div');
+        pagerDiv.className = 'legend-pager';
+        const previousButton = document.createElement('button');
+        previousButton.textContent = '\u25C0';
+        previousButton.disabled = legendPage === 0;
+        const pageLabel = document.createElement('span');
+        pageLabel.textContent = `Page ${legendPage + 1} of ${pageCount}`;
+        const nextButton = document.createElement('button');
+        nextButton.textContent = '\u25B6';
+        nextButton.disabled = legendPage === pageCount - 1;
+        previousButton.addEventListener('click', () => {
+            legendPage--;
+            updateLegend();
+        });
+        nextButton.addEventListener('click', () => {
+            legendPage++;
+            updateLegend();
+        });
+        pagerDiv.appendChild(previousButton);
+        pagerDiv.appendChild(pageLabel);
+        pagerDiv.appendChild(nextButton);
+        legendDiv.appendChild(pagerDiv);
+    }
+}
+
+// Note the columns other than the colored one that still have values hidden from the legend
+function appendLegendHiddenNote(legendDiv, colorBy) {
+    legendHiddenValues.forEach((hidden, attribute) => {
+        if (attribute === colorBy) return;
+        const noteDiv = document.createElement('div');
+        noteDiv.className = 'legend-summary';
+        noteDiv.textContent = `${hidden.size} ${attribute} ${hidden.size === 1 ? 'value' : 'values'} hidden `;
+        const showButton = document.createElement('button');
+        showButton.className = 'legend-show-all';
+        showButton.textContent = 'Show all';
+        showButton.addEventListener('click', () => showLegendValues(attribute));
+        noteDiv.appendChild(showButton);
+        legendDiv.appendChild(noteDiv);
+    });
+}
+
+// Remove the points whose value was hidden in the legend; skipAttribute ignores that column's hidden values
+function applyLegendVisibility(indices, skipAttribute = null) {
+    const tables = [];
+    legendHiddenValues.forEach((hidden, attribute) => {
+        const column = store.categorical[attribute];
+        if (!column || attribute === skipAttribute) return;
+        const hiddenCodes = new Uint8Array(column.values.length);
+        column.values.forEach((value, code) => {
+            if (hidden.has(value)) hiddenCodes[code] = 1;
+        });
+        tables.push({ codes: column.codes, hiddenCodes });
+    });
+    if (tables.length === 0) return indices;
+    
+    const result = new Uint32Array(indices.length);
+    let count = 0;
+    for (let i = 0; i < indices.length; i++) {
+        const index = indices[i];
+        let isHidden = false;
+        for (let t = 0; t < tables.length && !isHidden; t++) {
+            isHidden = tables[t].hiddenCodes[tables[t].codes[index]] === 1;
+        }
+        if (!isHidden) result[count++] = index;
+    }
+    return result.slice(0, count);
+}
+
+// Show or hide one value; isolating hides every other value instead, or shows them all again if the value already was isolated
+function toggleLegendValue(attribute, value, isolate) {
+    const hidden = legendHiddenValues.get(attribute) || new Set();
+    
+    if (isolate) {
+        // Empty values have no legend entry but are hidden as well, so only the value is left
+        const others = store.categorical[attribute].values.filter(other => other !== value);
+        const isolated = !hidden.has(value) && others.every(other => hidden.has(other));
+        hidden.clear();
+        if (!isolated) {
+            others.forEach(other => hidden.add(other));
+        }
+        console.log(`[Legend] ${isolated ? 'Showing all values of' : `Isolating ${value} in`} ${attribute}`);
+    } else if (hidden.has(value)) {
+        hidden.delete(value);
+        console.log(`[Legend] Showing ${attribute}:${value}`);
+    } else {
+        hidden.add(value);
+        console.log(`[Legend] Hiding ${attribute}:${value}`);
+    }
+    
+    if (hidden.size > 0) {
+        legendHiddenValues.set(attribute, hidden);
+    } else {
+        legendHiddenValues.delete(attribute);
+    }
+    updateFilter();
+}
+
+// Show every value of a column hidden in the legend again
+function showLegendValues(attribute) {
+    legendHiddenValues.delete(attribute);
+    console.log(`[Legend] Showing all values of ${attribute}`);
+    updateFilter();
+}
+
+// Camera directions (from the target towards the camera) and up vectors of the preset views
+const CAMERA_VIEWS = {
+    top: { direction: [0, 0, 1], up: [0, 1, 0] },
+    bottom: { direction: [0, 0, -1], up: [0, 1, 0] },
+    front: { direction: [0, -1, 0], up: [0, 0, 1] },
+    side: { direction: [1, 0, 0], up: [0, 0, 1] },
+    isometric: { direction: [1, -1, 1], up: [0, 0, 1] }
+};
+
+// Point the camera along one of the CAMERA_VIEWS at the center of box, far enough away to see all of it
+function fitCameraToBox(box, viewName) {
+    const view = CAMERA_VIEWS[viewName];
+    const center = new THREE.Vector3();
+    box.getCenter(center);
+    const size = box.getSize(new THREE.Vector3());
+    const direction = new THREE.Vector3().fromArray(view.direction).normalize();
+    const up = new THREE.Vector3().fromArray(view.up);
+    const right = new THREE.Vector3().crossVectors(up, direction).normalize();
+    const screenUp = new THREE.Vector3().crossVectors(direction, right);
+    
+    // Extent of the box along an axis
+    const extentAlong = axis => Math.abs(axis.x) * size.x + Math.abs(axis.y) * size.y + Math.abs(axis.z) * size.z;
+    
+    // Calculate distance needed to fit the larger of the horizontal and vertical extent on screen
+    // For perspective camera: height_visible = 2 * distance * tan(fov/2)
+    const fovRad = perspectiveCamera.fov * (Math.PI / 180);
+    const halfHeight = Math.max(extentAlong(right), extentAlong(screenUp)) / 2;
+    const distance = halfHeight / Math.tan(fovRad / 2);
+    
+    // Add some padding (10% margin), and keep the camera clear of the box depth
+    const cameraDistance = Math.max(distance * 1.1, extentAlong(direction) * 1.5, 100);
+    const cameraPosition = center.clone().addScaledVector(direction, cameraDistance);
+    
+    camera.position.copy(cameraPosition);
+    camera.up.copy(up);
+    camera.lookAt(center);
+    controls.target.copy(center);
+    if (camera.isOrthographicCamera) {
+        matchOrthographicZoom();
+    }
+    controls.update();
+    
+    return { position: cameraPosition.clone(), target: center.clone() };
+}
+
+// Set camera to x-y plane view of a bounding box (looking down the z-axis)
+function setCameraToXYPlaneView(box) {
+    const view = fitCameraToBox(box, 'top');
+    
+    // Store initial state for reset
+    initialCameraState.position = view.position.clone();
+    initialCameraState.target = view.target.clone();
+    
+    return view;
+}
+
+// Bounding box of (a sample of) the visible points, or null when nothing is visible
+function getVisibleBoundingBox() {
+    if (!visibleIndices || visibleIndices.length === 0) return null;
+    
+    // The spatial index gives the exact bounds without visiting every point
+    if (spatialIndex && visibleMask) {
+        const bounds = getMaskedBounds(visibleMask);
+        return bounds ? new THREE.Box3(new THREE.Vector3().fromArray(bounds.min), new THREE.Vector3().fromArray(bounds.max)) : null;
+    }
+    
+    const MAX_SAMPLE = 10000; // Sample points for bounding box calculation
+    const step = Math.max(1, Math.floor(visibleIndices.length / MAX_SAMPLE));
+    const box = new THREE.Box3();
+    const point = new THREE.Vector3();
+    for (let i = 0; i < visibleIndices.length; i += step) {
+        box.expandByPoint(getStorePosition(visibleIndices[i], point));
+    }
+    return box;
+}
+
+// Go back to the stored initial camera (the x-y view of the first render)
+function restoreInitialCamera() {
+    camera.position.copy(initialCameraState.position);
+    controls.target.copy(initialCameraState.target);
+    camera.up.set(0, 1, 0);
+    camera.lookAt(initialCameraState.target);
+    if (camera.isOrthographicCamera) {
+        matchOrthographicZoom();
+    }
+    controls.update();
+}
+
+// Fit the x-y plane view to the visible points (or go back to the initial camera without points)
+function fitCameraToVisiblePoints() {
+    const box = pointCloud ? getVisibleBoundingBox() : null;
+    if (box) {
+        setCameraToXYPlaneView(box);
+    } else if (initialCameraState.position && initialCameraState.target) {
+        // Fall back to stored initial state
+        restoreInitialCamera();
+    }
+}
+
+// Fit the visible points in one of the preset CAMERA_VIEWS; slice mode keeps the top view
+function setCameraView(viewName) {
+    if (isSliceMode() && viewName !== 'top') {
+        console.log('[Camera Controls] Slice mode keeps the top view');
+        return;
+    }
+    const box = getVisibleBoundingBox();
+    if (!box) return;
+    fitCameraToBox(box, viewName);
+    console.log('[Camera Controls] View:', viewName);
+}
+
+// Set the orthographic zoom to show as much as the perspective camera would from the same distance to the target
+function matchOrthographicZoom() {
+    const distance = orthographicCamera.position.distanceTo(controls.target);
+    const visibleHeight = 2 * distance * Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov) / 2);
+    orthographicCamera.zoom = (orthographicCamera.top - orthographicCamera.bottom) / visibleHeight;
+    orthographicCamera.updateProjectionMatrix();
+}
+
+// Switch between the perspective and orthographic camera ('perspective' or 'orthographic'), keeping the view
+function setCameraProjection(projection) {
+    const nextCamera = projection === 'orthographic' ? orthographicCamera : perspectiveCamera;
+    document.getElementById('cameraProjection').value = projection === 'orthographic' ? 'orthographic' : 'perspective';
+    if (nextCamera === camera) return;
+    
+    const previousCamera = camera;
+    nextCamera.position.copy(previousCamera.position);
+    nextCamera.quaternion.copy(previousCamera.quaternion);
+    nextCamera.up.copy(previousCamera.up);
+    camera = nextCamera;
+    controls.object = camera;
+    
+    if (camera.isOrthographicCamera) {
+        matchOrthographicZoom();
+    } else {
+        // Move to the distance where the perspective view is as large as the orthographic one was
+        const visibleHeight = (previousCamera.top - previousCamera.bottom) / previousCamera.zoom;
+        const distance = visibleHeight / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const offset = camera.position.clone().sub(controls.target).setLength(distance);
+        camera.position.copy(controls.target).add(offset);
+    }
+    camera.lookAt(controls.target);
+    controls.update();
+    updateSpriteScales();
+    scheduleStateSave();
+    console.log('[Camera Controls] Projection:', projection);
+}
+
+// Move the camera and its target across the view so the scene follows a drag of (deltaX, deltaY) CSS pixels
+function panCamera(deltaX, deltaY) {
+    const unitsPerPixel = getWorldUnitsPerPixel();
+    camera.updateMatrixWorld();
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    const offset = right.multiplyScalar(-deltaX * unitsPerPixel).addScaledVector(up, deltaY * unitsPerPixel);
+    camera.position.add(offset);
+    controls.target.add(offset);
+}
+
+// Orbit the camera and its target around pivot: yaw about the view's vertical axis, pitch about its horizontal axis
+function rotateCamera(yaw, pitch, pivot = controls.target) {
+    camera.updateMatrixWorld();
+    const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+    const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+    const rotation = new THREE.Quaternion().setFromAxisAngle(up, -yaw);
+    rotation.multiply(new THREE.Quaternion().setFromAxisAngle(right, -pitch));
+    turnCamera(rotation, pivot.clone());
+}
+
+// Roll the view around the line of sight; positive angles turn the scene clockwise on screen
+function rollCamera(angle) {
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    turnCamera(new THREE.Quaternion().setFromAxisAngle(forward, -angle), controls.target.clone());
+}
+
+// Rotate the camera position, target and up vector around pivot
+function turnCamera(rotation, pivot) {
+    camera.position.sub(pivot).applyQuaternion(rotation).add(pivot);
+    controls.target.sub(pivot).applyQuaternion(rotation).add(pivot);
+    camera.up.applyQuaternion(rotation);
+    camera.lookAt(controls.target);
+}
+
+// Zoom in by factor (zooms out below 1): the perspective camera moves towards the target, the orthographic one scales its zoom
+function zoomCamera(factor) {
+    if (camera.isOrthographicCamera) {
+        camera.zoom = Math.max(controls.minZoom, Math.min(controls.maxZoom, camera.zoom * factor));
+        camera.updateProjectionMatrix();
+        scheduleStateSave();
+    } else {
+        const offset = camera.position.clone().sub(controls.target);
+        const distance = Math.max(controls.minDistance, Math.min(controls.maxDistance, offset.length() / factor));
+        camera.position.copy(controls.target).add(offset.setLength(distance));
+    }
+}
+
+// World point a rotation starting at (clientX, clientY) turns around, following the Rotate around control:
+// the view center, the transcript under the cursor or the center of the selection
+function getRotationPivot(clientX, clientY) {
+    const pivotMode = document.getElementById('rotatePivot').value;
+    
+    if (pivotMode === 'selection' && selectedIndices && selectedIndices.length > 0) {
+        const center = new THREE.Vector3();
+        const point = new THREE.Vector3();
+        for (let i = 0; i < selectedIndices.length; i++) {
+            center.add(getStorePosition(selectedIndices[i], point));
+        }
+        return center.divideScalar(selectedIndices.length);
+    }
+    
+    if (pivotMode === 'cursor') {
+        const point = getCursorScenePosition(clientX, clientY);
+        if (point) return point;
+    }
+    
+    return controls.target.clone();
+}
+
+// Scene position under a screen position: the rendered point there, or else the cursor at the depth of the
+// controls target (null if the view plane there can't be hit)
+function getCursorScenePosition(clientX, clientY) {
+    const picked = pickRenderedPoint(clientX, clientY);
+    if (picked) return picked.position;
+    
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(camera.getWorldDirection(new THREE.Vector3()), controls.target);
+    const point = new THREE.Vector3();
+    return raycaster.ray.intersectPlane(plane, point);
+}
+
+// Camera actions with their labels and default keys; keys can be rebound in the Camera controls (kept in localStorage)
+const CAMERA_KEY_ACTIONS = {
+    rotateMode: { label: 'Hold to rotate', key: 'Control' },
+    inspectMode: { label: 'Hold to inspect', key: 'Shift' },
+    panLeft: { label: 'Pan left', key: 'a' },
+    panRight: { label: 'Pan right', key: 'd' },
+    panUp: { label: 'Pan up', key: 'w' },
+    panDown: { label: 'Pan down', key: 's' },
+    rotateLeft: { label: 'Rotate left', key: 'q' },
+    rotateRight: { label: 'Rotate right', key: 'e' },
+    tiltUp: { label: 'Tilt up', key: 'r' },
+    tiltDown: { label: 'Tilt down', key: 'f' },
+    zoomIn: { label: 'Zoom in', key: '=' },
+    zoomOut: { label: 'Zoom out', key: '-' },
+    viewTop: { label: 'Top view', key: '1' },
+    viewBottom: { label: 'Bottom view', key: '2' },
+    viewFront: { label: 'Front view', key: '3' },
+    viewSide: { label: 'Side view', key: '4' },
+    viewIsometric: { label: 'Isometric view', key: '5' },
+    toggleProjection: { label: 'Perspective/orthographic', key: 'o' },
+    resetView: { label: 'Reset camera', key: 'Home' }
+};
+
+// Modifier keys are read from the event flags, since their keyup can be lost when the window loses focus
+const MODIFIER_KEY_FLAGS = { Control: 'ctrlKey', Shift: 'shiftKey', Alt: 'altKey', Meta: 'metaKey' };
+
+// Key name as stored in keyBindings: letters lowercased, and + and _ counted as the = and - keys they share
+function normalizeKey(key) {
+    if (key === '+') return '=';
+    if (key === '_') return '-';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Readable name of a bound key
+function getKeyLabel(key) {
+    if (!key) return 'None';
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Whether the key bound to a hold-down mode (rotateMode, inspectMode) is down during this event
+function isKeyHeld(event, action) {
+    const key = keyBindings[action];
+    const flag = MODIFIER_KEY_FLAGS[key];
+    return flag ? Boolean(event[flag]) : pressedKeys.has(key);
+}
+
+// Read the key bindings, with the ones saved in localStorage over the defaults
+function loadKeyBindings() {
+    keyBindings = {};
+    Object.entries(CAMERA_KEY_ACTIONS).forEach(([action, { key }]) => {
+        keyBindings[action] = key;
+    });
+    try {
+        const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY) || '{}');
+        Object.keys(keyBindings).forEach(action => {
+            if (typeof saved[action] === 'string') keyBindings[action] = saved[action];
+        });
+    } catch (error) {
+        console.warn('[Camera Controls] Could not read the saved key bindings:', error);
+    }
+}
+
+// Bind a key to an action, unbinding it from any other action
+function setKeyBinding(action, key) {
+    Object.keys(keyBindings).forEach(other => {
+        if (keyBindings[other] === key) keyBindings[other] = '';
+    });
+    keyBindings[action] = key;
+    try {
+        localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+    } catch (error) {
+        console.warn('[Camera Controls] Could not save the key bindings:', error);
+    }
+    console.log(`[Camera Controls] ${CAMERA_KEY_ACTIONS[action].label}: ${getKeyLabel(key)}`);
+}
+
+// List the camera actions with their keys: click a key, then press the new one (Escape cancels)
+function renderKeyBindings() {
+    const container = document.getElementById('keyBindings');
+    container.innerHTML = '';
+    
+    Object.entries(CAMERA_KEY_ACTIONS).forEach(([action, { label }]) => {
+        const row = document.createElement('div');
+        row.className = 'key-binding';
+        
+        const labelSpan = document.createElement('span');
+        labelSpan.textContent = label;
+        
+        const keyButton = document.createElement('button');
+        keyButton.textContent = getKeyLabel(keyBindings[action]);
+        keyButton.addEventListener('click', () => {
+            keyButton.classList.add('active');
+            keyButton.textContent = 'Press a key...';
+        });
+        keyButton.addEventListener('keydown', (event) => {
+            if (!keyButton.classList.contains('active')) return;
+            // Keep the key away from the camera and slice shortcuts
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.key !== 'Escape') {
+                setKeyBinding(action, normalizeKey(event.key));
+            }
+            renderKeyBindings();
+        });
+        keyButton.addEventListener('blur', () => {
+            keyButton.classList.remove('active');
+            keyButton.textContent = getKeyLabel(keyBindings[action]);
+        });
+        
+        row.appendChild(labelSpan);
+        row.appendChild(keyButton);
+        container.appendChild(row);
+    });
+}
+
+// Keyboard navigation: run the camera action bound to the key, unless a control has the focus
+function handleCameraKey(event) {
+    const key = normalizeKey(event.key);
+    pressedKeys.add(key);
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target instanceof Element && event.target.closest('input, textarea, select')) return;
+    
+    const action = Object.keys(CAMERA_KEY_ACTIONS).find(name => keyBindings[name] === key);
+    if (!action || action === 'rotateMode' || action === 'inspectMode') return;
+    event.preventDefault();
+    
+    // Slice mode keeps the top-down view, so it only pans and zooms
+    const isRotation = ['rotateLeft', 'rotateRight', 'tiltUp', 'tiltDown'].includes(action);
+    if (isRotation && isSliceMode()) return;
+    
+    switch (action) {
+        case 'panLeft': panCamera(CAMERA_KEY_PAN_PIXELS, 0); break;
+        case 'panRight': panCamera(-CAMERA_KEY_PAN_PIXELS, 0); break;
+        case 'panUp': panCamera(0, CAMERA_KEY_PAN_PIXELS); break;
+        case 'panDown': panCamera(0, -CAMERA_KEY_PAN_PIXELS); break;
+        case 'rotateLeft': rotateCamera(-CAMERA_KEY_ROTATION, 0); break;
+        case 'rotateRight': rotateCamera(CAMERA_KEY_ROTATION, 0); break;
+        case 'tiltUp': rotateCamera(0, -CAMERA_KEY_ROTATION); break;
+        case 'tiltDown': rotateCamera(0, CAMERA_KEY_ROTATION); break;
+        case 'zoomIn': zoomCamera(CAMERA_KEY_ZOOM); break;
+        case 'zoomOut': zoomCamera(1 / CAMERA_KEY_ZOOM); break;
+        case 'viewTop': setCameraView('top'); break;
+        case 'viewBottom': setCameraView('bottom'); break;
+        case 'viewFront': setCameraView('front'); break;
+        case 'viewSide': setCameraView('side'); break;
+        case 'viewIsometric': setCameraView('isometric'); break;
+        case 'toggleProjection': setCameraProjection(camera.isOrthographicCamera ? 'perspective' : 'orthographic'); break;
+        case 'resetView': fitCameraToVisiblePoints(); break;
+    }
+}
+
+// Add a camera keyframe at the current view; with includeState it also restores the filters and z slice when reached
+function addKeyframe(name, includeState) {
+    const keyframe = {
+        name: name || `Keyframe ${cameraKeyframes.length + 1}`,
+        position: vectorToArray(camera.position),
+        target: vectorToArray(controls.target),
+        up: vectorToArray(camera.up),
+        fov: perspectiveCamera.fov,
+        zoom: orthographicCamera.zoom,
+        duration: DEFAULT_KEYFRAME_DURATION,
+        state: includeState ? {
+            filters: activeFilters.map(filter => serializeFilter(filter, true)).filter(filter => filter),
+            sliceEnabled: isSliceMode(),
+            sliceLevel: document.getElementById('sliceLevel').value
+        } : null
+    };
+    cameraKeyframes.push(keyframe);
+    renderKeyframeList();
+    scheduleStateSave();
+    console.log(`[Animation] Added keyframe ${keyframe.name}${includeState ? ' with filters and slice' : ''}`);
+}
+
+// Keyframe in the form saved with the view state; selection filters are only kept when includeSelections is set
+function serializeKeyframe(keyframe, includeSelections) {
+    const saved = { ...keyframe };
+    if (keyframe.state) {
+        saved.state = {
+            ...keyframe.state,
+            filters: keyframe.state.filters.filter(filter => includeSelections || filter.type !== 'selection')
+        };
+    }
+    return saved;
+}
+
+// Rebuild a keyframe from its saved form, or null if it has no camera
+// Saved selection filters are dropped unless keepSelections (see getSampleFingerprint)
+function deserializeKeyframe(saved, keepSelections) {
+    if (!saved || !Array.isArray(saved.position) || !Array.isArray(saved.target)) {
+        console.warn('[State] Skipping saved keyframe without a camera:', saved);
+        return null;
+    }
+    return {
+        name: String(saved.name || 'Keyframe'),
+        position: saved.position.slice(0, 3),
+        target: saved.target.slice(0, 3),
+        up: Array.isArray(saved.up) ? saved.up.slice(0, 3) : [0, 1, 0],
+        fov: saved.fov || perspectiveCamera.fov,
+        zoom: saved.zoom || 1,
+        duration: Math.max(0.1, parseFloat(saved.duration) || DEFAULT_KEYFRAME_DURATION),
+        state: saved.state && Array.isArray(saved.state.filters) ? {
+            ...saved.state,
+            filters: saved.state.filters.filter(filter => keepSelections || !filter || filter.type !== 'selection')
+        } : null
+    };
+}
+
+// List the keyframes with their durations and buttons to go to, update or remove them
+function renderKeyframeList() {
+    const list = document.getElementById('keyframeList');
+    list.innerHTML = '';
+    
+    if (cameraKeyframes.length === 0) {
+        list.innerHTML = '<div class="keyframe-empty">No keyframes yet</div>';
+    }
+    
+    cameraKeyframes.forEach((keyframe, index) => {
+        const item = document.createElement('div');
+        item.className = 'keyframe-item';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'keyframe-name';
+        nameSpan.textContent = keyframe.state ? `${keyframe.name} *` : keyframe.name;
+        nameSpan.title = keyframe.state ? 'Also sets the filters and z slice' : '';
+        
+        // Seconds to move on to the next keyframe (from the last one back to the first when looping)
+        const durationInput = document.createElement('input');
+        durationInput.type = 'number';
+        durationInput.className = 'keyframe-duration';
+        durationInput.min = '0.1';
+        durationInput.step = '0.5';
+        durationInput.value = keyframe.duration;
+        durationInput.title = 'Seconds to the next keyframe';
+        durationInput.addEventListener('change', () => {
+            keyframe.duration = Math.max(0.1, parseFloat(durationInput.value) || DEFAULT_KEYFRAME_DURATION);
+            durationInput.value = keyframe.duration;
+            scheduleStateSave();
+        });
+        
+        const goButton = document.createElement('button');
+        goButton.textContent = 'Go';
+        goButton.title = 'Move the camera to this keyframe';
+        goButton.addEventListener('click', () => {
+            applyKeyframeCamera(interpolateKeyframes(keyframe, keyframe, 0));
+            if (keyframe.state) applyKeyframeState(keyframe.state);
+        });
+        
+        const setButton = document.createElement('button');
+        setButton.textContent = 'Set';
+        setButton.title = 'Replace this keyframe with the current view';
+        setButton.addEventListener('click', () => {
+            keyframe.position = vectorToArray(camera.position);
+            keyframe.target = vectorToArray(controls.target);
+            keyframe.up = vectorToArray(camera.up);
+            keyframe.fov = perspectiveCamera.fov;
+            keyframe.zoom = orthographicCamera.zoom;
+            scheduleStateSave();
+            console.log(`[Animation] Updated keyframe ${keyframe.name}`);
+        });
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove this keyframe';
+        removeButton.addEventListener('click', () => {
+            cameraKeyframes.splice(index, 1);
+            renderKeyframeList();
+            scheduleStateSave();
+        });
+        
+        item.appendChild(nameSpan);
+        item.appendChild(durationInput);
+        item.appendChild(goButton);
+        item.appendChild(setButton);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+    
+    updateKeyframeButtons();
+}
+
+// Ease in and out, so the camera starts and stops smoothly at every keyframe
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Camera between two keyframes at progress t: the target moves in a straight line while the camera turns around it,
+// so orbits stay round, and the distance and orthographic zoom change geometrically, so zooms keep an even pace
+function interpolateKeyframes(from, to, t) {
+    const fromTarget = new THREE.Vector3().fromArray(from.target);
+    const toTarget = new THREE.Vector3().fromArray(to.target);
+    const fromOffset = new THREE.Vector3().fromArray(from.position).sub(fromTarget);
+    const toOffset = new THREE.Vector3().fromArray(to.position).sub(toTarget);
+    const fromDistance = Math.max(fromOffset.length(), 1e-6);
+    const toDistance = Math.max(toOffset.length(), 1e-6);
+    
+    const turn = new THREE.Quaternion().setFromUnitVectors(fromOffset.clone().normalize(), toOffset.clone().normalize());
+    const partialTurn = new THREE.Quaternion().slerp(turn, t);
+    const offset = fromOffset.normalize().applyQuaternion(partialTurn).multiplyScalar(fromDistance * Math.pow(toDistance / fromDistance, t));
+    const target = fromTarget.lerp(toTarget, t);
+    
+    const up = new THREE.Vector3().fromArray(from.up).lerp(new THREE.Vector3().fromArray(to.up), t);
+    if (up.lengthSq() < 1e-12) up.fromArray(from.up);
+    
+    return {
+        position: target.clone().add(offset),
+        target: target,
+        up: up.normalize(),
+        fov: from.fov + (to.fov - from.fov) * t,
+        zoom: from.zoom * Math.pow(to.zoom / from.zoom, t)
+    };
+}
+
+// Move the camera to a view from interpolateKeyframes
+function applyKeyframeCamera(view) {
+    camera.position.copy(view.position);
+    controls.target.copy(view.target);
+    camera.up.copy(view.up);
+    perspectiveCamera.fov = view.fov;
+    perspectiveCamera.updateProjectionMatrix();
+    orthographicCamera.zoom = view.zoom;
+    orthographicCamera.updateProjectionMatrix();
+    camera.lookAt(controls.target);
+    updateSpriteScales();
+}
+
+// Restore the filters and z slice saved with a keyframe
+function applyKeyframeState(state) {
+    activeFilters = state.filters.map(deserializeFilter).filter(filter => filter);
+    renderFilters();
+    document.getElementById('sliceEnabled').checked = Boolean(state.sliceEnabled);
+    // The slice slider's range depends on the slice mode set above
+    updateSliceOptions();
+    if (state.sliceEnabled && state.sliceLevel !== undefined) {
+        document.getElementById('sliceLevel').value = state.sliceLevel;
+        updateSliceOptions();
+    }
+    updateFilter();
+}
+
+// Length in seconds of one pass through the keyframes (back to the first one when looping)
+function getKeyframeTimelineLength(loop) {
+    const segmentCount = loop ? cameraKeyframes.length : cameraKeyframes.length - 1;
+    let length = 0;
+    for (let i = 0; i < segmentCount; i++) {
+        length += cameraKeyframes[i].duration;
+    }
+    return length;
+}
+
+// Start playing the keyframes; recording options ({ recorder, stream, fps }) step the time one video frame at a time
+function startKeyframePlayback(recording = null) {
+    if (cameraKeyframes.length < 2 || keyframePlayback) return;
+    toggleSlicePlayback(false);
+    
+    keyframePlayback = {
+        startTime: performance.now(),
+        loop: !recording && document.getElementById('loopKeyframes').checked,
+        keyframeIndex: -1,
+        finished: false,
+        frame: 0,
+        holdUntil: null,
+        ...recording
+    };
+    updateKeyframeButtons();
+    console.log(`[Animation] ${recording ? 'Recording' : 'Playing'} ${cameraKeyframes.length} keyframes`);
+}
+
+// Stop playback, and finish the video when recording
+function stopKeyframePlayback() {
+    const playback = keyframePlayback;
+    if (!playback) return;
+    keyframePlayback = null;
+    
+    if (playback.recorder) {
+        playback.recorder.stop();
+        playback.stream.getTracks().forEach(track => track.stop());
+        // Back to the canvas size and pixel ratio
+        renderer.setPixelRatio(window.devicePixelRatio);
+        onWindowResize();
+    }
+    document.getElementById('animationStatus').textContent = '';
+    updateKeyframeButtons();
+    scheduleStateSave();
+    console.log('[Animation] Playback stopped');
+}
+
+// Play and record button labels for the playback state
+function updateKeyframeButtons() {
+    const isRecording = Boolean(keyframePlayback && keyframePlayback.recorder);
+    document.getElementById('playKeyframes').textContent = keyframePlayback && !isRecording ? 'Stop' : 'Play';
+    document.getElementById('recordKeyframes').textContent = isRecording ? 'Stop recording' : 'Record WebM';
+    document.getElementById('playKeyframes').disabled = isRecording || (!keyframePlayback && cameraKeyframes.length < 2);
+    document.getElementById('recordKeyframes').disabled = (keyframePlayback && !isRecording) || (!keyframePlayback && cameraKeyframes.length < 2);
+}
+
+// Advance the playback for this animation frame (called from animate); returns true when a video frame should be captured after rendering
+function updateKeyframePlayback(now) {
+    const playback = keyframePlayback;
+    if (!playback) return false;
+    
+    let time;
+    if (playback.recorder) {
+        // Each video frame is recorded for one frame interval, then the recorder pauses while the next one
+        // renders, so slow frames don't stretch the video (see captureKeyframeFrame)
+        if (playback.holdUntil !== null) {
+            if (now < playback.holdUntil) return false;
+            playback.recorder.pause();
+            playback.holdUntil = null;
+            if (playback.finished) {
+                stopKeyframePlayback();
+                return false;
+            }
+        }
+        // The animation time comes from the frame number, not the clock
+        time = playback.frame / playback.fps;
+        playback.frame++;
+    } else {
+        time = (now - playback.startTime) / 1000;
+    }
+    
+    const length = getKeyframeTimelineLength(playback.loop);
+    if (playback.loop) {
+        time %= length;
+    } else if (time >= length) {
+        time = length;
+        playback.finished = true;
+    }
+    
+    // Find the segment the time falls in
+    let index = 0;
+    let segmentStart = 0;
+    const segmentCount = playback.loop ? cameraKeyframes.length : cameraKeyframes.length - 1;
+    while (index < segmentCount - 1 && time >= segmentStart + cameraKeyframes[index].duration) {
+        segmentStart += cameraKeyframes[index].duration;
+        index++;
+    }
+    const from = cameraKeyframes[index];
+    const to = cameraKeyframes[(index + 1) % cameraKeyframes.length];
+    const progress = Math.min(1, (time - segmentStart) / from.duration);
+    
+    // Keyframe filters and slices switch when their keyframe is reached
+    const reachedIndex = progress >= 1 ? (index + 1) % cameraKeyframes.length : index;
+    if (reachedIndex !== playback.keyframeIndex) {
+        playback.keyframeIndex = reachedIndex;
+        if (cameraKeyframes[reachedIndex].state) {
+            applyKeyframeState(cameraKeyframes[reachedIndex].state);
+        }
+    }
+    applyKeyframeCamera(interpolateKeyframes(from, to, easeInOutCubic(progress)));
+    
+    if (playback.recorder) {
+        const frameCount = Math.ceil(length * playback.fps) + 1;
+        document.getElementById('animationStatus').textContent = `Recording frame ${playback.frame} of ${frameCount}`;
+    } else if (playback.finished) {
+        stopKeyframePlayback();
+    }
+    return Boolean(playback.recorder);
+}
+
+// Send the frame just rendered to the video and record it for one frame interval
+// (updateKeyframePlayback pauses the recorder again and finishes the recording after the last frame)
+function captureKeyframeFrame() {
+    const playback = keyframePlayback;
+    if (!playback || !playback.recorder) return;
+    playback.recorder.resume();
+    playback.stream.getVideoTracks()[0].requestFrame();
+    playback.holdUntil = performance.now() + 1000 / playback.fps;
+}
+
+// Record the keyframe animation to a WebM video at the chosen size and frame rate
+function recordKeyframes() {
+    if (cameraKeyframes.length < 2 || keyframePlayback) return;
+    
+    const canvas = renderer.domElement;
+    const mimeType = typeof MediaRecorder === 'undefined' || !canvas.captureStream ? null
+        : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        console.error('[Animation] This browser cannot record WebM video from the canvas');
+        document.getElementById('animationStatus').textContent = 'This browser cannot record WebM video';
+        return;
+    }
+    
+    // Video encoders need even sizes
+    const resolution = document.getElementById('recordResolution').value;
+    let [width, height] = resolution === 'canvas' ? [canvas.width, canvas.height] : resolution.split('x').map(Number);
+    width -= width % 2;
+    height -= height % 2;
+    const fps = parseInt(document.getElementById('recordFps').value, 10) || 30;
+    
+    // Render at the video size for the length of the recording (the canvas keeps its size on the page)
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    perspectiveCamera.aspect = width / height;
+    perspectiveCamera.updateProjectionMatrix();
+    orthographicCamera.left = -perspectiveCamera.aspect * orthographicCamera.top;
+    orthographicCamera.right = perspectiveCamera.aspect * orthographicCamera.top;
+    orthographicCamera.updateProjectionMatrix();
+    updateSpriteScales();
+    
+    // Frames are only captured when requested, once per rendered animation step
+    const stream = canvas.captureStream(0);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(width * height * fps * 0.1) });
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.addEventListener('stop', () => {
+        downloadFile(new Blob(chunks, { type: 'video/webm' }), 'cellcarto-flythrough.webm', 'video/webm');
+        console.log(`[Animation] Saved ${width} x ${height} WebM at ${fps} fps`);
+    });
+    // Paused until the first frame is rendered
+    recorder.start();
+    recorder.pause();
+    startKeyframePlayback({ recorder, stream, fps });
+}
+
+// Turn the ruler on or off; while it is on, clicking two transcripts measures the distance between them
+function setMeasureTool(active) {
+    if (active && annotationTool) {
+        setAnnotationTool(null);
+    }
+    measureToolActive = active;
+    if (active && selectionTool) {
+        setSelectionTool(null);
+    }
+    document.getElementById('measureTool').classList.toggle('active', active);
+    renderer.domElement.classList.toggle('picking', active);
+    updateMeasurement();
+    console.log('[Measure] Ruler', active ? 'on' : 'off');
+}
+
+// Pick the transcript (or cell) under the cursor as the next ruler end; a third pick starts a new measurement
+function addMeasurePoint(clientX, clientY) {
+    const picked = pickRenderedPoint(clientX, clientY);
+    if (!picked) {
+        console.log('[Measure] No point under the cursor');
+        return;
+    }
+    if (measurePoints.length >= 2) {
+        measurePoints = [];
+    }
+    measurePoints.push(picked.position);
+    updateMeasurement();
+}
+
+// Remove the ruler
+function clearMeasurement() {
+    measurePoints = [];
+    updateMeasurement();
+}
+
+// Length with a precision that suits its size, in coordinate units
+function formatLength(length) {
+    const decimals = length >= 100 ? 0 : (length >= 10 ? 1 : 2);
+    return `${length.toFixed(decimals)} ${COORDINATE_UNITS}`;
+}
+
+// Redraw the ruler between the picked points and list its straight-line and projected distances
+function updateMeasurement() {
+    if (measureObjects) {
+        scene.remove(measureObjects);
+        measureObjects.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        measureObjects = null;
+    }
+    
+    const result = document.getElementById('measureResult');
+    if (measurePoints.length === 0) {
+        result.textContent = measureToolActive ? 'Click a transcript to start measuring' : '';
+        setOverlayLabels('ruler', []);
+        return;
+    }
+    
+    // End points and the line between them, drawn on top of the points
+    measureObjects = new THREE.Group();
+    measureObjects.renderOrder = 1000;
+    const endGeometry = new THREE.BufferGeometry().setFromPoints(measurePoints);
+    const ends = new THREE.Points(endGeometry, new THREE.PointsMaterial({ color: 0xffeb3b, size: 8, sizeAttenuation: false, depthTest: false }));
+    ends.renderOrder = 1000;
+    measureObjects.add(ends);
+    
+    if (measurePoints.length < 2) {
+        scene.add(measureObjects);
+        result.textContent = 'Click a second transcript';
+        setOverlayLabels('ruler', []);
+        return;
+    }
+    
+    const line = new THREE.Line(endGeometry.clone(), new THREE.LineBasicMaterial({ color: 0xffeb3b, depthTest: false }));
+    line.renderOrder = 1000;
+    measureObjects.add(line);
+    scene.add(measureObjects);
+    
+    const [start, end] = measurePoints;
+    const delta = end.clone().sub(start);
+    const distance = delta.length();
+    const rows = [
+        ['Distance', distance],
+        ['In the x-y plane', Math.hypot(delta.x, delta.y)],
+        ['Along x', Math.abs(delta.x)],
+        ['Along y', Math.abs(delta.y)],
+        ['Along z', Math.abs(delta.z)]
+    ];
+    result.innerHTML = rows.map(([label, length]) => `<div><span>${label}</span><span>${formatLength(length)}</span></div>`).join('');
+    setOverlayLabels('ruler', [{ text: formatLength(distance), position: start.clone().add(end).multiplyScalar(0.5), className: 'ruler-label' }]);
+    console.log(`[Measure] Distance ${formatLength(distance)} from (${start.toArray().map(v => v.toFixed(2)).join(', ')}) to (${end.toArray().map(v => v.toFixed(2)).join(', ')})`);
+}
+
+// Replace the HTML labels of one kind ('ruler', 'axes', ...) kept over scene positions by updateOverlayLabels
+function setOverlayLabels(kind, labels) {
+    overlayLabels.filter(label => label.kind === kind).forEach(label => label.element.remove());
+    overlayLabels = overlayLabels.filter(label => label.kind !== kind);
+    
+    const container = document.getElementById('sceneLabels');
+    labels.forEach(({ text, position, className }) => {
+        const element = document.createElement('div');
+        element.className = className ? `scene-label ${className}` : 'scene-label';
+        element.textContent = text;
+        container.appendChild(element);
+        overlayLabels.push({ kind, element, position });
+    });
+}
+
+// Move the overlay labels to the screen positions of their scene points (called every frame)
+function updateOverlayLabels() {
+    const canvas = renderer.domElement;
+    const projected = new THREE.Vector3();
+    overlayLabels.forEach(label => {
+        projected.copy(label.position).project(camera);
+        // Outside the depth range the point is behind the camera or clipped
+        const isVisible = projected.z > -1 && projected.z < 1;
+        label.element.style.display = isVisible ? '' : 'none';
+        if (isVisible) {
+            label.element.style.transform = `translate(${(projected.x + 1) / 2 * canvas.clientWidth}px, ${(1 - projected.y) / 2 * canvas.clientHeight}px)`;
+        }
+    });
+}
+
+// Fit the on-screen scale bar to a round length at the current zoom (called every frame)
+function updateScaleBar() {
+    const scaleBar = document.getElementById('scaleBar');
+    const isShown = document.getElementById('showScaleBar').checked && store.length > 0;
+    scaleBar.style.display = isShown ? '' : 'none';
+    if (!isShown) return;
+    
+    const unitsPerPixel = getWorldUnitsPerPixel();
+    const length = getNiceScaleLength(unitsPerPixel * SCALE_BAR_MAX_PIXELS);
+    const width = `${(length / unitsPerPixel).toFixed(1)}px`;
+    const label = `${length} ${COORDINATE_UNITS}`;
+    // Only touch the DOM when the bar changes
+    if (scaleBar.dataset.width !== width || scaleBar.dataset.label !== label) {
+        scaleBar.dataset.width = width;
+        scaleBar.dataset.label = label;
+        scaleBar.querySelector('.scale-bar-line').style.width = width;
+        scaleBar.querySelector('.scale-bar-label').textContent = label;
+    }
+}
+
+// Draw (or remove) the bounding box of the data with labelled tick marks at round values along x, y and z
+function updateAxesBox() {
+    if (axesObjects) {
+        scene.remove(axesObjects);
+        axesObjects.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        axesObjects = null;
+    }
+    
+    if (!document.getElementById('showAxes').checked || store.length === 0) {
+        setOverlayLabels('axes', []);
+        return;
+    }
+    
+    const bounds = getStoreBounds();
+    const min = new THREE.Vector3().fromArray(bounds.min);
+    const max = new THREE.Vector3().fromArray(bounds.max);
+    const size = max.clone().sub(min);
+    const tickLength = Math.max(size.x, size.y, size.z) * 0.015;
+    
+    axesObjects = new THREE.Group();
+    axesObjects.add(new THREE.Box3Helper(new THREE.Box3(min, max), 0x888888));
+    
+    // Ticks along the three box edges through the minimum corner, pointing away from the box
+    const outwardDirections = [new THREE.Vector3(0, -1, 0), new THREE.Vector3(-1, 0, 0), new THREE.Vector3(-1, -1, 0).normalize()];
+    const tickVertices = [];
+    const labels = [];
+    for (let axis = 0; axis < 3; axis++) {
+        const extent = size.getComponent(axis);
+        if (!(extent > 0)) continue;
+        
+        const outward = outwardDirections[axis];
+        const step = getNiceScaleLength(extent / 4);
+        const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+        const first = Math.ceil(min.getComponent(axis) / step) * step;
+        const tickCount = Math.floor((max.getComponent(axis) - first) / step + 1e-9) + 1;
+        for (let i = 0; i < tickCount; i++) {
+            const value = first + i * step;
+            const tickStart = min.clone().setComponent(axis, value);
+            const tickEnd = tickStart.clone().addScaledVector(outward, tickLength);
+            tickVertices.push(tickStart.x, tickStart.y, tickStart.z, tickEnd.x, tickEnd.y, tickEnd.z);
+            labels.push({ text: value.toFixed(decimals), position: tickStart.clone().addScaledVector(outward, tickLength * 3), className: 'axis-tick-label' });
+        }
+        
+        // Axis name past the end of the edge
+        const titlePosition = min.clone().setComponent(axis, max.getComponent(axis) + step / 2).addScaledVector(outward, tickLength * 3);
+        labels.push({ text: `${idx_names[axis]} (${COORDINATE_UNITS})`, position: titlePosition, className: 'axis-title' });
+    }
+    
+    const tickGeometry = new THREE.BufferGeometry();
+    tickGeometry.setAttribute('position', new THREE.Float32BufferAttribute(tickVertices, 3));
+    axesObjects.add(new THREE.LineSegments(tickGeometry, new THREE.LineBasicMaterial({ color: 0x888888 })));
+    scene.add(axesObjects);
+    setOverlayLabels('axes', labels);
+}
+
+// Turn an annotation tool ('marker', 'polygon', 'sphere') on, or all of them off with null; clicks on the view then place annotations
+function setAnnotationTool(tool) {
+    if (tool && selectionTool) {
+        setSelectionTool(null);
+    }
+    if (tool && measureToolActive) {
+        setMeasureTool(false);
+    }
+    annotationTool = tool;
+    annotationDraft = [];
+    document.querySelectorAll('#annotationTools button[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+    document.getElementById('finishPolygon').style.display = tool === 'polygon' ? '' : 'none';
+    document.getElementById('sphereRadiusGroup').style.display = tool === 'sphere' ? '' : 'none';
+    renderer.domElement.classList.toggle('picking', tool !== null || measureToolActive);
+    updateAnnotationStatus();
+    updateAnnotationObjects();
+    console.log('[Annotations] Tool:', tool || 'off');
+}
+
+// Explain what the next click does with the active annotation tool
+function updateAnnotationStatus(message) {
+    const hints = {
+        marker: 'Click to place a marker',
+        sphere: 'Click the center of the sphere',
+        polygon: annotationDraft.length < 3
+            ? 'Click the corners of the region in the x-y plane'
+            : 'Click the first corner, press Enter or Finish to close the region'
+    };
+    document.getElementById('annotationStatus').textContent = message || hints[annotationTool] || '';
+}
+
+// Place a marker or sphere, or add a polygon corner, at a clicked screen position
+function addAnnotationPoint(clientX, clientY) {
+    const position = getCursorScenePosition(clientX, clientY);
+    if (!position) return;
+    
+    if (annotationTool === 'polygon') {
+        // Clicking next to the first corner closes the polygon
+        if (annotationDraft.length >= 3) {
+            const rect = renderer.domElement.getBoundingClientRect();
+            const first = projectToCanvasPixels(annotationDraft[0]);
+            if (Math.hypot(first.x - (clientX - rect.left), first.y - (clientY - rect.top)) <= POLYGON_CLOSE_PIXELS) {
+                finishPolygonAnnotation();
+                return;
+            }
+        }
+        annotationDraft.push(position);
+        updateAnnotationStatus();
+        updateAnnotationObjects();
+        return;
+    }
+    
+    if (annotationTool === 'marker') {
+        addAnnotation({ kind: 'marker', position: vectorToArray(position) });
+    } else if (annotationTool === 'sphere') {
+        const radius = parseFloat(document.getElementById('sphereRadius').value);
+        if (!(radius > 0)) {
+            updateAnnotationStatus('Enter a radius above 0');
+            return;
+        }
+        addAnnotation({ kind: 'sphere', center: vectorToArray(position), radius: radius });
+    }
+}
+
+// Close the polygon being drawn into a region spanning the full z range of the data
+function finishPolygonAnnotation() {
+    if (annotationDraft.length < 3) {
+        updateAnnotationStatus('A region needs at least 3 corners');
+        return;
+    }
+    const bounds = getStoreBounds();
+    const points = annotationDraft.map(position => [position.x, position.y].map(value => Math.round(value * 1000) / 1000));
+    annotationDraft = [];
+    addAnnotation({ kind: 'polygon', points: points, zRange: [bounds.min[2], bounds.max[2]] });
+    updateAnnotationStatus();
+}
+
+// Add an annotation named after the name box (or numbered), with the next palette color
+function addAnnotation(annotation) {
+    const nameInput = document.getElementById('annotationName');
+    const kindLabel = annotation.kind === 'marker' ? 'Marker' : 'Region';
+    const palette = CATEGORICAL_PALETTES.colorblind;
+    annotation.id = createAnnotationId();
+    annotation.name = nameInput.value.trim() || `${kindLabel} ${annotations.filter(other => (other.kind === 'marker') === (annotation.kind === 'marker')).length + 1}`;
+    annotation.color = annotation.color || palette[annotations.length % palette.length];
+    nameInput.value = '';
+    
+    annotations.push(annotation);
+    renderAnnotationList();
+    updateAnnotationObjects();
+    scheduleStateSave();
+    console.log(`[Annotations] Added ${annotation.kind} "${annotation.name}"`);
+}
+
+// Unique id for a new annotation
+function createAnnotationId() {
+    return 'annotation_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Region annotations (polygons and spheres), in order - region_1, region_2, ... in filter expressions
+function getRegions() {
+    return annotations.filter(annotation => annotation.kind !== 'marker');
+}
+
+// Remove an annotation, together with the filters using it
+function removeAnnotation(annotation) {
+    annotations = annotations.filter(other => other !== annotation);
+    if (regionSummaryId === annotation.id) {
+        regionSummaryId = null;
+        updateRegionSummary();
+    }
+    
+    const filterCount = activeFilters.length;
+    activeFilters = activeFilters.filter(filter => filter.region !== annotation);
+    if (activeFilters.length !== filterCount) {
+        renderFilters();
+        updateFilter();
+    }
+    renderAnnotationList();
+    updateAnnotationObjects();
+    scheduleStateSave();
+    console.log(`[Annotations] Removed ${annotation.kind} "${annotation.name}"`);
+}
+
+// Test function (x, y, z) => boolean for the inside of a polygon or sphere region
+// Polygons are prisms: the polygon in the x-y plane, over the region's z range
+function getRegionTest(region) {
+    if (region.kind === 'sphere') {
+        const [centerX, centerY, centerZ] = region.center;
+        const radiusSquared = region.radius * region.radius;
+        return (x, y, z) => (x - centerX) * (x - centerX) + (y - centerY) * (y - centerY) + (z - centerZ) * (z - centerZ) <= radiusSquared;
+    }
+    
+    // Check the polygon's bounding box before the even-odd test
+    const { min, max } = getRegionBox(region);
+    return (x, y, z) => z >= min[2] && z <= max[2] && x >= min[0] && x <= max[0] && y >= min[1] && y <= max[1] &&
+        isPointInPolygon(x, y, region.points);
+}
+
+// Short description of an annotation's shape, e.g. "sphere, r = 50 µm"
+function getAnnotationShapeText(annotation) {
+    if (annotation.kind === 'sphere') return `sphere, r = ${formatLength(annotation.radius)}`;
+    if (annotation.kind === 'polygon') return `polygon, ${annotation.points.length} corners`;
+    return 'marker';
+}
+
+// Add a filter keeping the transcripts inside a region, in the last filter group
+function addRegionFilter(region) {
+    const groupIds = getFilterGroupIds();
+    activeFilters.push({
+        id: createFilterId(),
+        attribute: 'region',
+        type: 'region',
+        region: region,
+        negate: false,
+        group: groupIds[groupIds.length - 1]
+    });
+    console.log(`[Filter] Created region filter for "${region.name}"`);
+    
+    renderFilters();
+    updateFilter();
+}
+
+// Create the UI block of a region filter - the region is edited in the Annotations controls
+function createRegionFilterElement(filter) {
+    const filterDiv = document.createElement('div');
+    filterDiv.className = 'filter-block';
+    filterDiv.dataset.filterId = filter.id;
+    filterDiv.innerHTML = `
+        <div class="filter-header">
+            <span class="filter-selection-label"></span>
+            ${getFilterNegateToggle(filter)}
+            <button class="remove-filter" data-filter-id="${filter.id}">×</button>
+        </div>
+    `;
+    filterDiv.querySelector('.filter-selection-label').textContent = `Region "${filter.region.name}" (${getFilterConditionText({ ...filter, negate: false })})`;
+    return filterDiv;
+}
+
+// List the annotations with their colors and names, and buttons to filter by, count or remove them
+function renderAnnotationList() {
+    const list = document.getElementById('annotationList');
+    list.innerHTML = '';
+    
+    if (annotations.length === 0) {
+        list.innerHTML = '<div class="annotation-empty">No annotations yet</div>';
+    }
+    
+    annotations.forEach(annotation => {
+        const item = document.createElement('div');
+        item.className = 'annotation-item';
+        
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = annotation.color;
+        colorInput.title = 'Color';
+        colorInput.addEventListener('input', () => {
+            annotation.color = colorInput.value;
+            updateAnnotationObjects();
+            scheduleStateSave();
+        });
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'annotation-name';
+        nameInput.value = annotation.name;
+        nameInput.title = getAnnotationShapeText(annotation);
+        nameInput.addEventListener('change', () => {
+            annotation.name = nameInput.value.trim() || annotation.name;
+            nameInput.value = annotation.name;
+            updateAnnotationObjects();
+            renderFilters();
+            updateRegionSummary();
+            scheduleStateSave();
+        });
+        
+        item.appendChild(colorInput);
+        item.appendChild(nameInput);
+        
+        if (annotation.kind === 'marker') {
+            const goButton = document.createElement('button');
+            goButton.textContent = 'Go';
+            goButton.title = 'Center the view on this marker';
+            goButton.addEventListener('click', () => {
+                const offset = camera.position.clone().sub(controls.target);
+                controls.target.fromArray(annotation.position);
+                camera.position.copy(controls.target).add(offset);
+                controls.update();
+            });
+            item.appendChild(goButton);
+        } else {
+            const filterButton = document.createElement('button');
+            filterButton.textContent = 'Filter';
+            filterButton.title = 'Only show the transcripts in this region';
+            filterButton.addEventListener('click', () => addRegionFilter(annotation));
+            
+            const countButton = document.createElement('button');
+            countButton.textContent = 'Counts';
+            countButton.title = 'Count the visible transcripts in this region per gene';
+            countButton.addEventListener('click', () => {
+                regionSummaryId = annotation.id;
+                updateRegionSummary();
+            });
+            
+            item.appendChild(filterButton);
+            item.appendChild(countButton);
+        }
+        
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove this annotation';
+        removeButton.addEventListener('click', () => removeAnnotation(annotation));
+        item.appendChild(removeButton);
+        
+        list.appendChild(item);
+    });
+}
+
+// Sprite with a text label that always faces the camera; its size on screen is kept by updateLabelSpriteScales
+function createLabelSprite(text, color) {
+    const fontSize = 48;
+    const font = `600 ${fontSize}px sans-serif`;
+    const padding = Math.round(fontSize * 0.3);
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+    canvas.height = Math.round(fontSize * 1.4);
+    
+    // Resizing the canvas resets the context
+    context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = font;
+    context.textBaseline = 'middle';
+    context.fillStyle = color;
+    context.fillText(text, padding, canvas.height / 2);
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, sizeAttenuation: false, depthTest: false, transparent: true }));
+    sprite.userData.aspect = canvas.width / canvas.height;
+    sprite.renderOrder = 1001;
+    return sprite;
+}
+
+// Rebuild the annotation shapes and labels in the scene (and the polygon being drawn)
+function updateAnnotationObjects() {
+    if (annotationObjects) {
+        scene.remove(annotationObjects);
+        annotationObjects.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        annotationObjects = null;
+    }
+    
+    const isShown = document.getElementById('showAnnotations').checked;
+    if ((!isShown || annotations.length === 0) && annotationDraft.length === 0) return;
+    
+    annotationObjects = new THREE.Group();
+    const addPoints = (positions, color, size) => {
+        const points = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints(positions),
+            new THREE.PointsMaterial({ color: color, size: size, sizeAttenuation: false, depthTest: false })
+        );
+        points.renderOrder = 1000;
+        annotationObjects.add(points);
+    };
+    const addLine = (LineType, positions, material) => {
+        const line = new LineType(new THREE.BufferGeometry().setFromPoints(positions), material);
+        line.renderOrder = 1000;
+        annotationObjects.add(line);
+    };
+    const addLabel = (text, color, position, centerY) => {
+        const label = createLabelSprite(text, color);
+        label.position.copy(position);
+        label.center.set(0.5, centerY);
+        annotationObjects.add(label);
+    };
+    
+    if (isShown) {
+        annotations.forEach(annotation => {
+            const color = new THREE.Color(annotation.color);
+            if (annotation.kind === 'marker') {
+                const position = new THREE.Vector3().fromArray(annotation.position);
+                addPoints([position], color, 10);
+                // Label just above the marker on screen
+                addLabel(annotation.name, annotation.color, position, -0.4);
+            } else if (annotation.kind === 'sphere') {
+                const center = new THREE.Vector3().fromArray(annotation.center);
+                const sphere = new THREE.Mesh(
+                    new THREE.SphereGeometry(annotation.radius, 24, 16),
+                    new THREE.MeshBasicMaterial({ color: color, wireframe: true, transparent: true, opacity: 0.35, depthWrite: false })
+                );
+                sphere.position.copy(center);
+                annotationObjects.add(sphere);
+                addLabel(annotation.name, annotation.color, center, 0.5);
+            } else {
+                // Polygon prism: outline at the bottom and top of the z range, joined at the corners
+                const [zMin, zMax] = annotation.zRange;
+                const bottom = annotation.points.map(([x, y]) => new THREE.Vector3(x, y, zMin));
+                const top = annotation.points.map(([x, y]) => new THREE.Vector3(x, y, zMax));
+                const material = new THREE.LineBasicMaterial({ color: color, depthTest: false });
+                addLine(THREE.LineLoop, top, material);
+                if (zMax > zMin) {
+                    addLine(THREE.LineLoop, bottom, material);
+                    addLine(THREE.LineSegments, bottom.flatMap((corner, i) => [corner, top[i]]), material);
+                }
+                const centroid = top.reduce((sum, corner) => sum.add(corner), new THREE.Vector3()).divideScalar(top.length);
+                addLabel(annotation.name, annotation.color, centroid, 0.5);
+            }
+        });
+    }
+    
+    // Corners of the polygon being drawn
+    if (annotationDraft.length > 0) {
+        addPoints(annotationDraft, 0xffffff, 8);
+        if (annotationDraft.length > 1) {
+            addLine(THREE.Line, annotationDraft, new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false }));
+        }
+    }
+    
+    scene.add(annotationObjects);
+    updateLabelSpriteScales();
+}
+
+// Keep the annotation and pin labels at a fixed height on screen (called every frame)
+// Without size attenuation a sprite's scale is relative to the view height in both projections
+function updateLabelSpriteScales() {
+    const height = 2 * ANNOTATION_LABEL_PIXELS / (camera.projectionMatrix.elements[5] * renderer.domElement.clientHeight);
+    [annotationObjects, pinObjects].forEach(group => {
+        if (!group) return;
+        group.children.forEach(object => {
+            if (object.isSprite) object.scale.set(height * object.userData.aspect, height, 1);
+        });
+    });
+}
+
+// Show the visible transcripts in the region chosen with its Counts button, per gene, in the left panel
+function updateRegionSummary() {
+    const section = document.getElementById('region-section');
+    const summaryDiv = document.getElementById('regionSummary');
+    const region = annotations.find(annotation => annotation.id === regionSummaryId);
+    if (!region || !visibleMask) {
+        section.style.display = 'none';
+        summaryDiv.innerHTML = '';
+        return;
+    }
+    section.style.display = '';
+    
+    const indices = getRegionIndices(region, visibleMask);
+    const { geneColumn } = getCellColumns();
+    const column = store.categorical[geneColumn];
+    
+    summaryDiv.innerHTML = '<div class="selection-total"></div>';
+    summaryDiv.querySelector('.selection-total').textContent = `${indices.length.toLocaleString()} visible transcripts in "${region.name}" (${getAnnotationShapeText(region)})`;
+    if (column) {
+        summaryDiv.appendChild(createValueCountsTable(geneColumn, countCategoricalValues(column, indices)));
+    }
+}
+
+// Store indices of the points inside a region where mask is 1; the spatial index narrows them down to the region's box
+function getRegionIndices(region, mask) {
+    const inRegion = getRegionTest(region);
+    const positions = store.positions;
+    const isInside = idx => inRegion(positions[idx * 3], positions[idx * 3 + 1], positions[idx * 3 + 2]);
+    if (spatialIndex) {
+        const { min, max } = getRegionBox(region);
+        return queryBox(min, max, mask).filter(isInside);
+    }
+    
+    const inside = [];
+    for (let idx = 0; idx < store.length; idx++) {
+        if (mask[idx] && isInside(idx)) inside.push(idx);
+    }
+    return inside;
+}
+
+// Axis-aligned bounding box of a region as { min, max }
+function getRegionBox(region) {
+    if (region.kind === 'sphere') {
+        return {
+            min: region.center.map(value => value - region.radius),
+            max: region.center.map(value => value + region.radius)
+        };
+    }
+    const xs = region.points.map(point => point[0]);
+    const ys = region.points.map(point => point[1]);
+    return {
+        min: [Math.min(...xs), Math.min(...ys), region.zRange[0]],
+        max: [Math.max(...xs), Math.max(...ys), region.zRange[1]]
+    };
+}
+
+// Save the per-gene counts of the region shown in the left panel as CSV
+function exportRegionCountsCSV() {
+    const region = annotations.find(annotation => annotation.id === regionSummaryId);
+    const { geneColumn } = getCellColumns();
+    const column = store.categorical[geneColumn];
+    if (!region || !column || !visibleMask) return;
+    
+    const indices = getRegionIndices(region, visibleMask);
+    const lines = [`${escapeCSVField(geneColumn)},transcripts,fraction`];
+    countCategoricalValues(column, indices).forEach(row => {
+        lines.push(`${escapeCSVField(row.value)},${row.count},${(row.count / indices.length).toPrecision(6)}`);
+    });
+    const fileName = region.name.replace(/[^\w-]+/g, '_');
+    downloadFile(lines.join('\n') + '\n', `${fileName}_counts_per_${geneColumn}.csv`, 'text/csv');
+    console.log(`[Export] Saved ${geneColumn} counts for region "${region.name}"`);
+}
+
+// Annotation in the form saved with the view state and in annotation files
+function serializeAnnotation(annotation) {
+    const saved = { id: annotation.id, kind: annotation.kind, name: annotation.name, color: annotation.color };
+    if (annotation.kind === 'marker') {
+        saved.position = annotation.position.slice();
+    } else if (annotation.kind === 'sphere') {
+        saved.center = annotation.center.slice();
+        saved.radius = annotation.radius;
+    } else {
+        saved.points = annotation.points.map(point => point.slice());
+        saved.zRange = annotation.zRange.slice();
+    }
+    return saved;
+}
+
+// Rebuild an annotation from its saved form, or null if its shape is incomplete
+function deserializeAnnotation(saved) {
+    const isVector = value => Array.isArray(value) && value.length >= 3 && value.slice(0, 3).every(Number.isFinite);
+    if (!saved) return null;
+    
+    const annotation = {
+        id: saved.id ? String(saved.id) : createAnnotationId(),
+        kind: saved.kind,
+        name: String(saved.name || (saved.kind === 'marker' ? 'Marker' : 'Region')),
+        color: /^#[0-9a-f]{6}$/i.test(saved.color) ? saved.color : CATEGORICAL_PALETTES.colorblind[0]
+    };
+    if (saved.kind === 'marker' && isVector(saved.position)) {
+        annotation.position = saved.position.slice(0, 3);
+    } else if (saved.kind === 'sphere' && isVector(saved.center) && saved.radius > 0) {
+        annotation.center = saved.center.slice(0, 3);
+        annotation.radius = saved.radius;
+    } else if (saved.kind === 'polygon' && Array.isArray(saved.points) && saved.points.length >= 3 &&
+        saved.points.every(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))) {
+        annotation.points = saved.points.map(point => [point[0], point[1]]);
+        // Without a z range the region spans all loaded transcripts
+        const bounds = getStoreBounds();
+        annotation.zRange = Array.isArray(saved.zRange) && saved.zRange.length === 2 && saved.zRange.every(Number.isFinite)
+            ? [Math.min(...saved.zRange), Math.max(...saved.zRange)]
+            : [bounds.min[2], bounds.max[2]];
+    } else {
+        console.warn('[Annotations] Skipping incomplete annotation:', saved);
+        return null;
+    }
+    return annotation;
+}
+
+// The annotations as a GeoJSON FeatureCollection: markers and sphere centers are (3D) Points, regions Polygons
+function getAnnotationsGeoJSON() {
+    return {
+        type: 'FeatureCollection',
+        features: annotations.map(annotation => {
+            const properties = { id: annotation.id, name: annotation.name, kind: annotation.kind, color: annotation.color, units: COORDINATE_UNITS };
+            let geometry;
+            if (annotation.kind === 'marker') {
+                geometry = { type: 'Point', coordinates: annotation.position.slice() };
+            } else if (annotation.kind === 'sphere') {
+                geometry = { type: 'Point', coordinates: annotation.center.slice() };
+                properties.radius = annotation.radius;
+            } else {
+                // GeoJSON rings are closed: the first corner is repeated at the end
+                geometry = { type: 'Polygon', coordinates: [[...annotation.points, annotation.points[0]].map(point => point.slice())] };
+                properties.zRange = annotation.zRange.slice();
+            }
+            return { type: 'Feature', geometry, properties };
+        })
+    };
+}
+
+// Annotations from a GeoJSON FeatureCollection or Feature; Points with a radius become spheres
+function readAnnotationsGeoJSON(content) {
+    const features = content.type === 'FeatureCollection' ? content.features || [] : [content];
+    const saved = [];
+    features.forEach(feature => {
+        const geometry = feature && feature.geometry;
+        const properties = (feature && feature.properties) || {};
+        if (!geometry) return;
+        
+        const base = { id: properties.id, name: properties.name, color: properties.color };
+        if (geometry.type === 'Point') {
+            // 2D points lie in the middle of the data's z range
+            const bounds = getStoreBounds();
+            const position = [...geometry.coordinates.slice(0, 2), geometry.coordinates.length > 2 ? geometry.coordinates[2] : (bounds.min[2] + bounds.max[2]) / 2];
+            saved.push(properties.radius > 0
+                ? { ...base, kind: 'sphere', center: position, radius: properties.radius }
+                : { ...base, kind: 'marker', position: position });
+        } else if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+            // Outer rings only; holes are not supported
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            polygons.forEach((rings, part) => {
+                const ring = rings[0] || [];
+                const last = ring[ring.length - 1];
+                const isClosed = ring.length > 1 && last[0] === ring[0][0] && last[1] === ring[0][1];
+                // Each part of a MultiPolygon becomes its own region, so the parts after the first need their own id and name
+                const partFields = part === 0 ? {} : {
+                    id: base.id ? `${base.id}-${part + 1}` : undefined,
+                    name: `${base.name || 'Region'} (${part + 1})`
+                };
+                saved.push({ ...base, ...partFields, kind: 'polygon', points: isClosed ? ring.slice(0, -1) : ring, zRange: properties.zRange });
+            });
+        } else {
+            console.warn(`[Annotations] Skipping unsupported GeoJSON geometry ${geometry.type}`);
+        }
+    });
+    return saved;
+}
+
+// Save the annotations as JSON or GeoJSON
+function exportAnnotations(format) {
+    if (format === 'geojson') {
+        downloadFile(JSON.stringify(getAnnotationsGeoJSON(), null, 2), 'cellcarto-annotations.geojson', 'application/geo+json');
+    } else {
+        const content = {
+            type: 'cellcarto-annotations',
+            version: 1,
+            units: COORDINATE_UNITS,
+            annotations: annotations.map(serializeAnnotation)
+        };
+        downloadFile(JSON.stringify(content, null, 2), 'cellcarto-annotations.json', 'application/json');
+    }
+    console.log(`[Annotations] Exported ${annotations.length} annotations as ${format}`);
+}
+
+// Add the annotations of a file from exportAnnotations (JSON or GeoJSON); annotations with an id already present are replaced
+function importAnnotations(content) {
+    const saved = content.type === 'cellcarto-annotations' ? content.annotations || [] : readAnnotationsGeoJSON(content);
+    const imported = saved.map(deserializeAnnotation).filter(annotation => annotation);
+    if (imported.length === 0) {
+        throw new Error('No annotations found in the file');
+    }
+    
+    imported.forEach(annotation => {
+        const index = annotations.findIndex(other => other.id === annotation.id);
+        if (index < 0) {
+            annotations.push(annotation);
+            return;
+        }
+        // Filters on a replaced region move to the imported one
+        activeFilters.forEach(filter => {
+            if (filter.region === annotations[index]) filter.region = annotation;
+        });
+        annotations[index] = annotation;
+    });
+    console.log(`[Annotations] Imported ${imported.length} of ${saved.length} annotations`);
+    
+    renderAnnotationList();
+    updateAnnotationObjects();
+    renderFilters();
+    updateFilter();
+}
+
+// Pin an inspection panel for a picked transcript, or for a cell picked in cells view
+function pinPoint(picked) {
+    const isCell = picked.cellIdx !== undefined;
+    const isPinned = isCell
+        ? pinnedPoints.some(pin => pin.dataIdx === null && pin.cellCode === cellData.cellCodes[picked.cellIdx])
+        : pinnedPoints.some(pin => pin.dataIdx === picked.dataIdx);
+    if (isPinned) return;
+    
+    const cellColumn = isCell ? cellData.cellColumn : getCellColumns().cellColumn;
+    const column = store.categorical[cellColumn];
+    const pin = {
+        number: ++pinCounter,
+        dataIdx: isCell ? null : picked.dataIdx,
+        cellColumn: column ? cellColumn : null,
+        cellCode: isCell ? cellData.cellCodes[picked.cellIdx] : (column ? column.codes[picked.dataIdx] : null),
+        position: picked.position,
+        fields: null // Original CSV fields once read: { headers, values } or { error }
+    };
+    pin.cell = pin.cellColumn ? summarizeCell(pin.cellColumn, pin.cellCode) : null;
+    
+    // The oldest pins make way for new ones
+    pinnedPoints.push(pin);
+    if (pinnedPoints.length > MAX_PINNED_PANELS) {
+        pinnedPoints.shift();
+    }
+    console.log(`[Inspect] Pinned ${isCell ? 'cell' : 'transcript'} #${pin.number}`);
+    
+    renderPinnedPanels();
+    updatePinObjects();
+    if (pin.dataIdx !== null) {
+        readTranscriptFields(pin);
+    }
+}
+
+// Remove a pinned panel
+function unpinPoint(pin) {
+    pinnedPoints = pinnedPoints.filter(other => other !== pin);
+    renderPinnedPanels();
+    updatePinObjects();
+}
+
+// Remove all pinned panels (their store indices don't survive reloading the datasets)
+function clearPinnedPoints() {
+    pinnedPoints = [];
+    renderPinnedPanels();
+    updatePinObjects();
+}
+
+// All transcripts of a cell (not only the visible ones): count, centroid, extent and transcripts per gene,
+// or null for the unassigned cell ids
+function summarizeCell(cellColumn, cellCode) {
+    const cellId = store.categorical[cellColumn].values[cellCode];
+    if (UNASSIGNED_CELL_IDS.has(cellId)) return null;
+    
+    const { geneColumn } = getCellColumns();
+    const codes = store.categorical[cellColumn].codes;
+    const geneColumnData = store.categorical[geneColumn];
+    const geneCounts = geneColumnData ? new Uint32Array(geneColumnData.values.length) : null;
+    const positions = store.positions;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let i = 0; i < store.length; i++) {
+        if (codes[i] !== cellCode) continue;
+        for (let axis = 0; axis < 3; axis++) {
+            const value = positions[i * 3 + axis];
+            sum[axis] += value;
+            if (value < min[axis]) min[axis] = value;
+            if (value > max[axis]) max[axis] = value;
+        }
+        if (geneCounts) geneCounts[geneColumnData.codes[i]]++;
+        count++;
+    }
+    
+    const genes = [];
+    if (geneCounts) {
+        geneCounts.forEach((geneCount, code) => {
+            if (geneCount > 0) genes.push({ value: geneColumnData.values[code], count: geneCount });
+        });
+        genes.sort((a, b) => b.count - a.count);
+    }
+    return { cellId, geneColumn, count, centroid: sum.map(value => value / count), min, max, genes };
+}
+
+// Read all original CSV fields of a pinned transcript from its dataset file (only the parsed columns are kept in the store)
+async function readTranscriptFields(pin) {
+    let start = 0;
+    const dataset = loadedDatasets.find(candidate => {
+        if (pin.dataIdx < start + candidate.points) return true;
+        start += candidate.points;
+        return false;
+    });
+    if (!dataset || isLoading) {
+        pin.fields = { error: isLoading ? 'Original fields can be read once loading has finished' : 'Dataset not found' };
+        renderPinnedPanels();
+        return;
+    }
+    
+    try {
+        const data = await runCSVWorker({ type: 'rows', source: dataset.source, rows: [store.sourceRows[pin.dataIdx]] });
+        pin.fields = data.rows[0] ? { headers: data.headers, values: data.rows[0] } : { error: 'Row not found in the file' };
+    } catch (error) {
+        console.error(`[Inspect] Could not read the original row of transcript #${pin.number}:`, error);
+        pin.fields = { error: 'Could not read the original row' };
+    }
+    renderPinnedPanels();
+}
+
+// Coordinates as "(x, y, z)"
+function formatCoordinates(values) {
+    return `(${values.map(value => value.toFixed(2)).join(', ')})`;
+}
+
+// Show the pinned panels side by side over the view
+function renderPinnedPanels() {
+    const container = document.getElementById('pinnedPanels');
+    container.innerHTML = '';
+    
+    pinnedPoints.forEach(pin => {
+        const card = document.createElement('div');
+        card.className = 'pin-card';
+        const gene = pin.dataIdx !== null && pin.cell ? getCategoricalValue(pin.cell.geneColumn, pin.dataIdx) : null;
+        
+        // Original CSV fields, or the parsed columns until they have been read
+        let fieldsHtml = '';
+        if (pin.dataIdx !== null) {
+            let rows;
+            if (pin.fields && pin.fields.headers) {
+                rows = pin.fields.headers.map((header, i) => [header, pin.fields.values[i] !== undefined ? pin.fields.values[i] : '']);
+            } else {
+                const position = getStorePosition(pin.dataIdx, new THREE.Vector3());
+                rows = [
+                    ...idx_names.map((name, axis) => [name, position.getComponent(axis).toFixed(2)]),
+                    ...column_names_categorical.map(col => [col, getCategoricalValue(col, pin.dataIdx)]),
+                    ...column_names_continuous.map(col => [col, getContinuousValue(col, pin.dataIdx)])
+                ];
+            }
+            const note = !pin.fields ? 'Reading the original row...' : (pin.fields.error || '');
+            fieldsHtml = `
+                <div class="pin-section">
+                    <div class="pin-section-title">Fields</div>
+                    <table class="pin-fields">
+                        ${rows.map(([name, value]) => `<tr><td>${escapeXML(name)}</td><td>${escapeXML(value === null || value === undefined ? '' : value)}</td></tr>`).join('')}
+                    </table>
+                    ${note ? `<div class="pin-note">${escapeXML(note)}</div>` : ''}
+                </div>
+            `;
+        }
+        
+        // The cell's composition as a bar chart of its most frequent genes
+        let cellHtml = '';
+        if (pin.cell) {
+            const { cellId, count, centroid, min, max, genes } = pin.cell;
+            cellHtml = `
+                <div class="pin-section">
+                    <div class="pin-section-title">${escapeXML(pin.cellColumn)} ${escapeXML(cellId)}</div>
+                    <div class="pin-stat"><span>Transcripts</span><span>${count.toLocaleString()}</span></div>
+                    <div class="pin-stat"><span>Centroid</span><span>${formatCoordinates(centroid)}</span></div>
+                    <div class="pin-stat"><span>Extent</span><span>${max.map((value, axis) => formatLength(value - min[axis])).join(' × ')}</span></div>
+                    ${getGeneChartHtml(genes, pin.cell.geneColumn)}
+                </div>
+            `;
+        } else if (pin.cellColumn) {
+            cellHtml = '<div class="pin-section"><div class="pin-note">Not assigned to a cell</div></div>';
+        }
+        
+        // Visible transcripts around the point, from the spatial index
+        pin.neighborhood = getNeighborhoodSummary(pin.position);
+        let neighborhoodHtml = '';
+        if (pin.neighborhood) {
+            neighborhoodHtml = `
+                <div class="pin-section">
+                    <div class="pin-section-title">Neighborhood</div>
+                    <div class="pin-note">${escapeXML(pin.neighborhood.label)}</div>
+                    ${getGeneChartHtml(pin.neighborhood.genes, pin.neighborhood.geneColumn)}
+                    ${pin.neighborhood.mode === 'radius' && pin.neighborhood.radius > 0 ? '<button class="pin-save-region">Save as sphere region</button>' : ''}
+                </div>
+            `;
+        }
+        
+        card.innerHTML = `
+            <div class="pin-header">
+                <span class="pin-title">#${pin.number} ${pin.dataIdx !== null ? 'Transcript' : 'Cell'}</span>
+                <button class="pin-close" title="Unpin">×</button>
+            </div>
+            ${fieldsHtml}
+            ${cellHtml}
+            ${neighborhoodHtml}
+            <div class="pin-buttons">
+                ${pin.cell ? '<button class="pin-isolate">Isolate this cell</button>' : ''}
+                ${gene ? `<button class="pin-color-gene">Color by ${escapeXML(gene)}</button>` : ''}
+            </div>
+        `;
+        
+        card.querySelector('.pin-close').addEventListener('click', () => unpinPoint(pin));
+        const isolateButton = card.querySelector('.pin-isolate');
+        if (isolateButton) isolateButton.addEventListener('click', () => isolateCell(pin));
+        const colorButton = card.querySelector('.pin-color-gene');
+        if (colorButton) colorButton.addEventListener('click', () => colorByGene(pin.cell.geneColumn, gene));
+        card.querySelectorAll('.pin-bar-row').forEach(row => {
+            row.addEventListener('click', () => colorByGene(row.dataset.column, row.dataset.gene));
+        });
+        const saveRegionButton = card.querySelector('.pin-save-region');
+        if (saveRegionButton) {
+            saveRegionButton.addEventListener('click', () => {
+                addAnnotation({ kind: 'sphere', center: vectorToArray(pin.position), radius: pin.neighborhood.radius });
+            });
+        }
+        container.appendChild(card);
+    });
+}
+
+// Show the radius or the neighbor count input, whichever the neighborhood mode uses
+function updateNeighborhoodOptions() {
+    const mode = document.getElementById('neighborhoodMode').value;
+    document.getElementById('neighborhoodRadiusGroup').style.display = mode === 'radius' ? '' : 'none';
+    document.getElementById('neighborhoodCountGroup').style.display = mode === 'nearest' ? '' : 'none';
+}
+
+// Bar chart of the most frequent genes ({ value, count } rows, most frequent first); clicking a bar colors by that gene
+function getGeneChartHtml(genes, geneColumn) {
+    const shown = genes.slice(0, PIN_CHART_GENES);
+    const maxCount = shown.length > 0 ? shown[0].count : 1;
+    return `
+        <div class="pin-chart">
+            ${shown.map(row => `
+                <div class="pin-bar-row" data-column="${escapeXML(geneColumn)}" data-gene="${escapeXML(row.value)}" title="Color by ${escapeXML(row.value || '(empty)')}">
+                    <span class="pin-bar-label">${escapeXML(row.value || '(empty)')}</span>
+                    <span class="pin-bar"><span class="pin-bar-fill" style="width: ${(row.count / maxCount * 100).toFixed(1)}%; background: #${getColorForValue(row.value, geneColumn).getHexString()};"></span></span>
+                    <span class="pin-bar-count">${row.count.toLocaleString()}</span>
+                </div>
+            `).join('')}
+            ${genes.length > shown.length ? `<div class="pin-note">... and ${genes.length - shown.length} more ${escapeXML(geneColumn)} values</div>` : ''}
+        </div>
+    `;
+}
+
+// Only show the transcripts of a pinned cell (a filter on the cell id column) and frame it from the top
+function isolateCell(pin) {
+    const groupIds = getFilterGroupIds();
+    activeFilters.push({
+        id: createFilterId(),
+        attribute: pin.cellColumn,
+        type: 'categorical',
+        values: new Set([pin.cell.cellId]),
+        range: null,
+        negate: false,
+        group: groupIds[groupIds.length - 1]
+    });
+    console.log(`[Inspect] Isolating ${pin.cellColumn} ${pin.cell.cellId}`);
+    
+    renderFilters();
+    updateFilter();
+    fitCameraToBox(new THREE.Box3(new THREE.Vector3().fromArray(pin.cell.min), new THREE.Vector3().fromArray(pin.cell.max)), 'top');
+}
+
+// Color by one gene: its expression per cell in cells view, otherwise the gene's transcripts highlighted and the rest dimmed
+function colorByGene(geneColumn, gene) {
+    console.log(`[Inspect] Coloring by ${geneColumn} ${gene}`);
+    if (viewMode === 'cells') {
+        document.getElementById('cellColorBy').value = 'expression';
+        document.getElementById('cellGene').value = gene;
+        updateCellOptions();
+        updatePointColors();
+        updateLegend();
+        scheduleStateSave();
+        return;
+    }
+    
+    // Replace any highlight filter on the gene column
+    document.getElementById('colorBy').value = geneColumn;
+    activeFilters = activeFilters.filter(filter => !(filter.highlight && filter.attribute === geneColumn));
+    activeFilters.push({
+        id: createFilterId(),
+        attribute: geneColumn,
+        type: 'categorical',
+        values: new Set([gene]),
+        range: null,
+        negate: false,
+        highlight: true,
+        group: 0
+    });
+    legendPage = 0;
+    renderFilters();
+    updateFilter();
+    updatePointColors();
+}
+
+// Numbered markers at the pinned points, with their neighborhoods
+function updatePinObjects() {
+    if (pinObjects) {
+        scene.remove(pinObjects);
+        pinObjects.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        pinObjects = null;
+    }
+    if (pinnedPoints.length === 0) return;
+    
+    pinObjects = new THREE.Group();
+    const markers = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(pinnedPoints.map(pin => pin.position)),
+        new THREE.PointsMaterial({ color: 0xffffff, size: 9, sizeAttenuation: false, depthTest: false })
+    );
+    markers.renderOrder = 1000;
+    pinObjects.add(markers);
+    pinnedPoints.forEach(pin => {
+        const label = createLabelSprite(`#${pin.number}`, '#ffffff');
+        label.position.copy(pin.position);
+        label.center.set(-0.15, -0.15);
+        pinObjects.add(label);
+        
+        // Outline of the neighborhood counted in the panel
+        if (pin.neighborhood && pin.neighborhood.radius > 0) {
+            const sphere = new THREE.Mesh(
+                new THREE.SphereGeometry(pin.neighborhood.radius, 24, 16),
+                new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.2, depthWrite: false })
+            );
+            sphere.position.copy(pin.position);
+            pinObjects.add(sphere);
+        }
+    });
+    scene.add(pinObjects);
+    updateLabelSpriteScales();
+}
+
+// Build the k-d tree over the store positions used for radius, nearest neighbour, box and ray queries
+// ids holds the store indices, ordered so that node n covers ids[start, end) and splits it in the middle into
+// nodes 2n + 1 and 2n + 2 along its widest axis; nodes with at most SPATIAL_INDEX_LEAF_SIZE points are leaves.
+// coords holds the x, y, z of ids in the same order, so that the leaves are read from contiguous memory.
+// boxes holds the tight bounding box of each node as min x, y, z, max x, y, z.
+function buildSpatialIndex() {
+    spatialIndex = null;
+    const count = store.length;
+    if (count === 0) return;
+    
+    const startTime = performance.now();
+    const coords = store.positions.slice(0, count * 3);
+    const ids = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+        ids[i] = i;
+    }
+    const depth = count > SPATIAL_INDEX_LEAF_SIZE ? Math.ceil(Math.log2(count / SPATIAL_INDEX_LEAF_SIZE)) : 0;
+    const nodeCount = Math.pow(2, depth + 1) - 1;
+    const boxes = new Float32Array(nodeCount * 6);
+    for (let node = 0; node < nodeCount; node++) {
+        boxes.fill(Infinity, node * 6, node * 6 + 3);
+        boxes.fill(-Infinity, node * 6 + 3, node * 6 + 6);
+    }
+    
+    // Split top-down, choosing the axis from the box cut out by the splits above (the points' box is only known at the leaves)
+    const root = getStoreBounds();
+    const stack = [{ node: 0, start: 0, end: count, min: root.min, max: root.max }];
+    while (stack.length > 0) {
+        const { node, start, end, min, max } = stack.pop();
+        if (end - start <= SPATIAL_INDEX_LEAF_SIZE) {
+            // Leaf - tight box of its points
+            for (let i = start; i < end; i++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = coords[i * 3 + axis];
+                    if (value < boxes[node * 6 + axis]) boxes[node * 6 + axis] = value;
+                    if (value > boxes[node * 6 + 3 + axis]) boxes[node * 6 + 3 + axis] = value;
+                }
+            }
+            continue;
+        }
+        
+        const extents = [0, 1, 2].map(axis => max[axis] - min[axis]);
+        const axis = extents.indexOf(Math.max(...extents));
+        const mid = (start + end) >> 1;
+        selectSpatialIds(ids, coords, mid, start, end - 1, axis);
+        const split = coords[mid * 3 + axis];
+        const leftMax = max.slice();
+        leftMax[axis] = split;
+        const rightMin = min.slice();
+        rightMin[axis] = split;
+        stack.push({ node: 2 * node + 1, start, end: mid, min, max: leftMax });
+        stack.push({ node: 2 * node + 2, start: mid, end, min: rightMin, max });
+    }
+    
+    // Inner boxes are the union of their children's boxes (children have higher node numbers)
+    for (let node = nodeCount - 1; node > 0; node--) {
+        const parent = (node - 1) >> 1;
+        for (let axis = 0; axis < 3; axis++) {
+            boxes[parent * 6 + axis] = Math.min(boxes[parent * 6 + axis], boxes[node * 6 + axis]);
+            boxes[parent * 6 + 3 + axis] = Math.max(boxes[parent * 6 + 3 + axis], boxes[node * 6 + 3 + axis]);
+        }
+    }
+    
+    spatialIndex = { ids, coords, boxes };
+    console.log(`[Spatial Index] Indexed ${count.toLocaleString()} points in ${nodeCount.toLocaleString()} nodes in ${((performance.now() - startTime) / 1000).toFixed(2)}s`);
+}
+
+// Reorder ids[left..right] (and their coords) so that ids[k] is the point with the k-th smallest coordinate
+// along axis, with no larger coordinates before it and no smaller ones after it (quickselect)
+function selectSpatialIds(ids, coords, k, left, right, axis) {
+    while (right > left) {
+        const pivot = coords[((left + right) >> 1) * 3 + axis];
+        let i = left;
+        let j = right;
+        while (i <= j) {
+            while (coords[i * 3 + axis] < pivot) i++;
+            while (coords[j * 3 + axis] > pivot) j--;
+            if (i <= j) {
+                const swap = ids[i];
+                ids[i] = ids[j];
+                ids[j] = swap;
+                for (let a = 0; a < 3; a++) {
+                    const value = coords[i * 3 + a];
+                    coords[i * 3 + a] = coords[j * 3 + a];
+                    coords[j * 3 + a] = value;
+                }
+                i++;
+                j--;
+            }
+        }
+        if (k <= j) {
+            right = j;
+        } else if (k >= i) {
+            left = i;
+        } else {
+            return;
+        }
+    }
+}
+
+// Visit the leaves of the spatial index whose boxes pass intersectsBox(boxes, offset); every inner node on the way
+// must pass too. onLeaf(start, end) gets the leaf's range of spatialIndex.ids.
+function searchSpatialIndex(intersectsBox, onLeaf) {
+    const boxes = spatialIndex.boxes;
+    const stack = [0, 0, spatialIndex.ids.length];
+    while (stack.length > 0) {
+        const end = stack.pop();
+        const start = stack.pop();
+        const node = stack.pop();
+        if (!intersectsBox(boxes, node * 6)) continue;
+        if (end - start <= SPATIAL_INDEX_LEAF_SIZE) {
+            onLeaf(start, end);
+            continue;
+        }
+        const mid = (start + end) >> 1;
+        stack.push(2 * node + 2, mid, end, 2 * node + 1, start, mid);
+    }
+}
+
+// Squared distance from a point to the node box at offset in boxes (0 inside it)
+function getBoxDistanceSquared(boxes, offset, x, y, z) {
+    const dx = Math.max(boxes[offset] - x, 0, x - boxes[offset + 3]);
+    const dy = Math.max(boxes[offset + 1] - y, 0, y - boxes[offset + 4]);
+    const dz = Math.max(boxes[offset + 2] - z, 0, z - boxes[offset + 5]);
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// Store indices of the points within radius of center ([x, y, z]); with a mask, only those where mask is 1
+function queryRadius(center, radius, mask = null) {
+    const [x, y, z] = center;
+    const radiusSquared = radius * radius;
+    const { ids, coords } = spatialIndex;
+    const found = [];
+    searchSpatialIndex((boxes, offset) => getBoxDistanceSquared(boxes, offset, x, y, z) <= radiusSquared, (start, end) => {
+        for (let i = start; i < end; i++) {
+            const idx = ids[i];
+            if (mask && !mask[idx]) continue;
+            const dx = coords[i * 3] - x;
+            const dy = coords[i * 3 + 1] - y;
+            const dz = coords[i * 3 + 2] - z;
+            if (dx * dx + dy * dy + dz * dz <= radiusSquared) found.push(idx);
+        }
+    });
+    return found;
+}
+
+// Store indices of the points inside the axis-aligned box from min to max ([x, y, z] each); with a mask, only those where mask is 1
+function queryBox(min, max, mask = null) {
+    const { ids, coords } = spatialIndex;
+    const found = [];
+    searchSpatialIndex((boxes, offset) => boxes[offset] <= max[0] && boxes[offset + 3] >= min[0] &&
+        boxes[offset + 1] <= max[1] && boxes[offset + 4] >= min[1] &&
+        boxes[offset + 2] <= max[2] && boxes[offset + 5] >= min[2], (start, end) => {
+        for (let i = start; i < end; i++) {
+            const idx = ids[i];
+            if (mask && !mask[idx]) continue;
+            const x = coords[i * 3];
+            const y = coords[i * 3 + 1];
+            const z = coords[i * 3 + 2];
+            if (x >= min[0] && x <= max[0] && y >= min[1] && y <= max[1] && z >= min[2] && z <= max[2]) found.push(idx);
+        }
+    });
+    return found;
+}
+
+// The k points nearest to center ([x, y, z]) as { index, distance }, nearest first; with a mask, only those where mask is 1
+function queryNearest(center, k, mask = null) {
+    const [x, y, z] = center;
+    const { ids, coords, boxes } = spatialIndex;
+    // Nearest points so far, sorted by squared distance (k is small, so insertion keeps it simple)
+    const nearest = [];
+    let worstSquared = Infinity;
+    
+    // Depth first, visiting the nearer child first so that the far one can usually be skipped
+    const stack = [0, 0, ids.length];
+    while (stack.length > 0) {
+        const end = stack.pop();
+        const start = stack.pop();
+        const node = stack.pop();
+        if (getBoxDistanceSquared(boxes, node * 6, x, y, z) > worstSquared) continue;
+        
+        if (end - start > SPATIAL_INDEX_LEAF_SIZE) {
+            const mid = (start + end) >> 1;
+            const left = 2 * node + 1;
+            const right = 2 * node + 2;
+            if (getBoxDistanceSquared(boxes, left * 6, x, y, z) <= getBoxDistanceSquared(boxes, right * 6, x, y, z)) {
+                stack.push(right, mid, end, left, start, mid);
+            } else {
+                stack.push(left, start, mid, right, mid, end);
+            }
+            continue;
+        }
+        
+        for (let i = start; i < end; i++) {
+            const idx = ids[i];
+            if (mask && !mask[idx]) continue;
+            const dx = coords[i * 3] - x;
+            const dy = coords[i * 3 + 1] - y;
+            const dz = coords[i * 3 + 2] - z;
+            const distanceSquared = dx * dx + dy * dy + dz * dz;
+            if (distanceSquared >= worstSquared) continue;
+            
+            let position = nearest.length;
+            while (position > 0 && nearest[position - 1].distanceSquared > distanceSquared) position--;
+            nearest.splice(position, 0, { index: idx, distanceSquared });
+            if (nearest.length > k) nearest.pop();
+            if (nearest.length === k) worstSquared = nearest[k - 1].distanceSquared;
+        }
+    }
+    return nearest.map(({ index, distanceSquared }) => ({ index, distance: Math.sqrt(distanceSquared) }));
+}
+
+// The point within threshold of a ray (THREE.Ray) that is nearest to the ray origin, as { index, distance } along the ray,
+// or null; with a mask, only points where mask is 1 are considered
+function queryRay(ray, threshold, mask = null) {
+    const { ids, coords } = spatialIndex;
+    const box = new THREE.Box3();
+    const hit = new THREE.Vector3();
+    const { origin, direction } = ray;
+    const thresholdSquared = threshold * threshold;
+    let best = null;
+    
+    searchSpatialIndex((boxes, offset) => {
+        box.min.set(boxes[offset] - threshold, boxes[offset + 1] - threshold, boxes[offset + 2] - threshold);
+        box.max.set(boxes[offset + 3] + threshold, boxes[offset + 4] + threshold, boxes[offset + 5] + threshold);
+        // Boxes entered beyond the best hit can't hold a nearer one
+        return ray.intersectBox(box, hit) !== null && (!best || hit.distanceTo(origin) <= best.distance + threshold);
+    }, (start, end) => {
+        for (let i = start; i < end; i++) {
+            const idx = ids[i];
+            if (mask && !mask[idx]) continue;
+            const dx = coords[i * 3] - origin.x;
+            const dy = coords[i * 3 + 1] - origin.y;
+            const dz = coords[i * 3 + 2] - origin.z;
+            const along = dx * direction.x + dy * direction.y + dz * direction.z;
+            if (along < 0 || (best && along >= best.distance)) continue;
+            if (dx * dx + dy * dy + dz * dz - along * along <= thresholdSquared) {
+                best = { index: idx, distance: along };
+            }
+        }
+    });
+    return best;
+}
+
+// Exact bounding box of the points where mask is 1 (null if there are none)
+// Subtrees whose boxes lie inside the box found so far can't extend it and are skipped
+function getMaskedBounds(mask) {
+    const { ids, coords } = spatialIndex;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    searchSpatialIndex((boxes, offset) => boxes[offset] < min[0] || boxes[offset + 1] < min[1] || boxes[offset + 2] < min[2] ||
+        boxes[offset + 3] > max[0] || boxes[offset + 4] > max[1] || boxes[offset + 5] > max[2], (start, end) => {
+        for (let i = start; i < end; i++) {
+            const idx = ids[i];
+            if (!mask[idx]) continue;
+            for (let axis = 0; axis < 3; axis++) {
+                const value = coords[i * 3 + axis];
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+    });
+    return min[0] <= max[0] ? { min, max } : null;
+}
+
+// Uint8Array over store indices, 1 for the transcripts currently rendered (built when first needed after each update)
+function getRenderedMask() {
+    if (!renderedMask) {
+        renderedMask = new Uint8Array(store.length);
+        for (let i = 0; i < renderedIndicesMap.length; i++) {
+            renderedMask[renderedIndicesMap[i]] = 1;
+        }
+    }
+    return renderedMask;
+}
+
+// Gene composition of the visible transcripts around a pinned point, with the Neighborhood controls:
+// { label, radius, count, genes } or null when there is no spatial index
+function getNeighborhoodSummary(position) {
+    if (!spatialIndex) return null;
+    
+    const center = position.toArray();
+    const mode = document.getElementById('neighborhoodMode').value;
+    let indices;
+    let radius;
+    let label;
+    if (mode === 'nearest') {
+        const k = Math.max(1, parseInt(document.getElementById('neighborhoodCount').value, 10) || 1);
+        const nearest = queryNearest(center, k, visibleMask);
+        indices = nearest.map(neighbor => neighbor.index);
+        radius = nearest.length > 0 ? nearest[nearest.length - 1].distance : 0;
+        label = `${indices.length.toLocaleString()} nearest transcripts (within ${formatLength(radius)})`;
+    } else {
+        radius = Math.max(0, parseFloat(document.getElementById('neighborhoodRadius').value) || 0);
+        indices = queryRadius(center, radius, visibleMask);
+        label = `${indices.length.toLocaleString()} transcripts within ${formatLength(radius)}`;
+    }
+    
+    const { geneColumn } = getCellColumns();
+    const column = store.categorical[geneColumn];
+    return { label, radius, mode, count: indices.length, geneColumn, genes: column ? countCategoricalValues(column, indices) : [] };
+}
+
+// Vertex shader for point sprites - sizes points in world units, like the sphere radius
+const SPRITE_VERTEX_SHADER = `
+    uniform float uPointSize;
+    uniform float uScale;
+    uniform float uPerspective;
+    attribute float size;
+    varying vec3 vColor;
+    
+    void main() {
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        // Diameter in pixels of a sphere with radius uPointSize * size at this depth (orthographic sizes don't depend on depth)
+        float depth = uPerspective > 0.5 ? -mvPosition.z : 1.0;
+        gl_PointSize = max(1.0, uPointSize * size * uScale / depth);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+// Fragment shader for point sprites - round points shaded like a lit sphere
+const SPRITE_FRAGMENT_SHADER = `
+    uniform float uOpacity;
+    varying vec3 vColor;
+    
+    void main() {
+        vec2 coord = gl_PointCoord * 2.0 - 1.0;
+        float r2 = dot(coord, coord);
+        if (r2 > 1.0) discard;
+        
+        // Sphere normal at this fragment, lit to approximate the scene's ambient + directional lights
+        vec3 normal = vec3(coord.x, -coord.y, sqrt(1.0 - r2));
+        float diffuse = max(dot(normal, normalize(vec3(1.0, 1.0, 1.0))), 0.0);
+        gl_FragColor = vec4(vColor * (0.6 + 0.4 * diffuse), uOpacity);
+    }
+`;
+
+// Create the shader material for point sprites
+function createSpriteMaterial(pointSize) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uPointSize: { value: pointSize },
+            uScale: { value: 1 },
+            uPerspective: { value: 1 },
+            uOpacity: { value: 0.8 }
+        },
+        vertexShader: SPRITE_VERTEX_SHADER,
+        fragmentShader: SPRITE_FRAGMENT_SHADER,
+        vertexColors: true,
+        transparent: true
+    });
+    updateSpriteScale(material);
+    return material;
+}
+
+// Update the world-to-pixel scale of the sprite material for the current camera and canvas size
+// (or for a render target of the given height, when exporting images)
+function updateSpriteScale(material, drawingBufferHeight = renderer.domElement.height) {
+    if (camera.isOrthographicCamera) {
+        // Pixels per world unit, doubled since the shader is given the radius
+        material.uniforms.uScale.value = 2 * drawingBufferHeight * camera.zoom / (camera.top - camera.bottom);
+        material.uniforms.uPerspective.value = 0;
+    } else {
+        material.uniforms.uScale.value = drawingBufferHeight / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        material.uniforms.uPerspective.value = 1;
+    }
+}
+
+// Update the sprite scale of the transcript and unassigned point clouds for the canvas
+function updateSpriteScales() {
+    [pointCloud, unassignedCloud].forEach(object => {
+        if (object && object.isPoints) updateSpriteScale(object.material);
+    });
+}
+
+// Seeded pseudo-random number generator (mulberry32, same as in csv-worker.js) returning floats in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Current random seed from the Controls panel
+function getRandomSeed() {
+    const seed = parseInt(document.getElementById('randomSeed').value, 10);
+    return isNaN(seed) ? DEFAULT_RANDOM_SEED : seed >>> 0;
+}
+
+// Shuffle all store indices once (seeded), so sampling picks the same points every time the view is updated
+function computeSampleOrder() {
+    sampleOrder = new Uint32Array(store.length);
+    for (let i = 0; i < store.length; i++) {
+        sampleOrder[i] = i;
+    }
+    
+    // Fisher-Yates shuffle
+    const random = createRandom(getRandomSeed());
+    for (let i = store.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const tmp = sampleOrder[i];
+        sampleOrder[i] = sampleOrder[j];
+        sampleOrder[j] = tmp;
+    }
+}
+
+// Pick which visible points to render, based on the sample rate and the render mode's point limit
+// Walks the fixed sampleOrder, so a given set of filters and sample rate always yields the same points
+function selectRenderedIndices(maxPoints) {
+    const sampleRate = Math.max(0.01, Math.min(1, parseInt(document.getElementById('sampleRate').value) / 100));
+    const visibleCount = visibleIndices.length;
+    
+    // Calculate target count based on sample rate, but cap at the render mode's limit for performance
+    // When sample rate is 100%, show all points (up to that limit)
+    const targetCount = Math.min(Math.floor(visibleCount * sampleRate), maxPoints);
+    
+    if (targetCount >= visibleCount) {
+        // If target is >= all points (100% sample rate and within limits), use all visible indices
+        return visibleIndices;
+    }
+    
+    const selected = new Uint32Array(targetCount);
+    let selectedCount = 0;
+    for (let i = 0; i < sampleOrder.length && selectedCount < targetCount; i++) {
+        const dataIdx = sampleOrder[i];
+        if (visibleMask[dataIdx]) {
+            selected[selectedCount++] = dataIdx;
+        }
+    }
+    return selected;
+}
+
+// Cells to render in cells view - all of them, up to the render mode's point limit
+function selectRenderedCells(maxPoints) {
+    const count = Math.min(cellData.count, maxPoints);
+    const selected = new Uint32Array(count);
+    for (let i = 0; i < count; i++) {
+        selected[i] = i;
+    }
+    return selected;
+}
+
+// Info line for cells view
+function getVisibleCellsText(renderedCount) {
+    const unassignedCount = cellData ? cellData.unassigned.length : 0;
+    const isCapped = cellData && renderedCount < cellData.count;
+    return `Visible cells: ${renderedCount.toLocaleString()}${isCapped ? ` of ${cellData.count.toLocaleString()}` : ''} (${unassignedCount.toLocaleString()} unassigned transcripts)`;
+}
+
+// Remove and dispose the current point cloud (spheres or sprites)
+function disposePointCloud() {
+    if (pointCloud) {
+        scene.remove(pointCloud);
+        pointCloud.geometry.dispose();
+        pointCloud.material.dispose();
+        pointCloud = null;
+        sphereMesh = null;
+    }
+}
+
+// Create the point cloud objects for the current render mode, with room for capacity points
+// Only called when the render mode changes or more points must be shown than fit in the current buffers
+function createPointCloud(capacity) {
+    disposePointCloud();
+    
+    const renderMode = document.getElementById('renderMode').value;
+    const pointSize = parseFloat(document.getElementById('pointSize').value);
+    
+    if (renderMode === 'sprites') {
+        // Point sprites: one vertex per point, sized and shaded in the shader
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage));
+        // Per-point size multiplier, applied on top of the point size uniform
+        geometry.setAttribute('size', new THREE.BufferAttribute(new Float32Array(capacity).fill(1), 1));
+        geometry.setDrawRange(0, 0);
+        
+        pointCloud = new THREE.Points(geometry, createSpriteMaterial(pointSize));
+    } else {
+        // Create sphere geometry for instancing
+        const sphereGeometry = new THREE.SphereGeometry(pointSize, 8, 6); // radius, widthSegments, heightSegments
+        
+        // Create material with instanced colors support
+        const material = new THREE.MeshPhongMaterial({
+            color: 0xffffff, // Base color (will be overridden by instance colors)
+            transparent: true,
+            opacity: 0.8,
+            flatShading: true // Use flat shading for better performance
+        });
+        
+        // Create instanced mesh
+        sphereMesh = new THREE.InstancedMesh(sphereGeometry, material, capacity);
+        sphereMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        sphereMesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        sphereMesh.count = 0;
+        
+        pointCloud = sphereMesh;
+    }
+    
+    // Buffers are rewritten in place, so bounds computed at creation would go stale
+    pointCloud.frustumCulled = false;
+    pointCloud.userData.capacity = capacity;
+    pointCloud.userData.renderMode = renderMode;
+    scene.add(pointCloud);
+    
+    console.log(`[Render] Created ${renderMode} point cloud with capacity ${capacity.toLocaleString()}`);
+}
+
+// Re-select the rendered points after filters or the sample rate changed, rewriting positions and colors in place
+function updatePointCloud() {
+    // Hide highlight since the rendered points change
+    if (highlightSphere) {
+        highlightSphere.visible = false;
+    }
+    
+    updateUnassignedCloud();
+    
+    const isCells = isCellView();
+    if (!visibleIndices || visibleIndices.length === 0 || (isCells && cellData.count === 0)) {
+        renderedIndicesMap = new Uint32Array(0);
+        renderedMask = null;
+        if (pointCloud) setRenderedCount(0);
+        document.getElementById('visibleCount').textContent = isCells ? getVisibleCellsText(0) : 'Visible points: 0';
+        return;
+    }
+    
+    const renderMode = document.getElementById('renderMode').value;
+    const maxPoints = renderMode === 'sprites' ? MAX_SPRITE_POINTS : MAX_POINTS;
+    // In cells view the rendered entries are cells, and sourcePositions holds their centroids
+    const indicesToRender = isCells ? selectRenderedCells(maxPoints) : selectRenderedIndices(maxPoints);
+    const sourcePositions = isCells ? cellData.centroids : store.positions;
+    const count = indicesToRender.length;
+    
+    // Grow the buffers geometrically, so widening a filter rarely needs new objects
+    if (!pointCloud || pointCloud.userData.renderMode !== renderMode || pointCloud.userData.capacity < count) {
+        const capacity = Math.max(count, Math.min(Math.ceil(count * 1.5), maxPoints, store.length));
+        createPointCloud(capacity);
+    }
+    
+    if (sphereMesh) {
+        const matrix = new THREE.Matrix4();
+        for (let i = 0; i < count; i++) {
+            const dataIdx = indicesToRender[i];
+            // Cell glyphs are scaled by their transcript count
+            const scale = isCells ? getCellGlyphScale(dataIdx) : 1;
+            matrix.makeScale(scale, scale, scale);
+            matrix.setPosition(sourcePositions[dataIdx * 3], sourcePositions[dataIdx * 3 + 1], sourcePositions[dataIdx * 3 + 2]);
+            sphereMesh.setMatrixAt(i, matrix);
+        }
+        sphereMesh.instanceMatrix.updateRange.count = count * 16;
+        sphereMesh.instanceMatrix.needsUpdate = true;
+    } else {
+        const positionAttribute = pointCloud.geometry.getAttribute('position');
+        const sizeAttribute = pointCloud.geometry.getAttribute('size');
+        const positions = positionAttribute.array;
+        const sizes = sizeAttribute.array;
+        for (let i = 0; i < count; i++) {
+            const dataIdx = indicesToRender[i];
+            positions[i * 3] = sourcePositions[dataIdx * 3];
+            positions[i * 3 + 1] = sourcePositions[dataIdx * 3 + 1];
+            positions[i * 3 + 2] = sourcePositions[dataIdx * 3 + 2];
+            sizes[i] = isCells ? getCellGlyphScale(dataIdx) : 1;
+        }
+        positionAttribute.updateRange.count = count * 3;
+        positionAttribute.needsUpdate = true;
+        sizeAttribute.updateRange.count = count;
+        sizeAttribute.needsUpdate = true;
+        // Raycasting skips points outside the geometry's bounding sphere, which three.js computes only once
+        setDrawnBoundingSphere(pointCloud.geometry, count);
+    }
+    
+    // Store mapping from instance index to data index (cell index in cells view) for hover detection
+    renderedIndicesMap = indicesToRender;
+    renderedMask = null;
+    setRenderedCount(count);
+    updatePointColors();
+    
+    // Update info
+    if (isCells) {
+        document.getElementById('visibleCount').textContent = getVisibleCellsText(count);
+    } else {
+        const isSampled = indicesToRender.length < visibleIndices.length;
+        document.getElementById('visibleCount').textContent = 
+            `Visible points: ${indicesToRender.length.toLocaleString()}${isSampled ? ` (sampled from ${visibleIndices.length.toLocaleString()})` : ''}`;
+    }
+    
+    // Auto-adjust camera for x-y plane view only on first render
+    if (!cameraInitialized) {
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const dataIdx = indicesToRender[i];
+            positions[i * 3] = sourcePositions[dataIdx * 3];
+            positions[i * 3 + 1] = sourcePositions[dataIdx * 3 + 1];
+            positions[i * 3 + 2] = sourcePositions[dataIdx * 3 + 2];
+        }
+        const tempGeometry = new THREE.BufferGeometry();
+        tempGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        tempGeometry.computeBoundingBox();
+        setCameraToXYPlaneView(tempGeometry.boundingBox);
+        tempGeometry.dispose();
+        cameraInitialized = true;
+    }
+}
+
+// Fit the bounding sphere of a point geometry to its first count points (the drawn range)
+function setDrawnBoundingSphere(geometry, count) {
+    const positions = geometry.getAttribute('position').array;
+    const box = new THREE.Box3();
+    const point = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        box.expandByPoint(point.fromArray(positions, i * 3));
+    }
+    
+    const sphere = geometry.boundingSphere || new THREE.Sphere();
+    box.getCenter(sphere.center);
+    let maxDistanceSq = 0;
+    for (let i = 0; i < count; i++) {
+        maxDistanceSq = Math.max(maxDistanceSq, sphere.center.distanceToSquared(point.fromArray(positions, i * 3)));
+    }
+    sphere.radius = count > 0 ? Math.sqrt(maxDistanceSq) : -1;
+    geometry.boundingSphere = sphere;
+}
+
+// Set how many of the point cloud's buffer entries are drawn
+function setRenderedCount(count) {
+    if (sphereMesh) {
+        sphereMesh.count = count;
+    } else {
+        pointCloud.geometry.setDrawRange(0, count);
+    }
+}
+
+// Rewrite only the color buffer of the rendered points (colorBy, legend color or selection changes)
+function updatePointColors() {
+    if (!pointCloud || !renderedIndicesMap) return;
+    
+    const colorAttribute = sphereMesh ? sphereMesh.instanceColor : pointCloud.geometry.getAttribute('color');
+    const colors = colorAttribute.array;
+    const count = renderedIndicesMap.length;
+    
+    if (isCellView()) {
+        writeCellColors(colors, count);
+    } else {
+        writeTranscriptColors(colors, count);
+    }
+    if (highlightTables.length > 0) {
+        dimUnhighlightedColors(colors, count);
+    }
+    if (selectionMask) {
+        dimUnselectedColors(colors, count);
+    }
+    
+    colorAttribute.updateRange.count = count * 3;
+    colorAttribute.needsUpdate = true;
+}
+
+// Write the colors of the rendered transcripts for the colorBy attribute into a color buffer
+function writeTranscriptColors(colors, count) {
+    const colorBy = document.getElementById('colorBy').value;
+    
+    // Categorical colors are looked up once per dictionary code rather than once per point
+    const categoricalColumn = store.categorical[colorBy];
+    const codeColors = categoricalColumn ? categoricalColumn.values.map(value => getColorForValue(value, colorBy)) : null;
+    const continuousValues = store.continuous[colorBy];
+    const missingColor = getColorForValue(null, colorBy);
+    
+    for (let i = 0; i < count; i++) {
+        const dataIdx = renderedIndicesMap[i];
+        let pointColor = missingColor;
+        if (codeColors) {
+            pointColor = codeColors[categoricalColumn.codes[dataIdx]];
+        } else if (continuousValues && !isNaN(continuousValues[dataIdx])) {
+            pointColor = getColorForValue(continuousValues[dataIdx], colorBy);
+        }
+        colors[i * 3] = pointColor.r;
+        colors[i * 3 + 1] = pointColor.g;
+        colors[i * 3 + 2] = pointColor.b;
+    }
+}
+
+// Write the colors of the rendered cells (renderedIndicesMap holds cell indices) into a color buffer
+function writeCellColors(colors, count) {
+    const cellColors = getCellColorValues();
+    const geneValues = store.categorical[cellData.geneColumn].values;
+    const codeColors = cellColors.dominant ? geneValues.map(value => getColorForValue(value, cellData.geneColumn)) : null;
+    
+    for (let i = 0; i < count; i++) {
+        const cellIdx = renderedIndicesMap[i];
+        const cellColor = codeColors ? codeColors[cellColors.dominant[cellIdx]] : getCellGradientColor(cellColors.values[cellIdx], cellColors);
+        colors[i * 3] = cellColor.r;
+        colors[i * 3 + 1] = cellColor.g;
+        colors[i * 3 + 2] = cellColor.b;
+    }
+}
+
+// Apply the point size slider - a uniform for sprites, a new (tiny) sphere geometry for instanced spheres
+function updatePointSize() {
+    if (!pointCloud) return;
+    
+    const pointSize = parseFloat(document.getElementById('pointSize').value);
+    if (sphereMesh) {
+        const oldGeometry = sphereMesh.geometry;
+        sphereMesh.geometry = new THREE.SphereGeometry(pointSize, 8, 6);
+        oldGeometry.dispose();
+    } else {
+        pointCloud.material.uniforms.uPointSize.value = pointSize;
+    }
+    if (unassignedCloud) {
+        unassignedCloud.material.uniforms.uPointSize.value = pointSize;
+    }
+}
+
+// True when the cells view is active and the cell aggregation is available
+function isCellView() {
+    return viewMode === 'cells' && cellData !== null;
+}
+
+// Cell id and gene columns chosen in the cells view options
+function getCellColumns() {
+    return {
+        cellColumn: document.getElementById('cellColumn').value,
+        geneColumn: document.getElementById('geneColumn').value
+    };
+}
+
+// Fill the cell id and gene column selects with the loaded categorical columns, guessing cell_id and gene
+function populateCellColumns() {
+    const guesses = {
+        cellColumn: column_names_categorical.find(col => /^cell_?id$/i.test(col)) || column_names_categorical.find(col => /cell/i.test(col)),
+        geneColumn: column_names_categorical.find(col => col === 'gene') || column_names_categorical.find(col => /gene|feature|target/i.test(col))
+    };
+    
+    Object.keys(guesses).forEach(id => {
+        fillColumnSelect(document.getElementById(id), column_names_categorical, guesses[id]);
+    });
+    
+    populateGeneOptions();
+    fillColumnSelect(document.getElementById('summaryColumn'), column_names_categorical, guesses.geneColumn);
+}
+
+// Offer the values of the gene column as suggestions for the gene inputs (cells view expression, heatmap)
+function populateGeneOptions() {
+    const datalist = document.getElementById('geneOptions');
+    const genes = store.categorical[document.getElementById('geneColumn').value];
+    datalist.innerHTML = '';
+    if (!genes) return;
+    genes.values.filter(value => value).sort().forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
+    });
+}
+
+// Show the cells view options only in cells view, and the gene input only when coloring by expression
+function updateCellOptions() {
+    document.getElementById('cellOptions').style.display = viewMode === 'cells' ? '' : 'none';
+    document.getElementById('cellGeneGroup').style.display = document.getElementById('cellColorBy').value === 'expression' ? '' : 'none';
+    // Transcript coloring does not apply to cell glyphs
+    document.getElementById('colorBy').disabled = viewMode === 'cells';
+}
+
+// Group the visible transcripts by cell id into per-cell centroids, transcript counts and a gene-by-cell count matrix
+// The matrix is sparse (CSR): the genes of cell c are geneCodes[offsets[c]] .. geneCodes[offsets[c + 1] - 1],
+// with matching counts in geneCounts. Transcripts with an unassigned cell id are kept apart in unassigned.
+function computeCellAggregation() {
+    const { cellColumn, geneColumn } = getCellColumns();
+    const cells = store.categorical[cellColumn];
+    const genes = store.categorical[geneColumn];
+    if (!cells || !genes || !visibleIndices) {
+        cellData = null;
+        return;
+    }
+    
+    // Dense cell index per cell id code, in order of first appearance
+    const cellIndexByCode = new Int32Array(cells.values.length).fill(-1);
+    cells.values.forEach((value, code) => {
+        if (UNASSIGNED_CELL_IDS.has(value)) cellIndexByCode[code] = -2;
+    });
+    const cellCodes = [];
+    const transcriptCells = new Int32Array(visibleIndices.length);
+    let unassignedCount = 0;
+    for (let i = 0; i < visibleIndices.length; i++) {
+        const code = cells.codes[visibleIndices[i]];
+        if (cellIndexByCode[code] === -1) {
+            cellIndexByCode[code] = cellCodes.length;
+            cellCodes.push(code);
+        }
+        transcriptCells[i] = cellIndexByCode[code];
+        if (transcriptCells[i] < 0) unassignedCount++;
+    }
+    
+    // Transcript counts and centroids (summed in double precision)
+    const cellCount = cellCodes.length;
+    const totals = new Uint32Array(cellCount);
+    const sums = new Float64Array(cellCount * 3);
+    const unassigned = new Uint32Array(unassignedCount);
+    let unassignedIndex = 0;
+    for (let i = 0; i < visibleIndices.length; i++) {
+        const dataIdx = visibleIndices[i];
+        const c = transcriptCells[i];
+        if (c < 0) {
+            unassigned[unassignedIndex++] = dataIdx;
+            continue;
+        }
+        totals[c]++;
+        sums[c * 3] += store.positions[dataIdx * 3];
+        sums[c * 3 + 1] += store.positions[dataIdx * 3 + 1];
+        sums[c * 3 + 2] += store.positions[dataIdx * 3 + 2];
+    }
+    const centroids = new Float32Array(cellCount * 3);
+    for (let i = 0; i < cellCount * 3; i++) {
+        centroids[i] = sums[i] / totals[Math.floor(i / 3)];
+    }
+    
+    // Group the assigned transcripts by cell (counting sort)
+    const starts = new Uint32Array(cellCount + 1);
+    for (let c = 0; c < cellCount; c++) {
+        starts[c + 1] = starts[c] + totals[c];
+    }
+    const grouped = new Uint32Array(visibleIndices.length - unassignedCount);
+    const next = starts.slice(0, cellCount);
+    for (let i = 0; i < visibleIndices.length; i++) {
+        const c = transcriptCells[i];
+        if (c >= 0) grouped[next[c]++] = visibleIndices[i];
+    }
+    
+    // Count genes per cell into the sparse matrix; the dominant gene is the most frequent one (first seen wins ties)
+    const geneTally = new Uint32Array(genes.values.length);
+    const offsets = new Uint32Array(cellCount + 1);
+    const geneCodes = new Uint32Array(grouped.length);
+    const geneCounts = new Uint32Array(grouped.length);
+    const dominant = new Uint32Array(cellCount);
+    let nonZero = 0;
+    for (let c = 0; c < cellCount; c++) {
+        for (let j = starts[c]; j < starts[c + 1]; j++) {
+            const gene = genes.codes[grouped[j]];
+            if (geneTally[gene]++ === 0) geneCodes[nonZero++] = gene;
+        }
+        let best = geneCodes[offsets[c]];
+        for (let k = offsets[c]; k < nonZero; k++) {
+            const gene = geneCodes[k];
+            geneCounts[k] = geneTally[gene];
+            if (geneTally[gene] > geneTally[best]) best = gene;
+        }
+        // Reset the tally for the next cell
+        for (let k = offsets[c]; k < nonZero; k++) {
+            geneTally[geneCodes[k]] = 0;
+        }
+        dominant[c] = best;
+        offsets[c + 1] = nonZero;
+    }
+    
+    cellData = {
+        cellColumn,
+        geneColumn,
+        count: cellCount,
+        cellCodes: Uint32Array.from(cellCodes),
+        centroids,
+        totals,
+        meanTotal: cellCount > 0 ? grouped.length / cellCount : 0,
+        // Visible transcripts of cell c: transcripts[transcriptOffsets[c]] .. transcripts[transcriptOffsets[c + 1] - 1]
+        transcriptOffsets: starts,
+        transcripts: grouped,
+        offsets,
+        geneCodes: geneCodes.slice(0, nonZero),
+        geneCounts: geneCounts.slice(0, nonZero),
+        dominant,
+        unassigned
+    };
+    
+    console.log(`[Cells] Aggregated ${grouped.length.toLocaleString()} transcripts into ${cellCount.toLocaleString()} cells by ${cellColumn} (${unassignedCount.toLocaleString()} unassigned)`);
+}
+
+// Counts of one gene (dictionary code in the gene column) in every cell
+function getCellExpression(geneCode) {
+    const values = new Float32Array(cellData.count);
+    for (let c = 0; c < cellData.count; c++) {
+        for (let k = cellData.offsets[c]; k < cellData.offsets[c + 1]; k++) {
+            if (cellData.geneCodes[k] === geneCode) {
+                values[c] = cellData.geneCounts[k];
+                break;
+            }
+        }
+    }
+    return values;
+}
+
+// Per-cell coloring for the selected option: { label, values, min, max } for counts and expression,
+// or { label, dominant } for the dominant gene
+function getCellColorValues() {
+    const colorBy = document.getElementById('cellColorBy').value;
+    if (colorBy === 'dominant') {
+        return { label: `Dominant ${cellData.geneColumn} per cell`, dominant: cellData.dominant };
+    }
+    
+    let values;
+    let label;
+    if (colorBy === 'expression') {
+        const gene = document.getElementById('cellGene').value.trim();
+        const geneCode = store.categorical[cellData.geneColumn].values.indexOf(gene);
+        values = geneCode >= 0 ? getCellExpression(geneCode) : new Float32Array(cellData.count);
+        label = gene ? `${gene} transcripts per cell` : `Enter a ${cellData.geneColumn} to color by`;
+    } else {
+        values = Float32Array.from(cellData.totals);
+        label = 'Transcripts per cell';
+    }
+    
+    let min = Infinity;
+    let max = -Infinity;
+    for (let c = 0; c < values.length; c++) {
+        if (values[c] < min) min = values[c];
+        if (values[c] > max) max = values[c];
+    }
+    return { label, values, min, max, scale: createColorScale(values) };
+}
+
+// Colormap color of a per-cell value, scaled over the values from getCellColorValues
+function getCellGradientColor(value, cellColors) {
+    return getGradientColor(cellColors.scale ? cellColors.scale.normalize(value) : 0);
+}
+
+// Glyph size multiplier of a cell, growing with the square root of its transcript count relative to the mean
+function getCellGlyphScale(cellIdx) {
+    return Math.min(3, Math.max(0.5, Math.sqrt(cellData.totals[cellIdx] / cellData.meanTotal)));
+}
+
+// Show the unassigned transcripts as small grey sprites in cells view (when enabled), sampled like the transcripts
+function updateUnassignedCloud() {
+    if (unassignedCloud) {
+        scene.remove(unassignedCloud);
+        unassignedCloud.geometry.dispose();
+        unassignedCloud.material.dispose();
+        unassignedCloud = null;
+    }
+    
+    if (!isCellView() || !document.getElementById('showUnassigned').checked || cellData.unassigned.length === 0) return;
+    
+    const sampleRate = Math.max(0.01, Math.min(1, parseInt(document.getElementById('sampleRate').value) / 100));
+    const unassigned = cellData.unassigned;
+    const step = Math.max(1, Math.ceil(unassigned.length / Math.min(unassigned.length * sampleRate, MAX_POINTS)));
+    const count = Math.ceil(unassigned.length / step);
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        const dataIdx = unassigned[i * step];
+        positions[i * 3] = store.positions[dataIdx * 3];
+        positions[i * 3 + 1] = store.positions[dataIdx * 3 + 1];
+        positions[i * 3 + 2] = store.positions[dataIdx * 3 + 2];
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3).fill(0.5), 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(new Float32Array(count).fill(0.5), 1));
+    
+    const material = createSpriteMaterial(parseFloat(document.getElementById('pointSize').value));
+    material.uniforms.uOpacity.value = 0.4;
+    material.depthWrite = false;
+    
+    unassignedCloud = new THREE.Points(geometry, material);
+    scene.add(unassignedCloud);
+}
+
+// Switch between the transcripts and cells views
+function setViewMode(mode) {
+    viewMode = mode;
+    console.log('[Cells] View mode:', viewMode);
+    updateCellOptions();
+    if (viewMode === 'cells') {
+        computeCellAggregation();
+    } else {
+        cellData = null;
+    }
+    updatePointCloud();
+    updateLegend();
+}
+
+// Remove and dispose the heatmap plane and its texture
+function disposeHeatmap() {
+    if (heatmapPlane) {
+        scene.remove(heatmapPlane);
+        heatmapPlane.geometry.dispose();
+        heatmapPlane.material.map.dispose();
+        heatmapPlane.material.dispose();
+        heatmapPlane = null;
+    }
+}
+
+// Show the heatmap options when the heatmap is enabled, and the slab slider when z is split into slabs
+function updateHeatmapOptions() {
+    const slabCount = Math.max(1, parseInt(document.getElementById('heatmapSlabs').value, 10) || 1);
+    const slabSlider = document.getElementById('heatmapSlab');
+    slabSlider.max = slabCount - 1;
+    if (parseInt(slabSlider.value, 10) > slabCount - 1) slabSlider.value = slabCount - 1;
+    
+    document.getElementById('heatmapOptions').style.display = document.getElementById('heatmapEnabled').checked ? '' : 'none';
+    document.getElementById('heatmapSlabGroup').style.display = slabCount > 1 ? '' : 'none';
+}
+
+// Bin the visible transcripts of the heatmap gene (all transcripts when no gene is given) on an x/y grid,
+// optionally within one z slab, and draw the counts as a textured plane under the point cloud
+// Uses every filtered transcript rather than the rendered sample, and a grid over the whole store so bins stay put
+function updateHeatmap() {
+    disposeHeatmap();
+    const legendDiv = document.getElementById('heatmapLegend');
+    legendDiv.innerHTML = '';
+    if (!document.getElementById('heatmapEnabled').checked || !visibleIndices || store.length === 0) return;
+    
+    // Square bins, sized so the longer of x and y gets the requested number of bins
+    const bounds = getStoreBounds();
+    const binsAlongLongest = Math.max(10, Math.min(2000, parseInt(document.getElementById('heatmapBins').value, 10) || 200));
+    const spanX = bounds.max[0] - bounds.min[0];
+    const spanY = bounds.max[1] - bounds.min[1];
+    const binSize = Math.max(spanX, spanY, 1e-6) / binsAlongLongest;
+    const width = Math.max(1, Math.ceil(spanX / binSize));
+    const height = Math.max(1, Math.ceil(spanY / binSize));
+    
+    // Z slab, the last one including the top of the data
+    const slabCount = Math.max(1, parseInt(document.getElementById('heatmapSlabs').value, 10) || 1);
+    const slab = Math.min(slabCount - 1, parseInt(document.getElementById('heatmapSlab').value, 10) || 0);
+    const slabThickness = (bounds.max[2] - bounds.min[2]) / slabCount;
+    const zMin = bounds.min[2] + slab * slabThickness;
+    const zMax = slab === slabCount - 1 ? Infinity : zMin + slabThickness;
+    document.getElementById('heatmapSlabValue').textContent = `${idx_names[2]} ${zMin.toFixed(2)} - ${(zMin + slabThickness).toFixed(2)}`;
+    
+    const geneColumn = getCellColumns().geneColumn;
+    const genes = store.categorical[geneColumn];
+    const gene = document.getElementById('heatmapGene').value.trim();
+    const geneCode = gene && genes ? genes.values.indexOf(gene) : -1;
+    if (gene && geneCode < 0) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'legend-label';
+        messageDiv.textContent = `No ${geneColumn} named ${gene}`;
+        legendDiv.appendChild(messageDiv);
+        return;
+    }
+    
+    const counts = new Uint32Array(width * height);
+    const positions = store.positions;
+    for (let i = 0; i < visibleIndices.length; i++) {
+        const dataIdx = visibleIndices[i];
+        if (geneCode >= 0 && genes.codes[dataIdx] !== geneCode) continue;
+        const z = positions[dataIdx * 3 + 2];
+        if (slabCount > 1 && (z < zMin || z >= zMax)) continue;
+        const bx = Math.min(width - 1, Math.floor((positions[dataIdx * 3] - bounds.min[0]) / binSize));
+        const by = Math.min(height - 1, Math.floor((positions[dataIdx * 3 + 1] - bounds.min[1]) / binSize));
+        counts[by * width + bx]++;
+    }
+    
+    let maxCount = 0;
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i] > maxCount) maxCount = counts[i];
+    }
+    
+    // Empty bins stay transparent; texture row 0 is the bottom (minimum y) of the plane
+    const useLog = document.getElementById('heatmapLog').checked;
+    const normalize = value => useLog ? Math.log1p(value) / Math.log1p(maxCount) : value / maxCount;
+    const pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i] === 0) continue;
+        const color = getGradientColor(normalize(counts[i]));
+        pixels[i * 4] = Math.round(color.r * 255);
+        pixels[i * 4 + 1] = Math.round(color.g * 255);
+        pixels[i * 4 + 2] = Math.round(color.b * 255);
+        pixels[i * 4 + 3] = 255;
+    }
+    
+    const texture = new THREE.DataTexture(pixels, width, height, THREE.RGBAFormat);
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    
+    const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        opacity: parseFloat(document.getElementById('heatmapOpacity').value),
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+    heatmapPlane = new THREE.Mesh(new THREE.PlaneGeometry(width * binSize, height * binSize), material);
+    // Just below the slab (or the whole data set), drawn before the points
+    heatmapPlane.position.set(bounds.min[0] + width * binSize / 2, bounds.min[1] + height * binSize / 2, zMin - binSize);
+    heatmapPlane.renderOrder = -1;
+    scene.add(heatmapPlane);
+    
+    // Gene names come from the data, so they are set as text
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'legend-label legend-title';
+    titleDiv.textContent = `${gene || 'All'} transcripts per ${binSize.toFixed(1)} x ${binSize.toFixed(1)} bin${useLog ? ' (log scale)' : ''}`;
+    legendDiv.appendChild(titleDiv);
+    appendGradientLegend(legendDiv, 0, maxCount, value => getGradientColor(maxCount > 0 ? normalize(value) : 0), 0);
+    
+    console.log(`[Heatmap] ${gene || 'All transcripts'}: ${width} x ${height} bins of ${binSize.toFixed(2)}, max ${maxCount} per bin`);
+}
+
+// Clipping box from the Controls panel as { min, max } coordinates, or null when clipping is off
+// The sliders hold percentages of the data bounds on each axis
+function getClipBounds() {
+    if (!document.getElementById('clipEnabled').checked || store.length === 0) return null;
+    
+    const bounds = getStoreBounds();
+    const min = [];
+    const max = [];
+    AXIS_NAMES.forEach((axisName, axis) => {
+        const span = bounds.max[axis] - bounds.min[axis];
+        const low = parseFloat(document.getElementById(`clip${axisName}Min`).value) / 100;
+        const high = parseFloat(document.getElementById(`clip${axisName}Max`).value) / 100;
+        min.push(bounds.min[axis] + Math.min(low, high) * span);
+        max.push(bounds.min[axis] + Math.max(low, high) * span);
+    });
+    return { min, max };
+}
+
+// Show the clipping sliders when clipping is enabled and label them with coordinates
+function updateClipOptions() {
+    document.getElementById('clipOptions').style.display = document.getElementById('clipEnabled').checked ? '' : 'none';
+    
+    const clip = getClipBounds();
+    AXIS_NAMES.forEach((axisName, axis) => {
+        document.getElementById(`clip${axisName}Label`).textContent = idx_names[axis] || axisName.toLowerCase();
+        document.getElementById(`clip${axisName}Value`).textContent = clip
+            ? `${clip.min[axis].toFixed(1)} - ${clip.max[axis].toFixed(1)} ${COORDINATE_UNITS}`
+            : '';
+    });
+}
+
+// Move one clipping slider, pushing the other slider of the axis along so min stays below max
+function setClipSlider(axisName, side, percent) {
+    const value = Math.max(0, Math.min(100, percent));
+    const slider = document.getElementById(`clip${axisName}${side}`);
+    const other = document.getElementById(`clip${axisName}${side === 'Min' ? 'Max' : 'Min'}`);
+    slider.value = value;
+    if (side === 'Min' ? value > parseFloat(other.value) : value < parseFloat(other.value)) {
+        other.value = value;
+    }
+}
+
+// Keep only the indices inside the clipping box (all of them when clipping is off)
+function applyClipBounds(indices) {
+    const clip = getClipBounds();
+    if (!clip) return indices;
+    
+    const positions = store.positions;
+    const kept = new Uint32Array(indices.length);
+    let keptCount = 0;
+    for (let i = 0; i < indices.length; i++) {
+        const idx = indices[i];
+        const x = positions[idx * 3];
+        const y = positions[idx * 3 + 1];
+        const z = positions[idx * 3 + 2];
+        if (x >= clip.min[0] && x <= clip.max[0] && y >= clip.min[1] && y <= clip.max[1] && z >= clip.min[2] && z <= clip.max[2]) {
+            kept[keptCount++] = idx;
+        }
+    }
+    console.log(`[Clipping] Applied clipping planes: ${indices.length} -> ${keptCount} points`);
+    return kept.slice(0, keptCount);
+}
+
+// Matrix from an ROI box's frame (centered on the box, axes along its edges) to world coordinates
+function getRoiMatrix(box) {
+    const rotation = new THREE.Euler(...box.rotation.map(angle => THREE.MathUtils.degToRad(angle)));
+    return new THREE.Matrix4().compose(
+        new THREE.Vector3().fromArray(box.center),
+        new THREE.Quaternion().setFromEuler(rotation),
+        new THREE.Vector3(1, 1, 1)
+    );
+}
+
+// Add an ROI box filter covering the middle of the data, in the last filter group
+function addRoiFilter() {
+    if (store.length === 0) return;
+    
+    const bounds = getStoreBounds();
+    const center = [0, 1, 2].map(axis => (bounds.min[axis] + bounds.max[axis]) / 2);
+    const size = [0, 1, 2].map(axis => Math.max((bounds.max[axis] - bounds.min[axis]) / 2, 1));
+    const groupIds = getFilterGroupIds();
+    activeFilters.push({
+        id: createFilterId(),
+        attribute: 'roi',
+        type: 'roi',
+        box: { center, size, rotation: [0, 0, 0] },
+        negate: false,
+        group: groupIds[groupIds.length - 1]
+    });
+    console.log('[Filter] Created ROI box filter:', { center, size });
+    
+    renderFilters();
+    updateFilter();
+}
+
+// Create the UI block of an ROI box filter: center, size and rotation per axis
+function createRoiFilterElement(filter) {
+    const filterDiv = document.createElement('div');
+    filterDiv.className = 'filter-block';
+    filterDiv.dataset.filterId = filter.id;
+    
+    const rows = [
+        { field: 'center', label: 'Center' },
+        { field: 'size', label: 'Size' },
+        { field: 'rotation', label: 'Rotation (°)' }
+    ].map(({ field, label }) => `
+        <tr>
+            <td>${label}</td>
+            ${filter.box[field].map((value, axis) => `<td><input type="number" class="roi-input" data-filter-id="${filter.id}" data-field="${field}" data-axis="${axis}" step="any" value="${Number(value.toFixed(3))}"></td>`).join('')}
+        </tr>
+    `).join('');
+    
+    filterDiv.innerHTML = `
+        <div class="filter-header">
+            <span class="filter-selection-label">ROI box ${getSharedFilterName(filter)}</span>
+            ${getFilterNegateToggle(filter)}
+            <button class="remove-filter" data-filter-id="${filter.id}">×</button>
+        </div>
+        <div class="filter-content" data-filter-id="${filter.id}">
+            <table class="roi-table">
+                <thead><tr><th></th><th>x</th><th>y</th><th>z</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    return filterDiv;
+}
+
+// Write an ROI box into the inputs of every filter block using it (while its handles are dragged)
+function syncRoiInputs(box) {
+    activeFilters.filter(filter => filter.box === box).forEach(filter => {
+        document.querySelectorAll(`.roi-input[data-filter-id="${filter.id}"]`).forEach(input => {
+            input.value = Number(box[input.dataset.field][parseInt(input.dataset.axis, 10)].toFixed(3));
+        });
+    });
+}
+
+// Remove the clipping and ROI outlines and handles from the scene
+function disposeSpatialGizmos() {
+    if (spatialGizmos) {
+        scene.remove(spatialGizmos);
+        spatialGizmos.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        spatialGizmos = null;
+    }
+}
+
+// Drag handle for the clipping box or an ROI box, drawn on top of the points
+function createGizmoHandle(position, color, radius, gizmo) {
+    const handle = new THREE.Mesh(
+        new THREE.SphereGeometry(radius, 12, 8),
+        new THREE.MeshBasicMaterial({ color: color, depthTest: false, transparent: true, opacity: 0.9 })
+    );
+    handle.position.copy(position);
+    handle.renderOrder = 999;
+    handle.userData.gizmo = gizmo;
+    return handle;
+}
+
+// Outline the clipping box and ROI boxes, with a handle on each face (and at each ROI center) when handles are shown
+function updateSpatialGizmos() {
+    disposeSpatialGizmos();
+    const clip = getClipBounds();
+    const roiFilters = getSharedFilters('roi');
+    if (!clip && roiFilters.length === 0) return;
+    
+    const bounds = getStoreBounds();
+    const handleRadius = Math.max(...[0, 1, 2].map(axis => bounds.max[axis] - bounds.min[axis]), 1) * 0.012;
+    const showHandles = document.getElementById('showGizmos').checked;
+    spatialGizmos = new THREE.Group();
+    
+    if (clip) {
+        const box = new THREE.Box3(new THREE.Vector3().fromArray(clip.min), new THREE.Vector3().fromArray(clip.max));
+        spatialGizmos.add(new THREE.Box3Helper(box, 0xffffff));
+        if (showHandles) {
+            const center = box.getCenter(new THREE.Vector3());
+            [0, 1, 2].forEach(axis => {
+                ['min', 'max'].forEach(side => {
+                    const position = center.clone().setComponent(axis, clip[side][axis]);
+                    spatialGizmos.add(createGizmoHandle(position, GIZMO_AXIS_COLORS[axis], handleRadius, { kind: 'clip', axis, side }));
+                });
+            });
+        }
+    }
+    
+    roiFilters.forEach(filter => {
+        const box = filter.box;
+        const frame = new THREE.Group();
+        frame.applyMatrix4(getRoiMatrix(box));
+        const boxGeometry = new THREE.BoxGeometry(box.size[0], box.size[1], box.size[2]);
+        frame.add(new THREE.LineSegments(new THREE.EdgesGeometry(boxGeometry), new THREE.LineBasicMaterial({ color: 0xffd54f })));
+        boxGeometry.dispose();
+        if (showHandles) {
+            frame.add(createGizmoHandle(new THREE.Vector3(), 0xffffff, handleRadius, { kind: 'roi-move', box }));
+            [0, 1, 2].forEach(axis => {
+                [-1, 1].forEach(side => {
+                    const position = new THREE.Vector3().setComponent(axis, side * box.size[axis] / 2);
+                    frame.add(createGizmoHandle(position, GIZMO_AXIS_COLORS[axis], handleRadius, { kind: 'roi-size', box, axis, side }));
+                });
+            });
+        }
+        spatialGizmos.add(frame);
+    });
+    
+    scene.add(spatialGizmos);
+}
+
+// Canvas pixel position of a world position
+function projectToCanvasPixels(position) {
+    const projected = position.clone().project(camera);
+    const canvas = renderer.domElement;
+    return new THREE.Vector2((projected.x + 1) / 2 * canvas.clientWidth, (1 - projected.y) / 2 * canvas.clientHeight);
+}
+
+// Start dragging the handle under the pointer; returns false when there is none, so the camera handles the drag
+function startGizmoDrag(event) {
+    if (activeGizmoDrag) return true;
+    if (!spatialGizmos || event.button !== 0) return false;
+    
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const gizmoRaycaster = new THREE.Raycaster();
+    gizmoRaycaster.setFromCamera(pointer, camera);
+    const handles = [];
+    spatialGizmos.traverse(object => {
+        if (object.userData.gizmo) handles.push(object);
+    });
+    const hit = gizmoRaycaster.intersectObjects(handles)[0];
+    if (!hit) return false;
+    
+    const gizmo = hit.object.userData.gizmo;
+    const drag = { gizmo, startX: event.clientX, startY: event.clientY };
+    if (gizmo.kind === 'roi-move') {
+        drag.startCenter = gizmo.box.center.slice();
+    } else {
+        // Screen-space direction of one coordinate unit along the dragged axis
+        const origin = hit.object.getWorldPosition(new THREE.Vector3());
+        const direction = new THREE.Vector3().setComponent(gizmo.axis, 1);
+        if (gizmo.kind === 'roi-size') {
+            direction.applyQuaternion(hit.object.parent.quaternion);
+        }
+        drag.direction = direction;
+        drag.screenDirection = projectToCanvasPixels(origin.clone().add(direction)).sub(projectToCanvasPixels(origin));
+        drag.startClip = getClipBounds();
+        if (gizmo.kind === 'roi-size') {
+            drag.startCenter = gizmo.box.center.slice();
+            drag.startSize = gizmo.box.size[gizmo.axis];
+        }
+    }
+    activeGizmoDrag = drag;
+    console.log('[Gizmo] Dragging handle:', gizmo.kind, gizmo.axis !== undefined ? AXIS_NAMES[gizmo.axis] : '');
+    return true;
+}
+
+// Move the dragged handle with the pointer (relative to where the drag started, so repeated events are harmless)
+function updateGizmoDrag(event) {
+    const drag = activeGizmoDrag;
+    const deltaX = event.clientX - drag.startX;
+    const deltaY = event.clientY - drag.startY;
+    const gizmo = drag.gizmo;
+    
+    if (gizmo.kind === 'roi-move') {
+        // Move in the screen plane
+        const unitsPerPixel = getWorldUnitsPerPixel();
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+        const offset = right.multiplyScalar(deltaX * unitsPerPixel).add(up.multiplyScalar(-deltaY * unitsPerPixel));
+        gizmo.box.center = drag.startCenter.map((value, axis) => value + offset.getComponent(axis));
+        syncRoiInputs(gizmo.box);
+    } else {
+        // Distance along the axis: the pointer movement projected on the axis' screen direction
+        const lengthSq = drag.screenDirection.lengthSq();
+        const distance = lengthSq > 1e-6 ? (deltaX * drag.screenDirection.x + deltaY * drag.screenDirection.y) / lengthSq : 0;
+        
+        if (gizmo.kind === 'clip') {
+            const bounds = getStoreBounds();
+            const span = bounds.max[gizmo.axis] - bounds.min[gizmo.axis];
+            const value = drag.startClip[gizmo.side][gizmo.axis] + distance;
+            const percent = span > 0 ? (value - bounds.min[gizmo.axis]) / span * 100 : 0;
+            setClipSlider(AXIS_NAMES[gizmo.axis], gizmo.side === 'min' ? 'Min' : 'Max', percent);
+            updateClipOptions();
+        } else {
+            // Resize with the opposite face fixed, so the center moves by half the change
+            const size = Math.max(drag.startSize + gizmo.side * distance, 1e-3);
+            const shift = (size - drag.startSize) * gizmo.side / 2;
+            gizmo.box.size[gizmo.axis] = size;
+            gizmo.box.center = drag.startCenter.map((value, axis) => value + drag.direction.getComponent(axis) * shift);
+            syncRoiInputs(gizmo.box);
+        }
+    }
+    throttleFilterUpdate();
+}
+
+// Finish dragging a handle
+function endGizmoDrag() {
+    console.log('[Gizmo] Drag finished:', activeGizmoDrag.gizmo.kind);
+    activeGizmoDrag = null;
+}
+
+// Whether slice mode (one z slab at a time, viewed from the top) is on
+function isSliceMode() {
+    return document.getElementById('sliceEnabled').checked;
+}
+
+// Distinct z coordinates of the store in ascending order, or null when there are too many (continuous z)
+function getDistinctZValues() {
+    if (zLevelCache) return zLevelCache.values;
+    
+    const seen = new Set();
+    let values = [];
+    for (let i = 0; i < store.length; i++) {
+        seen.add(store.positions[i * 3 + 2]);
+        if (seen.size > MAX_DISCRETE_Z_LEVELS) {
+            values = null;
+            break;
+        }
+    }
+    if (values) values = Array.from(seen).sort((a, b) => a - b);
+    zLevelCache = { values };
+    console.log('[Slice] z levels:', values ? `${values.length} distinct` : `more than ${MAX_DISCRETE_Z_LEVELS}, binning`);
+    return values;
+}
+
+// Slice centers and their spacing: the distinct z levels, or equal bins over the z range
+function getZSlices() {
+    const levels = getDistinctZValues();
+    if (levels && levels.length > 0) {
+        let spacing = Infinity;
+        for (let i = 1; i < levels.length; i++) {
+            spacing = Math.min(spacing, levels[i] - levels[i - 1]);
+        }
+        return { centers: levels, spacing: Number.isFinite(spacing) ? spacing : 1, discrete: true };
+    }
+    
+    const bounds = getStoreBounds();
+    const binCount = Math.max(1, Math.min(1000, parseInt(document.getElementById('sliceBins').value, 10) || 20));
+    const spacing = (bounds.max[2] - bounds.min[2]) / binCount || 1;
+    const centers = [];
+    for (let i = 0; i < binCount; i++) {
+        centers.push(bounds.min[2] + (i + 0.5) * spacing);
+    }
+    return { centers, spacing, discrete: false };
+}
+
+// Current slab as { min, max, index, count }, or null when slice mode is off
+// The thickness defaults to the slice spacing, i.e. a single z level
+function getZSliceRange() {
+    if (!isSliceMode() || store.length === 0) return null;
+    
+    const slices = getZSlices();
+    const index = Math.max(0, Math.min(slices.centers.length - 1, parseInt(document.getElementById('sliceLevel').value, 10) || 0));
+    const thicknessValue = parseFloat(document.getElementById('sliceThickness').value);
+    const thickness = thicknessValue > 0 ? thicknessValue : slices.spacing;
+    const center = slices.centers[index];
+    return { min: center - thickness / 2, max: center + thickness / 2, index, count: slices.centers.length, discrete: slices.discrete };
+}
+
+// Show the slice options in slice mode, size the slice slider to the number of slices and label the current slab
+function updateSliceOptions() {
+    const enabled = isSliceMode();
+    document.getElementById('sliceOptions').style.display = enabled ? '' : 'none';
+    if (!enabled || store.length === 0) return;
+    
+    const slices = getZSlices();
+    const slider = document.getElementById('sliceLevel');
+    slider.max = slices.centers.length - 1;
+    if (parseInt(slider.value, 10) > slices.centers.length - 1) slider.value = slices.centers.length - 1;
+    document.getElementById('sliceBinsGroup').style.display = slices.discrete ? 'none' : '';
+    document.getElementById('sliceThickness').placeholder = slices.spacing.toPrecision(3);
+    
+    const range = getZSliceRange();
+    const zName = idx_names[2] || 'z';
+    document.getElementById('sliceValue').textContent = range.discrete && !(parseFloat(document.getElementById('sliceThickness').value) > 0)
+        ? `${zName} = ${Number(slices.centers[range.index].toPrecision(6))} (${range.index + 1} of ${range.count})`
+        : `${zName} ${range.min.toFixed(2)} - ${range.max.toFixed(2)} (${range.index + 1} of ${range.count})`;
+}
+
+// Keep only the indices inside the current z slab (all of them outside slice mode)
+function applyZSlice(indices) {
+    const range = getZSliceRange();
+    if (!range) return indices;
+    
+    const positions = store.positions;
+    const kept = new Uint32Array(indices.length);
+    let keptCount = 0;
+    for (let i = 0; i < indices.length; i++) {
+        const z = positions[indices[i] * 3 + 2];
+        if (z >= range.min && z <= range.max) {
+            kept[keptCount++] = indices[i];
+        }
+    }
+    console.log(`[Slice] Applied slice ${range.index + 1} of ${range.count}: ${indices.length} -> ${keptCount} points`);
+    return kept.slice(0, keptCount);
+}
+
+// Step to the next (1) or previous (-1) slice, wrapping around at the ends
+function stepZSlice(step) {
+    if (!isSliceMode()) return;
+    const slider = document.getElementById('sliceLevel');
+    const count = parseInt(slider.max, 10) + 1;
+    slider.value = ((parseInt(slider.value, 10) || 0) + step + count) % count;
+    updateSliceOptions();
+    updateFilter();
+}
+
+// Start or stop stepping through the slices automatically
+function toggleSlicePlayback(play = !slicePlayTimer) {
+    if (slicePlayTimer) {
+        clearInterval(slicePlayTimer);
+        slicePlayTimer = null;
+    }
+    if (play && isSliceMode()) {
+        const interval = Math.max(50, parseInt(document.getElementById('sliceInterval').value, 10) || 500);
+        slicePlayTimer = setInterval(() => stepZSlice(1), interval);
+    }
+    document.getElementById('slicePlay').textContent = slicePlayTimer ? 'Pause' : 'Play';
+    console.log('[Slice] Playback', slicePlayTimer ? 'started' : 'stopped');
+}
+
+// Turn slice mode on or off; slices are viewed from the top, so the camera is put back to the x-y plane view
+function setSliceMode(enabled) {
+    document.getElementById('sliceEnabled').checked = enabled;
+    if (!enabled) toggleSlicePlayback(false);
+    updateSliceOptions();
+    updateFilter();
+    if (enabled) fitCameraToVisiblePoints();
+    console.log('[Slice] Slice mode', enabled ? 'on' : 'off');
+}
+
+// Switch the selection tool ('box', 'lasso' or null); while a tool is active, dragging on the view draws a selection
+function setSelectionTool(tool) {
+    selectionTool = tool;
+    if (tool && measureToolActive) {
+        setMeasureTool(false);
     }
+    if (tool && annotationTool) {
+        setAnnotationTool(null);
+    }
+    selectionPolygon = null;
+    drawSelectionPolygon();
+    document.getElementById('selectionOverlay').classList.toggle('active', tool !== null);
+    document.getElementById('selectBox').classList.toggle('active', tool === 'box');
+    document.getElementById('selectLasso').classList.toggle('active', tool === 'lasso');
+    console.log('[Selection] Tool:', tool || 'off');
 }
 
-// Set camera to x-y plane view
-function setCameraToXYPlaneView(geometry) {
-    geometry.computeBoundingBox();
-    const box = geometry.boundingBox;
-    const center = new THREE.Vector3();
-    box.getCenter(center);
-    const size = box.getSize(new THREE.Vector3());
-    
-    // Calculate the extent in x-y plane
-    const xyExtent = Math.max(size.x, size.y);
-    
-    // Position camera above the center (along z-axis), looking down at x-y plane
-    // Calculate distance needed to see the full x-y extent
-    const fovRad = camera.fov * (Math.PI / 180);
-    
-    // Calculate distance needed to fit the larger of x or y extent
-    // For perspective camera: height_visible = 2 * distance * tan(fov/2)
-    const halfHeight = xyExtent / 2;
-    const distance = halfHeight / Math.tan(fovRad / 2);
+// Show the outline being drawn in the selection overlay
+function drawSelectionPolygon() {
+    const shape = document.getElementById('selectionShape');
+    shape.setAttribute('points', selectionPolygon ? selectionPolygon.map(point => point.join(',')).join(' ') : '');
+}
+
+// Wire the selection overlay and the selection buttons in the Controls panel
+function setupSelectionTools() {
+    const overlay = document.getElementById('selectionOverlay');
+    let dragStart = null;
+    
+    overlay.addEventListener('pointerdown', (event) => {
+        if (!selectionTool || event.button !== 0) return;
+        overlay.setPointerCapture(event.pointerId);
+        const rect = overlay.getBoundingClientRect();
+        dragStart = [event.clientX - rect.left, event.clientY - rect.top];
+        selectionPolygon = [dragStart];
+    });
     
-    // Add some padding (10% margin)
-    const cameraHeight = Math.max(distance * 1.1, size.z * 1.5, 100);
+    overlay.addEventListener('pointermove', (event) => {
+        if (!selectionPolygon) return;
+        const rect = overlay.getBoundingClientRect();
+        const point = [event.clientX - rect.left, event.clientY - rect.top];
+        if (selectionTool === 'box') {
+            selectionPolygon = [dragStart, [point[0], dragStart[1]], point, [dragStart[0], point[1]]];
+        } else {
+            // Skip tiny moves to keep the lasso polygon small
+            const last = selectionPolygon[selectionPolygon.length - 1];
+            if (Math.abs(point[0] - last[0]) + Math.abs(point[1] - last[1]) < 3) return;
+            selectionPolygon.push(point);
+        }
+        drawSelectionPolygon();
+    });
     
-    const cameraPosition = new THREE.Vector3(
-        center.x,
-        center.y,
-        center.z + cameraHeight
-    );
+    overlay.addEventListener('pointerup', (event) => {
+        if (!selectionPolygon) return;
+        // Shift adds to the current selection, Alt subtracts from it
+        const combine = event.shiftKey ? 'add' : (event.altKey ? 'subtract' : 'replace');
+        selectRenderedPoints(selectionPolygon, combine);
+        selectionPolygon = null;
+        drawSelectionPolygon();
+    });
     
-    camera.position.copy(cameraPosition);
-    camera.lookAt(center);
-    controls.target.copy(center);
-    controls.update();
+    document.getElementById('selectBox').addEventListener('click', () => {
+        setSelectionTool(selectionTool === 'box' ? null : 'box');
+    });
+    document.getElementById('selectLasso').addEventListener('click', () => {
+        setSelectionTool(selectionTool === 'lasso' ? null : 'lasso');
+    });
+    document.getElementById('clearSelection').addEventListener('click', clearSelection);
+    document.getElementById('keepSelection').addEventListener('click', () => applySelectionFilter('keep'));
+    document.getElementById('removeSelection').addEventListener('click', () => applySelectionFilter('remove'));
     
-    // Store initial state for reset
-    initialCameraState.position = cameraPosition.clone();
-    initialCameraState.target = center.clone();
+    window.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && selectionTool) {
+            setSelectionTool(null);
+        }
+    });
     
-    return { position: cameraPosition.clone(), target: center.clone() };
+    updateSelectionSummary();
 }
 
-// Create point cloud with spheres
-function createPointCloud() {
-    // Remove existing point cloud/spheres
-    if (pointCloud) {
-        scene.remove(pointCloud);
-        pointCloud.geometry.dispose();
-        pointCloud.material.dispose();
-    }
-    if (sphereMesh) {
-        scene.remove(sphereMesh);
-        sphereMesh.geometry.dispose();
-        sphereMesh.material.dispose();
+// Even-odd test of a point against a polygon of [x, y] vertices
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
     }
+    return inside;
+}
+
+// Select the rendered points whose screen positions fall inside polygon (canvas pixels)
+// combine: 'replace' the selection, 'add' to it or 'subtract' from it. In cells view, selecting a cell
+// selects all its visible transcripts.
+function selectRenderedPoints(polygon, combine) {
+    if (!pointCloud || !renderedIndicesMap || polygon.length < 3) return;
+    
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    polygon.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
     
-    // Hide highlight when recreating point cloud
-    if (highlightSphere) {
-        highlightSphere.visible = false;
-    }
+    // Project with the combined view-projection matrix (column-major elements)
+    const rect = renderer.domElement.getBoundingClientRect();
+    camera.updateMatrixWorld();
+    const m = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse).elements;
     
-    if (!visibleIndices || visibleIndices.length === 0) {
-        document.getElementById('visibleCount').textContent = 'Visible points: 0';
-        return;
+    const isCells = isCellView();
+    const sourcePositions = isCells ? cellData.centroids : store.positions;
+    const mask = new Uint8Array(store.length);
+    if (combine !== 'replace' && selectionMask) {
+        mask.set(selectionMask);
     }
-    
-    const colorBy = document.getElementById('colorBy').value;
-    const pointSize = parseFloat(document.getElementById('pointSize').value);
-    const sampleRate = Math.max(0.01, Math.min(1, parseInt(document.getElementById('sampleRate').value) / 100));
-    
-    // Sample data based on sample rate
-    // For spheres, reduce max points slightly for performance
-    let indicesToRender = [];
-    const visibleCount = visibleIndices.length;
-    
-    // Calculate target count based on sample rate, but cap at MAX_POINTS for performance
-    // When sample rate is 100%, show all points (up to MAX_POINTS limit for performance)
-    const targetCount = Math.min(Math.floor(visibleCount * sampleRate), MAX_POINTS);
-    
-    if (targetCount >= visibleCount) {
-        // If target is >= all points (100% sample rate and within limits), use all visible indices
-        indicesToRender = Array.from(visibleIndices);
-    } else {
-        // Randomly sample targetCount points from visible indices
-        // Convert Uint32Array to regular array for shuffling
-        const allVisibleIndices = Array.from(visibleIndices);
+    const value = combine === 'subtract' ? 0 : 1;
+    
+    for (let i = 0; i < renderedIndicesMap.length; i++) {
+        const idx = renderedIndicesMap[i];
+        const x = sourcePositions[idx * 3];
+        const y = sourcePositions[idx * 3 + 1];
+        const z = sourcePositions[idx * 3 + 2];
+        const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+        if (w <= 0) continue; // Behind the camera
+        const screenX = ((m[0] * x + m[4] * y + m[8] * z + m[12]) / w + 1) / 2 * rect.width;
+        const screenY = (1 - (m[1] * x + m[5] * y + m[9] * z + m[13]) / w) / 2 * rect.height;
+        if (screenX < minX || screenX > maxX || screenY < minY || screenY > maxY) continue;
+        if (!isPointInPolygon(screenX, screenY, polygon)) continue;
         
-        // Fisher-Yates shuffle algorithm for random sampling
-        // We only need to shuffle the first targetCount elements
-        for (let i = 0; i < targetCount && i < allVisibleIndices.length; i++) {
-            // Pick a random index from remaining unshuffled portion
-            const j = i + Math.floor(Math.random() * (allVisibleIndices.length - i));
-            // Swap
-            [allVisibleIndices[i], allVisibleIndices[j]] = [allVisibleIndices[j], allVisibleIndices[i]];
+        if (isCells) {
+            for (let j = cellData.transcriptOffsets[idx]; j < cellData.transcriptOffsets[idx + 1]; j++) {
+                mask[cellData.transcripts[j]] = value;
+            }
+        } else {
+            mask[idx] = value;
         }
-        
-        // Take the first targetCount elements (which are now randomly selected)
-        indicesToRender = allVisibleIndices.slice(0, targetCount);
     }
     
-    const count = indicesToRender.length;
-    
-    // Create sphere geometry for instancing
-    const sphereGeometry = new THREE.SphereGeometry(pointSize, 8, 6); // radius, widthSegments, heightSegments
-    
-    // Create instanced mesh
-    sphereMesh = new THREE.InstancedMesh(sphereGeometry, null, count);
-    
-    // Create material with instanced colors support
-    const material = new THREE.MeshPhongMaterial({
-        color: 0xffffff, // Base color (will be overridden by instance colors)
-        transparent: true,
-        opacity: 0.8,
-        flatShading: true // Use flat shading for better performance
-    });
-    sphereMesh.material = material;
-    
-    // Enable instanced colors
-    const colors = new Float32Array(count * 3);
-    
-    // Set up instance matrices and colors
-    const matrix = new THREE.Matrix4();
+    setSelectionMask(mask);
+}
+
+// Make mask (Uint8Array over store indices) the current selection
+function setSelectionMask(mask) {
+    let count = 0;
+    for (let i = 0; i < mask.length; i++) {
+        count += mask[i];
+    }
+    if (count === 0) {
+        clearSelection();
+        return;
+    }
     
-    // Create geometry for bounding box calculation
-    const positions = new Float32Array(count * 3);
+    selectionMask = mask;
+    selectedIndices = new Uint32Array(count);
+    let selectedCount = 0;
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) selectedIndices[selectedCount++] = i;
+    }
     
+    console.log(`[Selection] ${count.toLocaleString()} transcripts selected`);
+    updatePointColors();
+    updateSelectionSummary();
+}
+
+// Drop the current selection
+function clearSelection() {
+    selectionMask = null;
+    selectedIndices = null;
+    updatePointColors();
+    updateSelectionSummary();
+}
+
+// Turn the rendered points that don't match every highlight filter grey
+// (in cells view, cells without any matching transcript)
+function dimUnhighlightedColors(colors, count) {
+    const matches = (dataIdx) => highlightTables.every(table => table.allowed[table.codes[dataIdx]] === 1);
+    const isCells = isCellView();
     for (let i = 0; i < count; i++) {
-        const dataIdx = indicesToRender[i];
-        const point = allData[dataIdx];
-        
-        // Set position
-        matrix.makeTranslation(point.x, point.y, point.z);
-        sphereMesh.setMatrixAt(i, matrix);
-        
-        // Set color
-        const valueForColor = point[colorBy];
-        const pointColor = getColorForValue(valueForColor, colorBy);
-        sphereMesh.setColorAt(i, pointColor);
-        
-        // Store position for bounding box
-        positions[i * 3] = point.x;
-        positions[i * 3 + 1] = point.y;
-        positions[i * 3 + 2] = point.z;
+        const idx = renderedIndicesMap[i];
+        let highlighted = false;
+        if (isCells) {
+            for (let j = cellData.transcriptOffsets[idx]; j < cellData.transcriptOffsets[idx + 1] && !highlighted; j++) {
+                highlighted = matches(cellData.transcripts[j]);
+            }
+        } else {
+            highlighted = matches(idx);
+        }
+        if (!highlighted) {
+            colors[i * 3] = colors[i * 3] * 0.1 + 0.3;
+            colors[i * 3 + 1] = colors[i * 3 + 1] * 0.1 + 0.3;
+            colors[i * 3 + 2] = colors[i * 3 + 2] * 0.1 + 0.3;
+        }
     }
-    
-    // Update instance matrices and colors
-    sphereMesh.instanceMatrix.needsUpdate = true;
-    if (sphereMesh.instanceColor) {
-        sphereMesh.instanceColor.needsUpdate = true;
+}
+
+// Darken the rendered points outside the selection (cells without selected transcripts in cells view)
+function dimUnselectedColors(colors, count) {
+    const isCells = isCellView();
+    for (let i = 0; i < count; i++) {
+        const idx = renderedIndicesMap[i];
+        let selected = false;
+        if (isCells) {
+            for (let j = cellData.transcriptOffsets[idx]; j < cellData.transcriptOffsets[idx + 1] && !selected; j++) {
+                selected = selectionMask[cellData.transcripts[j]] === 1;
+            }
+        } else {
+            selected = selectionMask[idx] === 1;
+        }
+        if (!selected) {
+            colors[i * 3] = colors[i * 3] * 0.2 + 0.1;
+            colors[i * 3 + 1] = colors[i * 3 + 1] * 0.2 + 0.1;
+            colors[i * 3 + 2] = colors[i * 3 + 2] * 0.2 + 0.1;
+        }
     }
+}
+
+// Summarize the selection in the side panel: transcript counts per gene and per cell
+function updateSelectionSummary() {
+    const section = document.getElementById('selection-section');
+    const summaryDiv = document.getElementById('selectionSummary');
+    document.getElementById('keepSelection').disabled = !selectedIndices;
+    document.getElementById('removeSelection').disabled = !selectedIndices;
+    
+    if (!selectedIndices) {
+        section.style.display = 'none';
+        summaryDiv.innerHTML = '';
+        return;
+    }
+    section.style.display = '';
     
-    scene.add(sphereMesh);
-    pointCloud = sphereMesh; // Keep reference for cleanup
-    
-    // Store mapping from instance index to data index for hover detection
-    renderedIndicesMap = indicesToRender;
-    
-    // Update legend
-    updateLegend();
-    
-    // Update info
-    const isSampled = indicesToRender.length < visibleIndices.length;
-    document.getElementById('visibleCount').textContent = 
-        `Visible points: ${indicesToRender.length.toLocaleString()}${isSampled ? ` (sampled from ${visibleIndices.length.toLocaleString()})` : ''}`;
+    const { cellColumn, geneColumn } = getCellColumns();
+    summaryDiv.innerHTML = `<div class="selection-total">${selectedIndices.length.toLocaleString()} transcripts selected</div>`;
     
-    // Auto-adjust camera for x-y plane view only on first render
-    if (!cameraInitialized) {
-        const tempGeometry = new THREE.BufferGeometry();
-        tempGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        tempGeometry.computeBoundingBox();
-        setCameraToXYPlaneView(tempGeometry);
-        tempGeometry.dispose();
-        cameraInitialized = true;
+    Array.from(new Set([geneColumn, cellColumn])).forEach(col => {
+        const column = store.categorical[col];
+        if (!column) return;
+        summaryDiv.appendChild(createValueCountsTable(col, countCategoricalValues(column, selectedIndices)));
+    });
+}
+
+// Table of the most frequent values of a column ({ value, count } rows, most frequent first)
+// Built with textContent, since column names and values come from the data
+function createValueCountsTable(col, rows) {
+    const displayRows = rows.slice(0, 20);
+    const table = document.createElement('table');
+    table.className = 'selection-table';
+    table.innerHTML = '<thead><tr><th></th><th>Transcripts</th></tr></thead><tbody></tbody>';
+    table.querySelector('th').textContent = `${col} (${rows.length.toLocaleString()})`;
+    
+    const tbody = table.querySelector('tbody');
+    displayRows.forEach(row => {
+        const tr = tbody.insertRow();
+        tr.insertCell().textContent = row.value || '(empty)';
+        tr.insertCell().textContent = row.count.toLocaleString();
+    });
+    if (rows.length > displayRows.length) {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 2;
+        cell.className = 'selection-more';
+        cell.textContent = `... and ${rows.length - displayRows.length} more`;
     }
+    return table;
+}
+
+// Turn the selection into a filter that keeps or removes the selected transcripts
+function applySelectionFilter(mode) {
+    if (!selectionMask) return;
+    
+    const filterId = createFilterId();
+    const groupIds = getFilterGroupIds();
+    activeFilters.push({
+        id: filterId,
+        attribute: 'selection',
+        type: 'selection',
+        mode: mode,
+        mask: selectionMask,
+        count: selectedIndices.length,
+        negate: false,
+        group: groupIds[groupIds.length - 1]
+    });
+    console.log(`[Filter] Created ${mode} selection filter with ${selectedIndices.length} transcripts`);
+    
+    clearSelection();
+    renderFilters();
+    updateFilter();
+}
+
+// Create the UI block of a selection filter - it can only be removed
+function createSelectionFilterElement(filter) {
+    const filterDiv = document.createElement('div');
+    filterDiv.className = 'filter-block';
+    filterDiv.dataset.filterId = filter.id;
+    filterDiv.innerHTML = `
+        <div class="filter-header">
+            <span class="filter-selection-label">${filter.mode === 'keep' ? 'Keep' : 'Remove'} selection (${filter.count.toLocaleString()} transcripts)</span>
+            ${getFilterNegateToggle(filter)}
+            <button class="remove-filter" data-filter-id="${filter.id}">×</button>
+        </div>
+    `;
+    return filterDiv;
+}
+
+// NOT checkbox shown in the header of a filter block
+function getFilterNegateToggle(filter) {
+    if (!filter) return '';
+    return `<label class="filter-negate-label" title="Invert this filter"><input type="checkbox" class="filter-negate" data-filter-id="${filter.id}" ${filter.negate ? 'checked' : ''}>NOT</label>`;
+}
+
+// Unique id for a new filter
+function createFilterId() {
+    return 'filter_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
 // Create a filter UI element
@@ -1381,6 +6661,9 @@ function createFilterElement(filterId, attribute) {
     filterDiv.className = 'filter-block';
     filterDiv.dataset.filterId = filterId;
     
+    // The filter object holds the current range, values and NOT state
+    const filter = activeFilters.find(f => f.id === filterId);
+    
     const availableAttributes = [...column_names_categorical, ...column_names_continuous];
     const availableOptions = availableAttributes.map(attr => 
         `<option value="${attr}" ${attr === attribute ? 'selected' : ''}>${attr}</option>`
@@ -1394,8 +6677,6 @@ function createFilterElement(filterId, attribute) {
             return filterDiv;
         }
         
-        // Get the filter object to check if it has existing range values
-        const filter = activeFilters.find(f => f.id === filterId);
         const currentMin = filter && filter.range ? filter.range.min : range.min;
         const currentMax = filter && filter.range ? filter.range.max : range.max;
         
@@ -1408,6 +6689,7 @@ function createFilterElement(filterId, attribute) {
                     <option value="">Select attribute...</option>
                     ${availableOptions}
                 </select>
+                ${getFilterNegateToggle(filter)}
                 <button class="remove-filter" data-filter-id="${filterId}">×</button>
             </div>
             <div class="filter-content" data-filter-id="${filterId}">
@@ -1429,16 +6711,15 @@ function createFilterElement(filterId, attribute) {
     } else if (attribute) {
         // Categorical filter with checkboxes
         const values = Array.from(attributeValues[attribute] || []).sort();
-        const filter = activeFilters.find(f => f.id === filterId);
         const selectedValues = filter && filter.values ? filter.values : new Set(values);
         
         const checkboxes = values.map(value => {
             const checked = selectedValues.has(value) ? 'checked' : '';
             return `
-            <div class="filter-checkbox-item">
+            <div class="filter-checkbox-item" data-value="${escapeXML(value)}">
                 <input type="checkbox" class="filter-checkbox" data-filter-id="${filterId}" 
-                       value="${value}" ${checked}>
-                <label>${value || '(empty)'}</label>
+                       value="${escapeXML(value)}" ${checked}>
+                <label>${escapeXML(value || '(empty)')}</label>
             </div>
         `;
         }).join('');
@@ -1449,9 +6730,15 @@ function createFilterElement(filterId, attribute) {
                     <option value="">Select attribute...</option>
                     ${availableOptions}
                 </select>
+                ${getFilterNegateToggle(filter)}
                 <button class="remove-filter" data-filter-id="${filterId}">×</button>
             </div>
             <div class="filter-content" data-filter-id="${filterId}">
+                <div class="filter-search-wrapper">
+                    <input type="text" class="filter-search" data-filter-id="${filterId}" placeholder="Search ${attribute} or paste a list..." autocomplete="off">
+                    <div class="filter-suggestions" data-filter-id="${filterId}"></div>
+                </div>
+                <div class="filter-message" data-filter-id="${filterId}"></div>
                 <div class="filter-checkboxes-container">
                     ${checkboxes}
                 </div>
@@ -1459,6 +6746,10 @@ function createFilterElement(filterId, attribute) {
                     <button class="select-all-filter" data-filter-id="${filterId}">Select All</button>
                     <button class="deselect-all-filter" data-filter-id="${filterId}">Deselect All</button>
                 </div>
+                <select class="filter-mode" data-filter-id="${filterId}">
+                    <option value="filter">Hide unchecked values</option>
+                    <option value="highlight" ${filter && filter.highlight ? 'selected' : ''}>Highlight checked values, dim the rest</option>
+                </select>
             </div>
         `;
     } else {
@@ -1469,6 +6760,7 @@ function createFilterElement(filterId, attribute) {
                     <option value="">Select attribute...</option>
                     ${availableOptions}
                 </select>
+                ${getFilterNegateToggle(filter)}
                 <button class="remove-filter" data-filter-id="${filterId}">×</button>
             </div>
             <div class="filter-content" data-filter-id="${filterId}">
@@ -1480,7 +6772,7 @@ function createFilterElement(filterId, attribute) {
     return filterDiv;
 }
 
-// Render all active filters
+// Render all active filters, boxed by group when there is more than one group
 function renderFilters() {
     const container = document.getElementById('filtersContainer');
     container.innerHTML = '';
@@ -1489,15 +6781,67 @@ function renderFilters() {
         return;
     }
     
-    activeFilters.forEach((filter, index) => {
-        const filterElement = createFilterElement(filter.id, filter.attribute);
-        container.appendChild(filterElement);
+    const groupIds = getFilterGroupIds();
+    groupIds.forEach((groupId, groupIndex) => {
+        let target = container;
+        if (groupIds.length > 1) {
+            if (groupIndex > 0) {
+                const separator = document.createElement('div');
+                separator.className = 'filter-group-separator';
+                separator.textContent = 'OR';
+                container.appendChild(separator);
+            }
+            target = document.createElement('div');
+            target.className = 'filter-group';
+            target.innerHTML = `
+                <div class="filter-group-header">
+                    <span>Group ${groupIndex + 1}: all must match</span>
+                    <button class="add-filter-to-group" data-group="${groupId}">+ Filter</button>
+                </div>
+            `;
+            container.appendChild(target);
+        }
+        
+        activeFilters.filter(filter => (filter.group || 0) === groupId).forEach(filter => {
+            let filterElement;
+            if (filter.type === 'selection') {
+                filterElement = createSelectionFilterElement(filter);
+            } else if (filter.type === 'roi') {
+                filterElement = createRoiFilterElement(filter);
+            } else if (filter.type === 'region') {
+                filterElement = createRegionFilterElement(filter);
+            } else {
+                filterElement = createFilterElement(filter.id, filter.attribute);
+            }
+            target.appendChild(filterElement);
+        });
     });
     
     // Attach event listeners
     attachFilterEventListeners();
 }
 
+// Add an empty filter block to a group
+function addEmptyFilter(group) {
+    const filterId = createFilterId();
+    const newFilter = {
+        id: filterId,
+        attribute: '',
+        type: null,
+        values: null,
+        range: null,
+        negate: false,
+        group: group
+    };
+    activeFilters.push(newFilter);
+    console.log('[Filter] Created new filter:', {
+        id: filterId,
+        group: group,
+        totalFilters: activeFilters.length
+    });
+    renderFilters();
+}
+
 // Attach event listeners to filter elements
 function attachFilterEventListeners() {
     // Attribute change
@@ -1606,55 +6950,597 @@ function attachFilterEventListeners() {
         });
     });
     
-    // Categorical checkboxes
-    document.querySelectorAll('.filter-checkbox').forEach(checkbox => {
-        checkbox.addEventListener('change', () => {
-            const filterId = checkbox.dataset.filterId;
-            const filter = activeFilters.find(f => f.id === filterId);
-            
-            if (filter && filter.values) {
-                const allCheckboxes = document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`);
-                filter.values.clear();
-                allCheckboxes.forEach(cb => {
-                    if (cb.checked) {
-                        filter.values.add(cb.value);
-                    }
-                });
-                throttleFilterUpdate();
-            }
-        });
+    // Categorical checkboxes
+    document.querySelectorAll('.filter-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const filterId = checkbox.dataset.filterId;
+            const filter = activeFilters.find(f => f.id === filterId);
+            
+            if (filter && filter.values) {
+                syncCategoricalFilterValues(filterId);
+            }
+        });
+    });
+    
+    // Select all / Deselect all buttons - only the values shown by the search box
+    document.querySelectorAll('.select-all-filter').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const filterId = e.target.dataset.filterId;
+            getShownFilterCheckboxes(filterId).forEach(cb => {
+                cb.checked = true;
+            });
+            syncCategoricalFilterValues(filterId);
+        });
+    });
+    
+    document.querySelectorAll('.deselect-all-filter').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const filterId = e.target.dataset.filterId;
+            getShownFilterCheckboxes(filterId).forEach(cb => {
+                cb.checked = false;
+            });
+            syncCategoricalFilterValues(filterId);
+        });
+    });
+    
+    // Search box: ranks the checkbox list and suggests values as you type; a pasted list checks exactly those values
+    document.querySelectorAll('.filter-search').forEach(input => {
+        const filterId = input.dataset.filterId;
+        input.addEventListener('input', () => updateFilterSearch(filterId));
+        
+        input.addEventListener('keydown', (e) => {
+            const suggestions = document.querySelectorAll(`.filter-suggestions[data-filter-id="${filterId}"] .filter-suggestion`);
+            const activeIndex = Array.from(suggestions).findIndex(el => el.classList.contains('active'));
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (suggestions.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const nextIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+                suggestions.forEach((el, index) => el.classList.toggle('active', index === nextIndex));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const value = input.value;
+                if (/[,;\t]/.test(value)) {
+                    applyFilterValueList(filterId, parseValueList(value));
+                } else if (suggestions.length > 0) {
+                    pickFilterSuggestion(filterId, suggestions[Math.max(0, activeIndex)].dataset.value);
+                }
+            } else if (e.key === 'Escape') {
+                input.value = '';
+                updateFilterSearch(filterId);
+            }
+        });
+        
+        input.addEventListener('paste', (e) => {
+            const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+            if (!/[,;\t\n\r]/.test(text)) return;
+            e.preventDefault();
+            applyFilterValueList(filterId, parseValueList(text));
+        });
+        
+        input.addEventListener('blur', () => {
+            // Delay so a click on a suggestion still registers
+            setTimeout(() => {
+                const suggestionsDiv = document.querySelector(`.filter-suggestions[data-filter-id="${filterId}"]`);
+                if (suggestionsDiv) suggestionsDiv.innerHTML = '';
+            }, 150);
+        });
+    });
+    
+    document.querySelectorAll('.filter-negate').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const filter = activeFilters.find(f => f.id === e.target.dataset.filterId);
+            if (filter) {
+                filter.negate = e.target.checked;
+                console.log(`[Filter] ${filter.attribute} filter ${filter.negate ? 'inverted' : 'no longer inverted'}`);
+                throttleFilterUpdate();
+            }
+        });
+    });
+    
+    document.querySelectorAll('.roi-input').forEach(input => {
+        input.addEventListener('input', (e) => {
+            const filter = activeFilters.find(f => f.id === e.target.dataset.filterId);
+            const value = parseFloat(e.target.value);
+            if (!filter || !Number.isFinite(value)) return;
+            const field = e.target.dataset.field;
+            filter.box[field][parseInt(e.target.dataset.axis, 10)] = field === 'size' ? Math.max(value, 1e-3) : value;
+            throttleFilterUpdate();
+        });
+    });
+    
+    document.querySelectorAll('.add-filter-to-group').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            addEmptyFilter(parseInt(e.target.dataset.group, 10));
+        });
+    });
+    
+    document.querySelectorAll('.filter-mode').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const filter = activeFilters.find(f => f.id === e.target.dataset.filterId);
+            if (filter) {
+                filter.highlight = e.target.value === 'highlight';
+                console.log(`[Filter] ${filter.attribute} filter mode:`, e.target.value);
+                throttleFilterUpdate();
+            }
+        });
+    });
+}
+
+// Checkboxes of a categorical filter that are not hidden by its search box
+function getShownFilterCheckboxes(filterId) {
+    return Array.from(document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`))
+        .filter(cb => cb.closest('.filter-checkbox-item').style.display !== 'none');
+}
+
+// Copy the checked boxes of a categorical filter into its values and update the view
+function syncCategoricalFilterValues(filterId) {
+    const filter = activeFilters.find(f => f.id === filterId);
+    if (!filter || !filter.values) return;
+    
+    filter.values.clear();
+    document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`).forEach(cb => {
+        if (cb.checked) {
+            filter.values.add(cb.value);
+        }
+    });
+    throttleFilterUpdate();
+}
+
+// Fuzzy match score of query against text (lower is better), or null if it doesn't match
+// Exact matches rank first, then prefixes, substrings and finally in-order subsequences (e.g. "nx25" for "Nkx2-5")
+function getFuzzyMatchScore(query, text) {
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    if (t === q) return 0;
+    if (t.startsWith(q)) return 1 + (t.length - q.length) / 1000;
+    const position = t.indexOf(q);
+    if (position >= 0) return 2 + position / 1000;
+    
+    // Subsequence, penalized by the number of skipped characters
+    let ti = 0;
+    let gaps = 0;
+    for (let qi = 0; qi < q.length; qi++) {
+        const found = t.indexOf(q[qi], ti);
+        if (found < 0) return null;
+        gaps += found - ti;
+        ti = found + 1;
+    }
+    return 3 + gaps / 1000;
+}
+
+// Show only the values of a categorical filter matching its search box, best matches first, and suggest the top ones
+function updateFilterSearch(filterId) {
+    const input = document.querySelector(`.filter-search[data-filter-id="${filterId}"]`);
+    const container = document.querySelector(`.filter-content[data-filter-id="${filterId}"] .filter-checkboxes-container`);
+    const suggestionsDiv = document.querySelector(`.filter-suggestions[data-filter-id="${filterId}"]`);
+    if (!input || !container) return;
+    
+    const query = input.value.trim();
+    const items = Array.from(container.querySelectorAll('.filter-checkbox-item'));
+    const ranked = [];
+    items.forEach(item => {
+        const score = query ? getFuzzyMatchScore(query, item.dataset.value) : 0;
+        item.style.display = score === null ? 'none' : '';
+        if (score !== null) ranked.push({ item, score });
+    });
+    
+    // Reorder by score (alphabetical order is kept for equal scores and an empty query)
+    ranked.sort((a, b) => a.score - b.score || a.item.dataset.value.localeCompare(b.item.dataset.value));
+    ranked.forEach(({ item }) => container.appendChild(item));
+    
+    suggestionsDiv.innerHTML = '';
+    if (!query) return;
+    ranked.slice(0, 8).forEach(({ item }, index) => {
+        const suggestion = document.createElement('div');
+        suggestion.className = 'filter-suggestion' + (index === 0 ? ' active' : '');
+        suggestion.dataset.value = item.dataset.value;
+        suggestion.textContent = item.dataset.value || '(empty)';
+        // mousedown fires before the input's blur hides the suggestions
+        suggestion.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            pickFilterSuggestion(filterId, item.dataset.value);
+        });
+        suggestionsDiv.appendChild(suggestion);
+    });
+}
+
+// Check a suggested value in a categorical filter and clear the search
+function pickFilterSuggestion(filterId, value) {
+    document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`).forEach(cb => {
+        if (cb.value === value) cb.checked = true;
+    });
+    const input = document.querySelector(`.filter-search[data-filter-id="${filterId}"]`);
+    input.value = '';
+    updateFilterSearch(filterId);
+    syncCategoricalFilterValues(filterId);
+}
+
+// Check exactly the listed values (matched case-insensitively, e.g. a pasted gene panel) in a categorical filter
+function applyFilterValueList(filterId, list) {
+    const checkboxes = Array.from(document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`));
+    const checkboxByValue = new Map(checkboxes.map(cb => [cb.value.toLowerCase(), cb]));
+    const wanted = new Set(list.map(value => value.toLowerCase()));
+    const notFound = list.filter(value => !checkboxByValue.has(value.toLowerCase()));
+    
+    checkboxes.forEach(cb => {
+        cb.checked = wanted.has(cb.value.toLowerCase());
+    });
+    
+    const input = document.querySelector(`.filter-search[data-filter-id="${filterId}"]`);
+    input.value = '';
+    updateFilterSearch(filterId);
+    syncCategoricalFilterValues(filterId);
+    
+    const message = document.querySelector(`.filter-message[data-filter-id="${filterId}"]`);
+    message.textContent = `Checked ${list.length - notFound.length} of ${list.length} listed values` +
+        (notFound.length > 0 ? `. Not found: ${notFound.slice(0, 10).join(', ')}${notFound.length > 10 ? ', ...' : ''}` : '');
+    console.log(`[Filter] Applied value list: ${list.length - notFound.length} of ${list.length} matched`);
+}
+
+// Words with a meaning in filter expressions; values spelled like them have to be quoted
+const FILTER_EXPRESSION_KEYWORDS = ['and', 'or', 'not', 'in', 'between'];
+
+// Split a filter expression into symbols, quoted strings and bare words
+function tokenizeFilterExpression(text) {
+    const pattern = /(>=|<=|!=|=|\(|\)|,)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s(),"'=<>!]+)/y;
+    const tokens = [];
+    let position = 0;
+    
+    while (true) {
+        while (position < text.length && /\s/.test(text[position])) position++;
+        if (position >= text.length) break;
+        
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`Unexpected "${text[position]}" at position ${position + 1}`);
+        }
+        if (match[1]) {
+            tokens.push({ kind: 'symbol', text: match[1] });
+        } else if (match[4] !== undefined) {
+            tokens.push({ kind: 'word', text: match[4] });
+        } else {
+            const quoted = match[2] !== undefined ? match[2] : match[3];
+            tokens.push({ kind: 'string', text: quoted.replace(/\\(.)/g, '$1') });
+        }
+        position = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+// Parse a filter expression such as "gene in (Nppa, Myl7) and not fov between 10 and 20" into a syntax tree of
+// { type: 'or'|'and', items }, { type: 'not', item } and { type: 'condition', attribute, operator, values } nodes
+// (null for an empty expression). 'and' binds tighter than 'or'.
+function parseFilterExpression(text) {
+    const tokens = tokenizeFilterExpression(text);
+    let position = 0;
+    
+    const isKeyword = (token, keyword) => Boolean(token) && token.kind === 'word' && token.text.toLowerCase() === keyword;
+    const isSymbol = (token, symbol) => Boolean(token) && token.kind === 'symbol' && token.text === symbol;
+    const describe = token => token ? `"${token.text}"` : 'the end of the expression';
+    
+    function expectSymbol(symbol) {
+        if (!isSymbol(tokens[position], symbol)) {
+            throw new Error(`Expected "${symbol}" but found ${describe(tokens[position])}`);
+        }
+        position++;
+    }
+    
+    function parseValue(what) {
+        const token = tokens[position];
+        if (!token || token.kind === 'symbol' || (token.kind === 'word' && FILTER_EXPRESSION_KEYWORDS.includes(token.text.toLowerCase()))) {
+            throw new Error(`Expected ${what} but found ${describe(token)}`);
+        }
+        position++;
+        return token.text;
+    }
+    
+    function parseNumber() {
+        const text = parseValue('a number');
+        const number = Number(text);
+        if (text.trim() === '' || !Number.isFinite(number)) {
+            throw new Error(`"${text}" is not a number`);
+        }
+        return number;
+    }
+    
+    function parseValueList() {
+        expectSymbol('(');
+        const values = [parseValue('a value')];
+        while (isSymbol(tokens[position], ',')) {
+            position++;
+            values.push(parseValue('a value'));
+        }
+        expectSymbol(')');
+        return values;
+    }
+    
+    function parseCondition() {
+        const attribute = parseValue('a column name');
+        const token = tokens[position];
+        
+        if (isKeyword(token, 'not') && isKeyword(tokens[position + 1], 'in')) {
+            position += 2;
+            return { type: 'condition', attribute, operator: 'not in', values: parseValueList() };
+        }
+        if (isKeyword(token, 'in')) {
+            position++;
+            return { type: 'condition', attribute, operator: 'in', values: parseValueList() };
+        }
+        if (isKeyword(token, 'between')) {
+            position++;
+            const min = parseNumber();
+            if (!isKeyword(tokens[position], 'and')) {
+                throw new Error(`Expected "and" but found ${describe(tokens[position])}`);
+            }
+            position++;
+            return { type: 'condition', attribute, operator: 'between', values: [min, parseNumber()] };
+        }
+        if (isSymbol(token, '=') || isSymbol(token, '!=')) {
+            position++;
+            return { type: 'condition', attribute, operator: token.text === '=' ? 'in' : 'not in', values: [parseValue('a value')] };
+        }
+        if (isSymbol(token, '>=') || isSymbol(token, '<=')) {
+            position++;
+            return { type: 'condition', attribute, operator: token.text, values: [parseNumber()] };
+        }
+        // A bare name refers to a selection filter, e.g. selection_1
+        return { type: 'condition', attribute, operator: 'is', values: [] };
+    }
+    
+    function parseUnary() {
+        if (isKeyword(tokens[position], 'not')) {
+            position++;
+            return { type: 'not', item: parseUnary() };
+        }
+        if (isSymbol(tokens[position], '(')) {
+            position++;
+            const node = parseOr();
+            expectSymbol(')');
+            return node;
+        }
+        return parseCondition();
+    }
+    
+    function parseAnd() {
+        const items = [parseUnary()];
+        while (isKeyword(tokens[position], 'and')) {
+            position++;
+            items.push(parseUnary());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+    
+    function parseOr() {
+        const items = [parseAnd()];
+        while (isKeyword(tokens[position], 'or')) {
+            position++;
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+    
+    if (tokens.length === 0) return null;
+    const tree = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[position])}`);
+    }
+    return tree;
+}
+
+// Rewrite a syntax tree as an OR of AND groups of (possibly negated) conditions, which is what the filter UI shows.
+// NOTs are pushed down to the conditions with De Morgan's laws and ANDs are distributed over ORs.
+function getExpressionGroups(node, negated = false) {
+    if (node.type === 'not') return getExpressionGroups(node.item, !negated);
+    if (node.type === 'condition') return [[{ condition: node, negate: negated }]];
+    
+    const childGroups = node.items.map(item => getExpressionGroups(item, negated));
+    let groups;
+    if ((node.type === 'or') !== negated) {
+        groups = childGroups.flat();
+    } else {
+        groups = childGroups.reduce((product, itemGroups) => {
+            const combined = [];
+            product.forEach(left => itemGroups.forEach(right => combined.push([...left, ...right])));
+            return combined;
+        }, [[]]);
+    }
+    if (groups.length > MAX_FILTER_GROUPS) {
+        throw new Error(`Expression expands to more than ${MAX_FILTER_GROUPS} OR groups`);
+    }
+    return groups;
+}
+
+// Selection or ROI filters with distinct masks/boxes, in order - selection_1, roi_1, ... in filter expressions
+// (an expression can use the same selection or ROI several times, and its filters then share the mask or box)
+function getSharedFilters(type) {
+    const byShared = new Map();
+    activeFilters.forEach(filter => {
+        const shared = filter.mask || filter.box;
+        if (filter.type === type && !byShared.has(shared)) byShared.set(shared, filter);
+    });
+    return Array.from(byShared.values());
+}
+
+// Name of a selection or ROI filter in filter expressions, e.g. roi_2
+function getSharedFilterName(filter) {
+    const index = getSharedFilters(filter.type).findIndex(shared => (shared.mask || shared.box) === (filter.mask || filter.box));
+    return `${filter.type}_${index + 1}`;
+}
+
+// Turn one condition of a filter expression into a filter object; values missing from the data are added to notFound
+function createFilterFromCondition(condition, negate, group, sharedFilters, notFound) {
+    const { operator, values } = condition;
+    
+    if (operator === 'is') {
+        const match = /^(selection|roi|region)_(\d+)$/i.exec(condition.attribute);
+        const sharedFilter = match ? sharedFilters[match[1].toLowerCase()][parseInt(match[2], 10) - 1] : null;
+        if (!sharedFilter) {
+            throw new Error(`Unknown column, selection, ROI or region "${condition.attribute}"`);
+        }
+        // The copy shares the selection mask, ROI box or region
+        return { ...sharedFilter, id: createFilterId(), negate, group };
+    }
+    
+    const columns = [...column_names_categorical, ...column_names_continuous];
+    const attribute = columns.find(column => column === condition.attribute) ||
+        columns.find(column => column.toLowerCase() === condition.attribute.toLowerCase());
+    if (!attribute) {
+        throw new Error(`Unknown column "${condition.attribute}"`);
+    }
+    const filter = { id: createFilterId(), attribute, type: null, values: null, range: null, negate, group };
+    
+    if (column_names_continuous.includes(attribute)) {
+        const range = continuousRanges[attribute] || { min: 0, max: 1 };
+        // Rounded to Float32 like the stored values, so "= 0.1" matches them
+        const numbers = values.map(value => Math.fround(Number(value)));
+        if ((operator === 'in' || operator === 'not in') && (numbers.length !== 1 || !Number.isFinite(numbers[0]))) {
+            throw new Error(`${attribute} is continuous - compare it with a number, between, >= or <=`);
+        }
+        filter.type = 'continuous';
+        if (operator === 'between') {
+            filter.range = { min: Math.min(numbers[0], numbers[1]), max: Math.max(numbers[0], numbers[1]) };
+        } else if (operator === '>=') {
+            filter.range = { min: numbers[0], max: Math.max(numbers[0], range.max) };
+        } else if (operator === '<=') {
+            filter.range = { min: Math.min(numbers[0], range.min), max: numbers[0] };
+        } else {
+            filter.range = { min: numbers[0], max: numbers[0] };
+            if (operator === 'not in') filter.negate = !negate;
+        }
+        return filter;
+    }
+    
+    if (operator !== 'in' && operator !== 'not in') {
+        throw new Error(`${attribute} is categorical - use in (...), not in (...), = or !=`);
+    }
+    const allValues = Array.from(attributeValues[attribute] || []);
+    const valueByLowerCase = new Map(allValues.map(value => [value.toLowerCase(), value]));
+    const listed = new Set();
+    values.forEach(value => {
+        const known = attributeValues[attribute] && attributeValues[attribute].has(value) ? value : valueByLowerCase.get(value.toLowerCase());
+        if (known === undefined) {
+            notFound.push(value);
+        } else {
+            listed.add(known);
+        }
     });
+    if (listed.size === 0) {
+        throw new Error(`None of the listed ${attribute} values were found: ${values.join(', ')}`);
+    }
     
-    // Select all / Deselect all buttons
-    document.querySelectorAll('.select-all-filter').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const filterId = e.target.dataset.filterId;
-            document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`).forEach(cb => {
-                cb.checked = true;
-            });
-            const filter = activeFilters.find(f => f.id === filterId);
-            if (filter && filter.values) {
-                const allCheckboxes = document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`);
-                filter.values.clear();
-                allCheckboxes.forEach(cb => filter.values.add(cb.value));
-                throttleFilterUpdate();
-            }
+    if (operator === 'not in' && listed.size === allValues.length) {
+        throw new Error(`"not in" lists every ${attribute} value, so no transcripts would be left`);
+    }
+    
+    filter.type = 'categorical';
+    // "not in" keeps the other values, so it matches what the checkboxes show (unlike negating the filter, it doesn't keep empty values)
+    filter.values = operator === 'in' ? listed : new Set(allValues.filter(value => !listed.has(value)));
+    return filter;
+}
+
+// Parse a filter expression into filter objects, one group per OR term
+function createFiltersFromExpression(text) {
+    const tree = parseFilterExpression(text);
+    const notFound = [];
+    if (!tree) return { filters: [], notFound };
+    
+    const sharedFilters = {
+        selection: getSharedFilters('selection'),
+        roi: getSharedFilters('roi'),
+        region: getRegions().map(region => ({ attribute: 'region', type: 'region', region: region }))
+    };
+    const filters = [];
+    getExpressionGroups(tree).forEach((conditions, group) => {
+        conditions.forEach(({ condition, negate }) => {
+            filters.push(createFilterFromCondition(condition, negate, group, sharedFilters, notFound));
         });
     });
+    return { filters, notFound };
+}
+
+// A column name or value as written in filter expressions, quoted when needed
+function formatExpressionValue(value) {
+    const text = String(value);
+    if (/^[^\s(),"'=<>!]+$/.test(text) && !FILTER_EXPRESSION_KEYWORDS.includes(text.toLowerCase())) {
+        return text;
+    }
+    return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+// One filter written as a condition of a filter expression
+function getFilterConditionText(filter) {
+    const attribute = formatExpressionValue(filter.attribute);
+    let text;
+    if (filter.type === 'selection' || filter.type === 'roi') {
+        text = getSharedFilterName(filter);
+    } else if (filter.type === 'region') {
+        text = `region_${getRegions().indexOf(filter.region) + 1}`;
+    } else if (filter.type === 'continuous') {
+        text = filter.range.min === filter.range.max
+            ? `${attribute} = ${filter.range.min}`
+            : `${attribute} between ${filter.range.min} and ${filter.range.max}`;
+    } else {
+        // Write whichever of the kept or the excluded values is the shorter list
+        const values = Array.from(filter.values).sort();
+        const excluded = Array.from(attributeValues[filter.attribute] || []).filter(value => !filter.values.has(value)).sort();
+        const useExcluded = excluded.length > 0 && excluded.length < values.length;
+        const listed = (useExcluded ? excluded : values).map(formatExpressionValue);
+        if (listed.length === 1) {
+            text = `${attribute} ${useExcluded ? '!=' : '='} ${listed[0]}`;
+        } else {
+            text = `${attribute} ${useExcluded ? 'not in' : 'in'} (${listed.join(', ')})`;
+        }
+    }
+    return filter.negate ? `not ${text}` : text;
+}
+
+// The active filters written as a filter expression (highlight and incomplete filters are left out)
+function getFilterExpression() {
+    const groups = getFilterGroups();
+    return groups.map(filters => {
+        const text = filters.map(getFilterConditionText).join(' and ');
+        return groups.length > 1 && filters.length > 1 ? `(${text})` : text;
+    }).join(' or ');
+}
+
+// Keep the expression box in sync with the filter blocks, unless it is being edited
+function updateFilterExpressionText(force = false) {
+    const input = document.getElementById('filterExpression');
+    if (!input || (!force && document.activeElement === input)) return;
+    input.value = getFilterExpression();
+}
+
+// Replace the filters with the ones from the expression box (highlight filters are kept)
+function applyFilterExpression() {
+    const input = document.getElementById('filterExpression');
+    const message = document.getElementById('filterExpressionMessage');
     
-    document.querySelectorAll('.deselect-all-filter').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const filterId = e.target.dataset.filterId;
-            document.querySelectorAll(`.filter-checkbox[data-filter-id="${filterId}"]`).forEach(cb => {
-                cb.checked = false;
-            });
-            const filter = activeFilters.find(f => f.id === filterId);
-            if (filter && filter.values) {
-                filter.values.clear();
-                throttleFilterUpdate();
-            }
-        });
+    let result;
+    try {
+        result = createFiltersFromExpression(input.value);
+    } catch (error) {
+        message.textContent = error.message;
+        message.classList.add('error');
+        console.warn('[Filter] Invalid filter expression:', error.message);
+        return;
+    }
+    
+    const highlightFilters = activeFilters.filter(filter => filter.highlight);
+    highlightFilters.forEach(filter => {
+        filter.group = 0;
     });
+    activeFilters = [...highlightFilters, ...result.filters];
+    console.log(`[Filter] Applied filter expression: ${result.filters.length} filters in ${getFilterGroupIds().length} groups`);
+    
+    message.classList.remove('error');
+    message.textContent = result.notFound.length > 0
+        ? `Not found: ${result.notFound.slice(0, 10).join(', ')}${result.notFound.length > 10 ? ', ...' : ''}`
+        : '';
+    renderFilters();
+    updateFilter();
+    updateFilterExpressionText(true);
 }
 
 // Throttle function for filter updates
@@ -1668,166 +7554,554 @@ function throttleFilterUpdate() {
     }, 100); // 100ms throttle
 }
 
+// Throttle sample rate updates - these only re-select the rendered points
+let sampleUpdateTimeout = null;
+function throttleSampleUpdate() {
+    if (sampleUpdateTimeout) {
+        clearTimeout(sampleUpdateTimeout);
+    }
+    sampleUpdateTimeout = setTimeout(() => {
+        updatePointCloud();
+    }, 100); // 100ms throttle
+}
+
+// Whether a filter is fully configured and removes points (highlight filters only dim them)
+function isFilterApplicable(filter) {
+    if (filter.highlight) return false;
+    if (filter.type === 'continuous') return Boolean(filter.range && store.continuous[filter.attribute]);
+    if (filter.type === 'categorical') return Boolean(filter.values && filter.values.size > 0 && store.categorical[filter.attribute]);
+    if (filter.type === 'selection') return Boolean(filter.mask);
+    if (filter.type === 'roi') return Boolean(filter.box);
+    if (filter.type === 'region') return Boolean(filter.region);
+    return false;
+}
+
+// Applicable filters as an array of groups (in group order), each an array of filters to AND together
+function getFilterGroups() {
+    const groups = new Map();
+    activeFilters.forEach(filter => {
+        if (!isFilterApplicable(filter)) return;
+        const group = filter.group || 0;
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(filter);
+    });
+    return Array.from(groups.keys()).sort((a, b) => a - b).map(group => groups.get(group));
+}
+
+// Group ids in use, in order (there is always at least group 0)
+function getFilterGroupIds() {
+    const ids = Array.from(new Set(activeFilters.map(filter => filter.group || 0))).sort((a, b) => a - b);
+    return ids.length > 0 ? ids : [0];
+}
+
+// Indices of candidateIndices that pass every filter of a group (AND logic)
+function applyFilterGroup(candidateIndices, filters) {
+    filters.forEach(filter => {
+        const filteredIndices = new Uint32Array(candidateIndices.length);
+        let filteredCount = 0;
+        const beforeCount = candidateIndices.length;
+        const negate = Boolean(filter.negate);
+        
+        if (filter.type === 'continuous') {
+            // Continuous range filter (NaN for missing values fails both comparisons)
+            const minVal = filter.range.min;
+            const maxVal = filter.range.max;
+            const values = store.continuous[filter.attribute];
+            
+            for (let i = 0; i < candidateIndices.length; i++) {
+                const idx = candidateIndices[i];
+                const value = values[idx];
+                if ((value >= minVal && value <= maxVal) !== negate) {
+                    filteredIndices[filteredCount++] = idx;
+                }
+            }
+        } else if (filter.type === 'categorical') {
+            // Categorical filter - translate the selected values to a lookup table over dictionary codes
+            const column = store.categorical[filter.attribute];
+            const allowed = new Uint8Array(column.values.length);
+            column.values.forEach((value, code) => {
+                if (filter.values.has(value) !== negate) allowed[code] = 1;
+            });
+            
+            for (let i = 0; i < candidateIndices.length; i++) {
+                const idx = candidateIndices[i];
+                if (allowed[column.codes[idx]]) {
+                    filteredIndices[filteredCount++] = idx;
+                }
+            }
+        } else if (filter.type === 'selection') {
+            // Selection filter - keep or remove the transcripts selected with the box/lasso tools
+            // (transcripts appended after the selection was made count as unselected)
+            const keep = (filter.mode === 'keep') !== negate ? 1 : 0;
+            for (let i = 0; i < candidateIndices.length; i++) {
+                const idx = candidateIndices[i];
+                if ((filter.mask[idx] || 0) === keep) {
+                    filteredIndices[filteredCount++] = idx;
+                }
+            }
+        } else if (filter.type === 'roi') {
+            // ROI box - move each point into the box frame and compare with the half sizes
+            const e = getRoiMatrix(filter.box).invert().elements;
+            const [halfX, halfY, halfZ] = filter.box.size.map(size => size / 2);
+            const positions = store.positions;
+            for (let i = 0; i < candidateIndices.length; i++) {
+                const idx = candidateIndices[i];
+                const x = positions[idx * 3];
+                const y = positions[idx * 3 + 1];
+                const z = positions[idx * 3 + 2];
+                const inside = Math.abs(e[0] * x + e[4] * y + e[8] * z + e[12]) <= halfX &&
+                    Math.abs(e[1] * x + e[5] * y + e[9] * z + e[13]) <= halfY &&
+                    Math.abs(e[2] * x + e[6] * y + e[10] * z + e[14]) <= halfZ;
+                if (inside !== negate) {
+                    filteredIndices[filteredCount++] = idx;
+                }
+            }
+        } else if (filter.type === 'region') {
+            // Named polygon or sphere region from the annotations
+            const inRegion = getRegionTest(filter.region);
+            const positions = store.positions;
+            for (let i = 0; i < candidateIndices.length; i++) {
+                const idx = candidateIndices[i];
+                if (inRegion(positions[idx * 3], positions[idx * 3 + 1], positions[idx * 3 + 2]) !== negate) {
+                    filteredIndices[filteredCount++] = idx;
+                }
+            }
+        }
+        console.log(`[Filter] Applied ${negate ? 'NOT ' : ''}${filter.type} filter on ${filter.attribute}: ${beforeCount} -> ${filteredCount} points`);
+        
+        candidateIndices = filteredIndices.subarray(0, filteredCount);
+    });
+    return candidateIndices;
+}
+
 // Update filter - optimized for performance, applies all active filters
 function updateFilter() {
     console.log('[Filter] Updating filters, active filters:', activeFilters.length);
     
+    // Categorical filters in highlight mode dim the points they don't match instead of removing them
+    highlightTables = activeFilters.filter(filter => filter.highlight && filter.type === 'categorical' && filter.values && store.categorical[filter.attribute]).map(filter => {
+        const column = store.categorical[filter.attribute];
+        const allowed = new Uint8Array(column.values.length);
+        column.values.forEach((value, code) => {
+            if (filter.values.has(value) !== Boolean(filter.negate)) allowed[code] = 1;
+        });
+        return { codes: column.codes, allowed };
+    });
+    
+    const groups = getFilterGroups();
+    
     // If no active filters, show all points
-    if (activeFilters.length === 0) {
-        visibleIndices = new Uint32Array(allData.length);
-        for (let i = 0; i < allData.length; i++) {
+    if (groups.length === 0) {
+        visibleIndices = new Uint32Array(store.length);
+        for (let i = 0; i < store.length; i++) {
             visibleIndices[i] = i;
         }
         console.log(`[Filter] No filters active - showing all ${visibleIndices.length} points`);
-        createPointCloud();
+        legendCandidateIndices = applyZSlice(applyClipBounds(visibleIndices));
+        visibleIndices = applyLegendVisibility(legendCandidateIndices);
+        updateFilterExpressionText();
+        updateSpatialGizmos();
+        refreshVisiblePoints();
         return;
     }
     
     // Start with all indices
-    let candidateIndices = [];
-    for (let i = 0; i < allData.length; i++) {
-        candidateIndices.push(i);
+    const allIndices = new Uint32Array(store.length);
+    for (let i = 0; i < store.length; i++) {
+        allIndices[i] = i;
     }
     
-    // Apply each filter sequentially (AND logic)
-    activeFilters.forEach((filter, index) => {
-        if (!filter.attribute || !filter.type) {
-            console.log(`[Filter] Skipping filter ${index + 1} (no attribute or type)`);
-            return;
-        }
-        
-        const filteredIndices = [];
-        const beforeCount = candidateIndices.length;
-        
-        if (filter.type === 'continuous' && filter.range) {
-            // Continuous range filter
-            const minVal = filter.range.min;
-            const maxVal = filter.range.max;
-            
-            for (let idx of candidateIndices) {
-                const point = allData[idx];
-                const value = point[filter.attribute];
-                if (value !== null && value !== undefined && value >= minVal && value <= maxVal) {
-                    filteredIndices.push(idx);
-                }
+    if (groups.length === 1) {
+        // Copy so the (possibly oversized) filter buffers can be released
+        visibleIndices = applyFilterGroup(allIndices, groups[0]).slice();
+    } else {
+        // OR between groups: each group only needs to test the points no earlier group matched
+        const matched = new Uint8Array(store.length);
+        let matchedCount = 0;
+        groups.forEach((group, groupIndex) => {
+            const candidates = new Uint32Array(store.length - matchedCount);
+            let candidateCount = 0;
+            for (let i = 0; i < store.length; i++) {
+                if (!matched[i]) candidates[candidateCount++] = i;
             }
-            console.log(`[Filter] Applied continuous filter on ${filter.attribute}: ${beforeCount} -> ${filteredIndices.length} points`);
-        } else if (filter.type === 'categorical' && filter.values && filter.values.size > 0) {
-            // Categorical filter
-            for (let idx of candidateIndices) {
-                const point = allData[idx];
-                if (filter.values.has(point[filter.attribute] || '')) {
-                    filteredIndices.push(idx);
-                }
+            const passing = applyFilterGroup(candidates, group);
+            for (let i = 0; i < passing.length; i++) {
+                matched[passing[i]] = 1;
             }
-            console.log(`[Filter] Applied categorical filter on ${filter.attribute}: ${beforeCount} -> ${filteredIndices.length} points`);
-        } else {
-            // Invalid filter, skip it (don't filter anything)
-            console.log(`[Filter] Skipping invalid filter ${index + 1} on ${filter.attribute}`);
-            return;
-        }
+            matchedCount += passing.length;
+            console.log(`[Filter] Group ${groupIndex + 1} added ${passing.length} points`);
+        });
         
-        candidateIndices = filteredIndices;
-    });
+        visibleIndices = new Uint32Array(matchedCount);
+        let count = 0;
+        for (let i = 0; i < store.length; i++) {
+            if (matched[i]) visibleIndices[count++] = i;
+        }
+    }
+    
+    // Clipping planes, the z slice and the legend toggles cut through every group
+    legendCandidateIndices = applyZSlice(applyClipBounds(visibleIndices));
+    visibleIndices = applyLegendVisibility(legendCandidateIndices);
+    updateFilterExpressionText();
+    updateSpatialGizmos();
     
-    // Convert to Uint32Array
-    visibleIndices = new Uint32Array(candidateIndices);
+    console.log(`[Filter] Final visible points: ${visibleIndices.length} out of ${store.length} total`);
+    
+    refreshVisiblePoints();
+}
+
+// Update the visibility mask, rendered points and legend after visibleIndices changed
+function refreshVisiblePoints() {
+    visibleMask = new Uint8Array(store.length);
+    for (let i = 0; i < visibleIndices.length; i++) {
+        visibleMask[visibleIndices[i]] = 1;
+    }
     
-    console.log(`[Filter] Final visible points: ${visibleIndices.length} out of ${allData.length} total`);
+    // Cells are aggregated from the visible transcripts only
+    if (viewMode === 'cells') {
+        computeCellAggregation();
+    }
     
-    createPointCloud();
-    // Legend updates automatically when point cloud is recreated
+    updatePointCloud();
+    updateLegend();
+    updateHeatmap();
+    updateRegionSummary();
+    // Pinned neighborhoods count the visible transcripts
+    if (pinnedPoints.length > 0) {
+        renderPinnedPanels();
+        updatePinObjects();
+    }
+    scheduleStateSave();
 }
 
 // Setup event listeners
 function setupEventListeners() {
     document.getElementById('colorBy').addEventListener('change', () => {
         // Update colors immediately for color changes (no throttle needed, just recolor)
-        if (pointCloud) {
-            createPointCloud();
-        } else {
-            // If no point cloud yet, just update legend
+        legendPage = 0;
+        updatePointColors();
+        updateLegend();
+    });
+    
+    // Legend search and sort start again from the first page
+    document.getElementById('legendSearch').addEventListener('input', () => {
+        legendPage = 0;
+        updateLegend();
+    });
+    document.getElementById('legendSort').addEventListener('change', () => {
+        legendPage = 0;
+        updateLegend();
+    });
+    
+    // Palettes, colormaps and scaling
+    updateColorSettings();
+    ['categoricalPalette', 'colormap', 'colorScale', 'clampLow', 'clampHigh'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateColorSettings();
+            if (id === 'categoricalPalette') resetGeneratedColors();
+            console.log('[Colors] Color settings:', colorSettings);
+            updatePointColors();
             updateLegend();
+            updateHeatmap();
+        });
+    });
+    
+    document.getElementById('exportColors').addEventListener('click', exportColors);
+    const colorsInput = document.getElementById('colorsFileInput');
+    document.getElementById('importColors').addEventListener('click', () => colorsInput.click());
+    colorsInput.addEventListener('change', async () => {
+        const file = colorsInput.files[0];
+        colorsInput.value = '';
+        if (!file) return;
+        const status = document.getElementById('colorsStatus');
+        try {
+            importColors(JSON.parse(await file.text()));
+            status.textContent = '';
+        } catch (error) {
+            console.error(`[Colors] Could not load color file ${file.name}:`, error);
+            status.textContent = `Could not load ${file.name}: ${error.message}`;
         }
     });
     
-    // Add filter button
+    // Add filter button - adds to the last group; the OR group button starts a new one
     document.getElementById('addFilter').addEventListener('click', () => {
-        const filterId = 'filter_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        const newFilter = {
-            id: filterId,
-            attribute: '',
-            type: null,
-            values: null,
-            range: null
-        };
-        activeFilters.push(newFilter);
-        console.log('[Filter] Created new filter:', {
-            id: filterId,
-            totalFilters: activeFilters.length
-        });
-        renderFilters();
+        const groupIds = getFilterGroupIds();
+        addEmptyFilter(groupIds[groupIds.length - 1]);
+    });
+    
+    document.getElementById('addFilterGroup').addEventListener('click', () => {
+        const groupIds = getFilterGroupIds();
+        addEmptyFilter(activeFilters.length > 0 ? groupIds[groupIds.length - 1] + 1 : 0);
+    });
+    
+    // Filter expression box - Ctrl+Enter applies it too
+    document.getElementById('applyFilterExpression').addEventListener('click', applyFilterExpression);
+    document.getElementById('filterExpression').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            applyFilterExpression();
+        }
     });
     
     document.getElementById('pointSize').addEventListener('input', (e) => {
         document.getElementById('pointSizeValue').textContent = parseFloat(e.target.value).toFixed(1);
-        // Recreate point cloud with new size
-        if (visibleIndices && visibleIndices.length > 0) {
-            throttleFilterUpdate();
-        }
+        updatePointSize();
+    });
+    
+    document.getElementById('renderMode').addEventListener('change', () => {
+        console.log('[Render] Render mode:', document.getElementById('renderMode').value);
+        updatePointCloud();
     });
     
     document.getElementById('sampleRate').addEventListener('input', (e) => {
         document.getElementById('sampleRateValue').textContent = e.target.value + '%';
-        throttleFilterUpdate();
+        throttleSampleUpdate();
     });
     
+    // Cells view
+    updateCellOptions();
+    document.getElementById('viewMode').addEventListener('change', (e) => {
+        setViewMode(e.target.value);
+    });
     
-    document.getElementById('resetCamera').addEventListener('click', () => {
-        if (pointCloud) {
-            // Recalculate bounding box from current visible data
-            const positions = [];
-            if (visibleIndices && visibleIndices.length > 0) {
-                const MAX_SAMPLE = 10000; // Sample points for bounding box calculation
-                const step = Math.max(1, Math.floor(visibleIndices.length / MAX_SAMPLE));
-                for (let i = 0; i < visibleIndices.length; i += step) {
-                    const point = allData[visibleIndices[i]];
-                    positions.push(point.x, point.y, point.z);
-                }
-            }
-            
-            if (positions.length > 0) {
-                const tempGeometry = new THREE.BufferGeometry();
-                tempGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-                tempGeometry.computeBoundingBox();
-                setCameraToXYPlaneView(tempGeometry);
-                tempGeometry.dispose();
-            } else if (initialCameraState.position && initialCameraState.target) {
-                // Fall back to stored initial state
-                camera.position.copy(initialCameraState.position);
-                controls.target.copy(initialCameraState.target);
-                camera.lookAt(initialCameraState.target);
-                controls.update();
+    ['cellColumn', 'geneColumn'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            if (id === 'geneColumn') {
+                populateGeneOptions();
+                updateHeatmap();
             }
-        } else if (initialCameraState.position && initialCameraState.target) {
-            // Use stored initial state if no point cloud yet
-            camera.position.copy(initialCameraState.position);
-            controls.target.copy(initialCameraState.target);
-            camera.lookAt(initialCameraState.target);
-            controls.update();
+            if (viewMode !== 'cells') return;
+            computeCellAggregation();
+            updatePointCloud();
+            updateLegend();
+        });
+    });
+    
+    document.getElementById('cellColorBy').addEventListener('change', () => {
+        updateCellOptions();
+        updatePointColors();
+        updateLegend();
+    });
+    
+    document.getElementById('cellGene').addEventListener('change', () => {
+        updatePointColors();
+        updateLegend();
+    });
+    
+    document.getElementById('showUnassigned').addEventListener('change', updateUnassignedCloud);
+    
+    setupSelectionTools();
+    setupStateSharing();
+    
+    // Image export
+    document.getElementById('exportPng').addEventListener('click', exportPNG);
+    document.getElementById('exportSvg').addEventListener('click', exportSVG);
+    
+    // Data export
+    document.getElementById('exportTranscripts').addEventListener('click', exportTranscriptsCSV);
+    document.getElementById('exportCounts').addEventListener('click', exportValueCountsCSV);
+    
+    // Expression heatmap
+    updateHeatmapOptions();
+    ['heatmapEnabled', 'heatmapGene', 'heatmapBins', 'heatmapSlabs', 'heatmapLog'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateHeatmapOptions();
+            updateHeatmap();
+        });
+    });
+    
+    document.getElementById('heatmapSlab').addEventListener('input', updateHeatmap);
+    
+    document.getElementById('heatmapOpacity').addEventListener('input', (e) => {
+        if (heatmapPlane) heatmapPlane.material.opacity = parseFloat(e.target.value);
+    });
+    
+    // Clipping planes and ROI boxes
+    updateClipOptions();
+    document.getElementById('clipEnabled').addEventListener('change', () => {
+        updateClipOptions();
+        updateFilter();
+    });
+    
+    AXIS_NAMES.forEach(axisName => {
+        ['Min', 'Max'].forEach(side => {
+            document.getElementById(`clip${axisName}${side}`).addEventListener('input', (e) => {
+                setClipSlider(axisName, side, parseFloat(e.target.value));
+                updateClipOptions();
+                throttleFilterUpdate();
+            });
+        });
+    });
+    
+    document.getElementById('resetClipping').addEventListener('click', () => {
+        AXIS_NAMES.forEach(axisName => {
+            document.getElementById(`clip${axisName}Min`).value = 0;
+            document.getElementById(`clip${axisName}Max`).value = 100;
+        });
+        updateClipOptions();
+        updateFilter();
+    });
+    
+    document.getElementById('showGizmos').addEventListener('change', updateSpatialGizmos);
+    document.getElementById('addRoiFilter').addEventListener('click', addRoiFilter);
+    
+    // Z-slice mode
+    updateSliceOptions();
+    document.getElementById('sliceEnabled').addEventListener('change', (e) => setSliceMode(e.target.checked));
+    document.getElementById('slicePrev').addEventListener('click', () => stepZSlice(-1));
+    document.getElementById('sliceNext').addEventListener('click', () => stepZSlice(1));
+    document.getElementById('slicePlay').addEventListener('click', () => toggleSlicePlayback());
+    document.getElementById('sliceLevel').addEventListener('input', () => {
+        updateSliceOptions();
+        throttleFilterUpdate();
+    });
+    ['sliceThickness', 'sliceBins'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateSliceOptions();
+            updateFilter();
+        });
+    });
+    document.getElementById('sliceInterval').addEventListener('change', () => {
+        if (slicePlayTimer) toggleSlicePlayback(true);
+    });
+    
+    // Arrow keys step through the slices, unless a control has the focus
+    window.addEventListener('keydown', (event) => {
+        if (!isSliceMode() || (event.target instanceof Element && event.target.closest('input, textarea, select'))) return;
+        if (event.key === 'ArrowUp' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            stepZSlice(1);
+        } else if (event.key === 'ArrowDown' || event.key === 'ArrowLeft') {
+            event.preventDefault();
+            stepZSlice(-1);
+        }
+    });
+    
+    
+    document.getElementById('resetCamera').addEventListener('click', fitCameraToVisiblePoints);
+    document.querySelectorAll('.view-buttons button').forEach(button => {
+        button.addEventListener('click', () => setCameraView(button.dataset.view));
+    });
+    document.getElementById('cameraProjection').addEventListener('change', (event) => {
+        setCameraProjection(event.target.value);
+    });
+    
+    // Ruler, scale bar and axes
+    document.getElementById('measureTool').addEventListener('click', () => setMeasureTool(!measureToolActive));
+    document.getElementById('clearMeasure').addEventListener('click', clearMeasurement);
+    document.getElementById('showAxes').addEventListener('change', updateAxesBox);
+    
+    // Neighborhoods in the pinned panels
+    document.getElementById('neighborhoodMode').addEventListener('change', () => {
+        updateNeighborhoodOptions();
+        renderPinnedPanels();
+        updatePinObjects();
+    });
+    ['neighborhoodRadius', 'neighborhoodCount'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            renderPinnedPanels();
+            updatePinObjects();
+        });
+    });
+    updateNeighborhoodOptions();
+    
+    // Annotations: markers and regions
+    document.querySelectorAll('#annotationTools button[data-tool]').forEach(button => {
+        button.addEventListener('click', () => setAnnotationTool(annotationTool === button.dataset.tool ? null : button.dataset.tool));
+    });
+    document.getElementById('finishPolygon').addEventListener('click', finishPolygonAnnotation);
+    document.getElementById('showAnnotations').addEventListener('change', updateAnnotationObjects);
+    document.getElementById('exportAnnotations').addEventListener('click', () => exportAnnotations('json'));
+    document.getElementById('exportAnnotationsGeoJSON').addEventListener('click', () => exportAnnotations('geojson'));
+    const annotationsInput = document.getElementById('annotationsFileInput');
+    document.getElementById('importAnnotations').addEventListener('click', () => annotationsInput.click());
+    annotationsInput.addEventListener('change', async () => {
+        const file = annotationsInput.files[0];
+        annotationsInput.value = '';
+        if (!file) return;
+        try {
+            importAnnotations(JSON.parse(await file.text()));
+            updateAnnotationStatus();
+        } catch (error) {
+            console.error(`[Annotations] Could not import ${file.name}:`, error);
+            updateAnnotationStatus(`Could not import ${file.name}: ${error.message}`);
+        }
+    });
+    document.getElementById('exportRegionCounts').addEventListener('click', exportRegionCountsCSV);
+    document.getElementById('closeRegionSummary').addEventListener('click', () => {
+        regionSummaryId = null;
+        updateRegionSummary();
+    });
+    window.addEventListener('keydown', (event) => {
+        if (!annotationTool || event.target.matches('input, textarea, select')) return;
+        if (event.key === 'Escape') {
+            setAnnotationTool(null);
+        } else if (event.key === 'Enter' && annotationTool === 'polygon') {
+            finishPolygonAnnotation();
+        }
+    });
+    renderAnnotationList();
+    
+    // Camera keyframe animation and recording
+    document.getElementById('addKeyframe').addEventListener('click', () => {
+        const nameInput = document.getElementById('keyframeName');
+        addKeyframe(nameInput.value.trim(), document.getElementById('keyframeIncludeState').checked);
+        nameInput.value = '';
+    });
+    document.getElementById('playKeyframes').addEventListener('click', () => {
+        if (keyframePlayback) {
+            stopKeyframePlayback();
+        } else {
+            startKeyframePlayback();
         }
     });
+    document.getElementById('recordKeyframes').addEventListener('click', () => {
+        if (keyframePlayback) {
+            stopKeyframePlayback();
+        } else {
+            recordKeyframes();
+        }
+    });
+    renderKeyframeList();
+    
+    // Keyboard shortcuts, rebound from the list in the Camera controls
+    renderKeyBindings();
+    document.getElementById('resetKeyBindings').addEventListener('click', () => {
+        try {
+            localStorage.removeItem(KEY_BINDINGS_STORAGE_KEY);
+        } catch (error) {
+            console.warn('[Camera Controls] Could not remove the saved key bindings:', error);
+        }
+        loadKeyBindings();
+        renderKeyBindings();
+        console.log('[Camera Controls] Key bindings reset');
+    });
 }
 
 // Animation loop
 function animate() {
     requestAnimationFrame(animate);
+    const captureFrame = updateKeyframePlayback(performance.now());
     controls.update();
+    // The orthographic sprite size follows the zoom, which the mouse wheel changes through OrbitControls
+    if (camera.isOrthographicCamera) {
+        updateSpriteScales();
+    }
+    updateLabelSpriteScales();
     renderer.render(scene, camera);
+    updateOverlayLabels();
+    updateScaleBar();
+    if (captureFrame) {
+        captureKeyframeFrame();
+    }
 }
 
 // Initialize when page loads
 window.addEventListener('DOMContentLoaded', () => {
     initScene();
-    loadData();
+    setupDatasetLoader();
+    // Restore a shared view once the data it refers to is loaded, and only then start writing the URL hash
+    loadData().then(restoreStateFromHash).then(() => {
+        isViewStateReady = true;
+    });
 });
\ No newline at end of file
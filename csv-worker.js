@@ -0,0 +1,563 @@
+// Web Worker that streams and parses transcript CSV/CSV.gz files off the main thread
+//
+// Messages from the main thread:
+//   { type: 'head', source, maxRows }             -> { type: 'head', headers, rows }
+//   { type: 'parse', source, schema, sampling } -> { type: 'progress', ... } (repeated), then { type: 'done', result }
+//   { type: 'rows', source, rows, raw }         -> { type: 'rows', headers, rows } (all fields of the data records numbered in rows,
+//                                                   or with raw the unsplit record lines)
+//   sampling: { targetPoints, seed, mode: 'random' | 'perValue' | 'keepValues' | 'spatial', column, perValue, keepValues, gridSize }
+// Any failure is reported as { type: 'error', message }. Cancelling is done by terminating the worker.
+
+const PROGRESS_INTERVAL_MS = 100; // Minimum time between progress messages
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        if (message.type === 'head') {
+            const head = await readHead(message.source, message.maxRows);
+            self.postMessage({ type: 'head', headers: head.headers, rows: head.rows });
+        } else if (message.type === 'rows') {
+            const found = await readRecords(message.source, message.rows, message.raw);
+            self.postMessage({ type: 'rows', headers: found.headers, rows: found.rows });
+        } else if (message.type === 'parse') {
+            const result = await parseSource(message.source, message.schema, message.sampling);
+            self.postMessage({ type: 'done', result: result }, getTransferables(result));
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
+
+// Split a CSV line into fields, handling double-quoted fields and escaped ("") quotes
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"') {
+                if (line[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    
+    return fields;
+}
+
+// Count double quotes in a string - an odd count means a quoted field continues on the next line
+function countQuotes(text) {
+    let count = 0;
+    let idx = text.indexOf('"');
+    while (idx !== -1) {
+        count++;
+        idx = text.indexOf('"', idx + 1);
+    }
+    return count;
+}
+
+// Detect gzip from the magic bytes rather than trusting the file extension
+async function isGzippedFile(file) {
+    const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    return magic.length === 2 && magic[0] === 0x1f && magic[1] === 0x8b;
+}
+
+// Open a source (URL string or File) as a stream of decoded text chunks
+// progress.bytesRead counts raw (possibly compressed) bytes so it can be compared with progress.totalBytes
+async function openTextStream(source, progress) {
+    let stream;
+    let isGzipped;
+    
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} for ${source}`);
+        }
+        
+        if (!response.body) {
+            throw new Error('Response body is null');
+        }
+        
+        stream = response.body;
+        isGzipped = /\.gz$/i.test(new URL(source).pathname);
+        const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+        // With a Content-Encoding the length refers to the encoded body, not what the stream yields
+        progress.totalBytes = !isNaN(contentLength) && !response.headers.get('Content-Encoding') ? contentLength : null;
+    } else {
+        stream = source.stream();
+        isGzipped = await isGzippedFile(source);
+        progress.totalBytes = source.size;
+    }
+    
+    const byteCounter = new TransformStream({
+        transform(chunk, controller) {
+            progress.bytesRead += chunk.byteLength;
+            controller.enqueue(chunk);
+        }
+    });
+    stream = stream.pipeThrough(byteCounter);
+    
+    if (isGzipped) {
+        stream = stream.pipeThrough(new DecompressionStream('gzip'));
+    }
+    
+    return stream.pipeThrough(new TextDecoderStream());
+}
+
+// Read a text stream line by line, keeping quoted fields that contain newlines in one record
+// onLine returns false to stop reading early
+async function readLines(textStream, onLine) {
+    const reader = textStream.getReader();
+    let pending = '';
+    let searchFrom = 0;
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        pending += value;
+        let start = 0;
+        let newlineIdx = pending.indexOf('\n', searchFrom);
+        
+        while (newlineIdx !== -1) {
+            const record = pending.slice(start, newlineIdx);
+            if (record.includes('"') && countQuotes(record) % 2 === 1) {
+                // Newline inside a quoted field - keep reading up to the next newline
+                newlineIdx = pending.indexOf('\n', newlineIdx + 1);
+                continue;
+            }
+            
+            if (onLine(record) === false) {
+                reader.cancel().catch(() => {});
+                return;
+            }
+            start = newlineIdx + 1;
+            newlineIdx = pending.indexOf('\n', start);
+        }
+        
+        // Keep the unfinished record and resume scanning after the part that was already searched
+        pending = pending.slice(start);
+        searchFrom = pending.length;
+    }
+    
+    if (pending.length > 0) {
+        onLine(pending);
+    }
+}
+
+// Read the header and first rows of a source without reading the whole file
+async function readHead(source, maxRows = 200) {
+    const textStream = await openTextStream(source, { bytesRead: 0, totalBytes: null });
+    let headers = null;
+    const rows = [];
+    
+    await readLines(textStream, (record) => {
+        const line = record.trim();
+        if (!line) return true;
+        
+        if (headers === null) {
+            headers = splitCSVLine(line).map(h => h.trim());
+        } else {
+            rows.push(splitCSVLine(line));
+        }
+        return rows.length < maxRows;
+    });
+    
+    if (headers === null) {
+        throw new Error('File is empty');
+    }
+    
+    return { headers, rows };
+}
+
+// Read the header and the data records with the given numbers (0 for the first record after the header,
+// counting every non-empty record, as in parseSource's sourceRows); stops after the last one
+// With raw, each record is returned as its original line instead of split into fields
+async function readRecords(source, recordNumbers, raw = false) {
+    const textStream = await openTextStream(source, { bytesRead: 0, totalBytes: null });
+    const wanted = new Set(recordNumbers);
+    // Not Math.max(...recordNumbers), which overflows the stack for large exports
+    let lastRecord = -1;
+    wanted.forEach(number => {
+        if (number > lastRecord) lastRecord = number;
+    });
+    const found = new Map();
+    let headers = null;
+    let recordNumber = 0;
+    
+    await readLines(textStream, (record) => {
+        const line = record.trim();
+        if (!line) return true;
+        
+        if (headers === null) {
+            headers = splitCSVLine(line).map(h => h.trim());
+            return true;
+        }
+        if (wanted.has(recordNumber)) {
+            found.set(recordNumber, raw ? line : splitCSVLine(line));
+        }
+        recordNumber++;
+        return recordNumber <= lastRecord;
+    });
+    
+    if (headers === null) {
+        throw new Error('File is empty');
+    }
+    
+    return { headers, rows: Array.from(recordNumbers, number => found.get(number) || null) };
+}
+
+// Growable Float32Array / Uint32Array column
+function createColumn(ArrayType, initialCapacity) {
+    return { data: new ArrayType(initialCapacity), ArrayType: ArrayType };
+}
+
+function ensureColumnCapacity(column, required) {
+    if (required <= column.data.length) return;
+    let capacity = column.data.length * 2;
+    while (capacity < required) capacity *= 2;
+    const grown = new column.ArrayType(capacity);
+    grown.set(column.data);
+    column.data = grown;
+}
+
+// Parse a whole source into columnar arrays and downsample it (see selectRows)
+// schema: { coordinates: [x, y, z], categorical: [...], continuous: [...] } column names
+async function parseSource(source, schema, sampling) {
+    const progress = { bytesRead: 0, totalBytes: null };
+    const textStream = await openTextStream(source, progress);
+    
+    const INITIAL_CAPACITY = 65536;
+    const positions = createColumn(Float32Array, INITIAL_CAPACITY * 3);
+    const sourceRows = createColumn(Uint32Array, INITIAL_CAPACITY); // Record number of each row in the file, see readRecords
+    const categorical = {}; // col -> { codes: column, values: [], lookup: Map }
+    const continuous = {}; // col -> column (NaN for missing values)
+    
+    let headers = null;
+    let coordinateIndices = null;
+    let categoricalIndices = null;
+    let continuousIndices = null;
+    let rowCount = 0;
+    let recordCount = 0;
+    let lastProgressTime = 0;
+    
+    const handleHeader = (line) => {
+        headers = splitCSVLine(line).map(h => h.trim());
+        coordinateIndices = schema.coordinates.map(name => headers.indexOf(name));
+        
+        // Validate that coordinate columns were found
+        const missing = schema.coordinates.filter((name, i) => coordinateIndices[i] === -1);
+        if (missing.length > 0) {
+            throw new Error(`Coordinate columns not found: ${missing.join(', ')}. Available columns: ${headers.join(', ')}`);
+        }
+        
+        // Categorical and continuous columns missing from this file are skipped
+        categoricalIndices = [];
+        schema.categorical.forEach(col => {
+            const idx = headers.indexOf(col);
+            if (idx !== -1) {
+                categoricalIndices.push({ col, idx });
+                categorical[col] = { codes: createColumn(Uint32Array, INITIAL_CAPACITY), values: [], lookup: new Map() };
+            }
+        });
+        
+        continuousIndices = [];
+        schema.continuous.forEach(col => {
+            const idx = headers.indexOf(col);
+            if (idx !== -1) {
+                continuousIndices.push({ col, idx });
+                continuous[col] = createColumn(Float32Array, INITIAL_CAPACITY);
+            }
+        });
+    };
+    
+    const handleRow = (line) => {
+        const cols = line.includes('"') ? splitCSVLine(line) : line.split(',');
+        if (cols.length < headers.length) return;
+        
+        // Parse coordinates
+        const x = parseFloat(cols[coordinateIndices[0]]);
+        const y = parseFloat(cols[coordinateIndices[1]]);
+        const z = parseFloat(cols[coordinateIndices[2]]);
+        
+        if (isNaN(x) || isNaN(y) || isNaN(z)) return;
+        
+        ensureColumnCapacity(positions, (rowCount + 1) * 3);
+        positions.data[rowCount * 3] = x;
+        positions.data[rowCount * 3 + 1] = y;
+        positions.data[rowCount * 3 + 2] = z;
+        ensureColumnCapacity(sourceRows, rowCount + 1);
+        sourceRows.data[rowCount] = recordCount;
+        
+        // Dictionary-encode categorical attributes
+        for (const { col, idx } of categoricalIndices) {
+            const column = categorical[col];
+            const value = (cols[idx] || '').trim();
+            let code = column.lookup.get(value);
+            if (code === undefined) {
+                code = column.values.length;
+                column.values.push(value);
+                column.lookup.set(value, code);
+            }
+            ensureColumnCapacity(column.codes, rowCount + 1);
+            column.codes.data[rowCount] = code;
+        }
+        
+        // Continuous attributes
+        for (const { col, idx } of continuousIndices) {
+            const column = continuous[col];
+            ensureColumnCapacity(column, rowCount + 1);
+            column.data[rowCount] = parseFloat(cols[idx]); // NaN for missing values
+        }
+        
+        rowCount++;
+    };
+    
+    await readLines(textStream, (record) => {
+        const line = record.trim();
+        if (!line) return true;
+        
+        if (headers === null) {
+            handleHeader(line);
+        } else {
+            handleRow(line);
+            recordCount++;
+        }
+        
+        const now = Date.now();
+        if (now - lastProgressTime > PROGRESS_INTERVAL_MS) {
+            lastProgressTime = now;
+            self.postMessage({ type: 'progress', rows: rowCount, bytesRead: progress.bytesRead, totalBytes: progress.totalBytes });
+        }
+        return true;
+    });
+    
+    if (headers === null) {
+        throw new Error('File is empty');
+    }
+    
+    self.postMessage({ type: 'progress', rows: rowCount, bytesRead: progress.bytesRead, totalBytes: progress.totalBytes });
+    
+    // Downsample this file's data
+    const keep = selectRows(rowCount, positions.data, categorical, sampling);
+    const count = keep.length;
+    
+    const result = {
+        parsedRows: rowCount,
+        count: count,
+        positions: new Float32Array(count * 3),
+        sourceRows: new Uint32Array(count),
+        categorical: {},
+        continuous: {}
+    };
+    
+    for (let i = 0; i < count; i++) {
+        const row = keep[i];
+        result.positions[i * 3] = positions.data[row * 3];
+        result.positions[i * 3 + 1] = positions.data[row * 3 + 1];
+        result.positions[i * 3 + 2] = positions.data[row * 3 + 2];
+        result.sourceRows[i] = sourceRows.data[row];
+    }
+    
+    Object.keys(categorical).forEach(col => {
+        const codes = new Uint32Array(count);
+        const source = categorical[col].codes.data;
+        for (let i = 0; i < count; i++) {
+            codes[i] = source[keep[i]];
+        }
+        result.categorical[col] = { codes: codes, values: categorical[col].values };
+    });
+    
+    Object.keys(continuous).forEach(col => {
+        const values = new Float32Array(count);
+        const source = continuous[col].data;
+        for (let i = 0; i < count; i++) {
+            values[i] = source[keep[i]];
+        }
+        result.continuous[col] = values;
+    });
+    
+    return result;
+}
+
+// Seeded pseudo-random number generator (mulberry32) returning floats in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick which rows to keep, returned in original row order
+// 'random' keeps a uniform sample of targetPoints rows, 'perValue' up to perValue rows for each value of column,
+// 'keepValues' every row whose column value is in keepValues plus a random sample of the rest up to targetPoints,
+// and 'spatial' spreads targetPoints rows as evenly as possible over a gridSize x gridSize grid in x/y
+function selectRows(rowCount, positions, categorical, sampling) {
+    const random = createRandom(sampling.seed);
+    const column = categorical[sampling.column];
+    let mode = sampling.mode;
+    
+    if ((mode === 'perValue' || mode === 'keepValues') && !column) {
+        console.warn(`[Worker] Column ${sampling.column} not found - falling back to random sampling`);
+        mode = 'random';
+    }
+    
+    if (mode === 'random' && rowCount <= sampling.targetPoints) {
+        return allRows(rowCount);
+    }
+    
+    // Assign every row to a group, then decide how many rows to take from each group
+    let groupOf;
+    let quotas;
+    
+    if (mode === 'perValue') {
+        groupOf = column.codes.data;
+        const counts = countGroups(groupOf, rowCount, column.values.length);
+        quotas = counts.map(count => Math.min(count, sampling.perValue));
+    } else if (mode === 'keepValues') {
+        // Group 0: selected values (all kept), group 1: everything else
+        const keepSet = new Set(sampling.keepValues);
+        const isKept = column.values.map(value => keepSet.has(value));
+        groupOf = new Uint32Array(rowCount);
+        for (let i = 0; i < rowCount; i++) {
+            groupOf[i] = isKept[column.codes.data[i]] ? 0 : 1;
+        }
+        const counts = countGroups(groupOf, rowCount, 2);
+        quotas = [counts[0], Math.max(0, Math.min(counts[1], sampling.targetPoints - counts[0]))];
+    } else if (mode === 'spatial') {
+        const gridSize = Math.max(1, sampling.gridSize);
+        groupOf = assignGridCells(positions, rowCount, gridSize);
+        const counts = countGroups(groupOf, rowCount, gridSize * gridSize);
+        quotas = fillQuotas(counts, sampling.targetPoints);
+    } else {
+        groupOf = new Uint32Array(rowCount);
+        quotas = [sampling.targetPoints];
+    }
+    
+    return sampleGroups(groupOf, rowCount, quotas, random);
+}
+
+// Every row index, in order
+function allRows(rowCount) {
+    const indices = new Uint32Array(rowCount);
+    for (let i = 0; i < rowCount; i++) {
+        indices[i] = i;
+    }
+    return indices;
+}
+
+// Number of rows in each group
+function countGroups(groupOf, rowCount, groupCount) {
+    const counts = new Array(groupCount).fill(0);
+    for (let i = 0; i < rowCount; i++) {
+        counts[groupOf[i]]++;
+    }
+    return counts;
+}
+
+// Grid cell (row-major over x/y) of every row, with the grid spanning the bounding box of the data
+function assignGridCells(positions, rowCount, gridSize) {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (let i = 0; i < rowCount; i++) {
+        const x = positions[i * 3], y = positions[i * 3 + 1];
+        if (x < xMin) xMin = x;
+        if (x > xMax) xMax = x;
+        if (y < yMin) yMin = y;
+        if (y > yMax) yMax = y;
+    }
+    
+    const xScale = xMax > xMin ? gridSize / (xMax - xMin) : 0;
+    const yScale = yMax > yMin ? gridSize / (yMax - yMin) : 0;
+    const cells = new Uint32Array(rowCount);
+    for (let i = 0; i < rowCount; i++) {
+        const cx = Math.min(gridSize - 1, Math.floor((positions[i * 3] - xMin) * xScale));
+        const cy = Math.min(gridSize - 1, Math.floor((positions[i * 3 + 1] - yMin) * yScale));
+        cells[i] = cy * gridSize + cx;
+    }
+    return cells;
+}
+
+// Split a budget over groups as evenly as possible - groups smaller than their share keep all their rows
+// and the leftover is shared among the larger groups
+function fillQuotas(counts, budget) {
+    const quotas = new Array(counts.length).fill(0);
+    const order = counts.map((count, group) => group).filter(group => counts[group] > 0);
+    order.sort((a, b) => counts[a] - counts[b]);
+    
+    let remaining = budget;
+    order.forEach((group, i) => {
+        const share = Math.floor(remaining / (order.length - i));
+        quotas[group] = Math.min(counts[group], share);
+        remaining -= quotas[group];
+    });
+    return quotas;
+}
+
+// Randomly take quotas[g] rows from every group g, returning the kept rows in original order
+function sampleGroups(groupOf, rowCount, quotas, random) {
+    const groupCount = quotas.length;
+    
+    // Counting sort of row indices by group
+    const offsets = new Uint32Array(groupCount + 1);
+    for (let i = 0; i < rowCount; i++) {
+        offsets[groupOf[i] + 1]++;
+    }
+    for (let g = 0; g < groupCount; g++) {
+        offsets[g + 1] += offsets[g];
+    }
+    const grouped = new Uint32Array(rowCount);
+    const cursor = offsets.slice(0, groupCount);
+    for (let i = 0; i < rowCount; i++) {
+        grouped[cursor[groupOf[i]]++] = i;
+    }
+    
+    const keepCount = quotas.reduce((sum, quota) => sum + quota, 0);
+    const keep = new Uint32Array(keepCount);
+    let keepIdx = 0;
+    
+    for (let g = 0; g < groupCount; g++) {
+        const start = offsets[g];
+        const size = offsets[g + 1] - start;
+        const take = Math.min(quotas[g], size);
+        
+        // Fisher-Yates shuffle for random sampling - only the first take elements of the group are needed
+        for (let i = 0; i < take; i++) {
+            const j = i + Math.floor(random() * (size - i));
+            const tmp = grouped[start + i];
+            grouped[start + i] = grouped[start + j];
+            grouped[start + j] = tmp;
+            keep[keepIdx++] = grouped[start + i];
+        }
+    }
+    
+    return keep.subarray(0, keepIdx).sort();
+}
+
+// Typed array buffers in a parse result, moved to the main thread instead of copied
+function getTransferables(result) {
+    const buffers = [result.positions.buffer, result.sourceRows.buffer];
+    Object.values(result.categorical).forEach(column => buffers.push(column.codes.buffer));
+    Object.values(result.continuous).forEach(values => buffers.push(values.buffer));
+    return buffers;
+}